@@ -10,7 +10,11 @@ class AudioSystem {
         this.sfxVolume = 0.5;
         this.currentMusicMode = null; // Start with no music mode
         this.musicTimeout = null;
+        this.musicLoop = null; // {mode, play, due} for the next time the music loops
+        this.paused = false;
         this.scheduledOscillators = []; // Track all scheduled oscillators
+        this.rainSource = null; // Looping rain noise, started the first time it rains
+        this.rainGainNode = null;
     }
 
     init() {
@@ -67,6 +71,7 @@ class AudioSystem {
             clearTimeout(this.musicTimeout);
             this.musicTimeout = null;
         }
+        this.musicLoop = null;
         
         // Stop all scheduled oscillators
         this.scheduledOscillators.forEach(osc => {
@@ -178,12 +183,7 @@ class AudioSystem {
         });
         
         // Loop the music
-        const totalDuration = (time - currentTime) * 1000;
-        this.musicTimeout = setTimeout(() => {
-            if (this.currentMusicMode === 'calm') {
-                this.playBackgroundMusic();
-            }
-        }, totalDuration);
+        this.loopMusic('calm', () => this.playBackgroundMusic(), (time - currentTime) * 1000);
     }
 
     // Danger music - plays when predators are present
@@ -256,12 +256,7 @@ class AudioSystem {
         });
         
         // Loop the music
-        const totalDuration = (time - currentTime) * 1000;
-        this.musicTimeout = setTimeout(() => {
-            if (this.currentMusicMode === 'danger') {
-                this.playDangerMusic();
-            }
-        }, totalDuration);
+        this.loopMusic('danger', () => this.playDangerMusic(), (time - currentTime) * 1000);
     }
 
     // Liz music - super upbeat and happy
@@ -326,12 +321,42 @@ class AudioSystem {
         });
         
         // Loop the music
-        const totalDuration = (time - currentTime) * 1000;
+        this.loopMusic('liz', () => this.playLizMusic(), (time - currentTime) * 1000);
+    }
+
+    // Play a mode's melody again once it has finished, if the mode hasn't changed
+    loopMusic(mode, play, delay) {
+        this.musicLoop = { mode, play, due: performance.now() + delay };
         this.musicTimeout = setTimeout(() => {
-            if (this.currentMusicMode === 'liz') {
-                this.playLizMusic();
+            this.musicTimeout = null;
+            this.musicLoop = null;
+            if (this.currentMusicMode === mode) {
+                play();
             }
-        }, totalDuration);
+        }, delay);
+    }
+
+    // Freeze music and sound effects mid-note (pause menu). Suspending the
+    // context stops its clock, so scheduled notes wait; the loop timer is
+    // stopped and restarted with whatever time it had left.
+    pause() {
+        if (!this.audioContext || this.paused) return;
+        this.paused = true;
+        if (this.musicTimeout) {
+            clearTimeout(this.musicTimeout);
+            this.musicTimeout = null;
+            this.musicLoop.remaining = Math.max(0, this.musicLoop.due - performance.now());
+        }
+        this.audioContext.suspend();
+    }
+
+    resume() {
+        if (!this.audioContext || !this.paused) return;
+        this.paused = false;
+        this.audioContext.resume();
+        if (this.musicLoop) {
+            this.loopMusic(this.musicLoop.mode, this.musicLoop.play, this.musicLoop.remaining);
+        }
     }
 
     // Switch music mode based on game state
@@ -634,6 +659,181 @@ class AudioSystem {
         oscillator1.stop(currentTime + 0.12);
         oscillator2.stop(currentTime + 0.12);
     }
+
+    // Sound effect: Fox yip (two quick rising yelps)
+    playFoxYip() {
+        if (!this.audioContext) return;
+        
+        const currentTime = this.audioContext.currentTime;
+        
+        for (let i = 0; i < 2; i++) {
+            const start = currentTime + i * 0.18;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            // Thin, high yelp that jumps up then falls away
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(700, start);
+            oscillator.frequency.exponentialRampToValueAtTime(1400, start + 0.04);
+            oscillator.frequency.exponentialRampToValueAtTime(600, start + 0.12);
+            
+            gainNode.gain.setValueAtTime(0.25, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, start + 0.12);
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(this.sfxGainNode);
+            
+            oscillator.start(start);
+            oscillator.stop(start + 0.12);
+        }
+    }
+
+    // Sound effect: Snake hiss (filtered white noise)
+    playSnakeHiss() {
+        if (!this.audioContext) return;
+        
+        const currentTime = this.audioContext.currentTime;
+        const duration = 0.8;
+        
+        // A burst of noise with only the high end let through
+        const noise = this.audioContext.createBufferSource();
+        noise.buffer = this.createNoiseBuffer(duration);
+        
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(3000, currentTime);
+        
+        // Swell in, then trail off
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.setValueAtTime(0.01, currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.2, currentTime + 0.15);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + duration);
+        
+        noise.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.sfxGainNode);
+        
+        noise.start(currentTime);
+        noise.stop(currentTime + duration);
+    }
+
+    // White noise for the hiss and weather sounds
+    createNoiseBuffer(duration) {
+        const buffer = this.audioContext.createBuffer(1, Math.floor(this.audioContext.sampleRate * duration), this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // Weather: steady rain hiss, level from 0 (off) to 1 (downpour)
+    setRainLevel(level) {
+        if (!this.audioContext) return;
+        
+        if (!this.rainSource) {
+            if (level <= 0) return;
+            
+            // Looping noise, softened to a patter
+            this.rainSource = this.audioContext.createBufferSource();
+            this.rainSource.buffer = this.createNoiseBuffer(2);
+            this.rainSource.loop = true;
+            
+            const filter = this.audioContext.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 1800;
+            filter.Q.value = 0.6;
+            
+            this.rainGainNode = this.audioContext.createGain();
+            this.rainGainNode.gain.value = 0;
+            
+            this.rainSource.connect(filter);
+            filter.connect(this.rainGainNode);
+            this.rainGainNode.connect(this.sfxGainNode);
+            this.rainSource.start();
+        }
+        
+        this.rainGainNode.gain.setTargetAtTime(level * 0.25, this.audioContext.currentTime, 0.5);
+    }
+
+    // Sound effect: Thunder (a crack, then a long low rumble)
+    playThunder() {
+        if (!this.audioContext) return;
+        
+        const currentTime = this.audioContext.currentTime;
+        const duration = 3;
+        
+        const noise = this.audioContext.createBufferSource();
+        noise.buffer = this.createNoiseBuffer(duration);
+        
+        // Low rumble that closes down as it fades
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(900, currentTime);
+        filter.frequency.exponentialRampToValueAtTime(80, currentTime + duration);
+        
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.setValueAtTime(0.8, currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.3, currentTime + 0.3);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + duration);
+        
+        noise.connect(filter);
+        filter.connect(gainNode);
+        gainNode.connect(this.sfxGainNode);
+        
+        noise.start(currentTime);
+        noise.stop(currentTime + duration);
+    }
+
+    // Sound effect: Bird rescued from a predator (a quick rising fanfare)
+    playRescue() {
+        if (!this.audioContext) return;
+        
+        const currentTime = this.audioContext.currentTime;
+        
+        [523, 659, 784].forEach((frequency, index) => {
+            const offset = index * 0.08;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(frequency, currentTime + offset);
+            
+            gainNode.gain.setValueAtTime(0.15, currentTime + offset);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + offset + 0.15);
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(this.sfxGainNode);
+            
+            oscillator.start(currentTime + offset);
+            oscillator.stop(currentTime + offset + 0.15);
+        });
+    }
+
+    // Sound effect: Fence built or taken down (two wooden knocks)
+    playHammer() {
+        if (!this.audioContext) return;
+        
+        const currentTime = this.audioContext.currentTime;
+        
+        [0, 0.12].forEach(offset => {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(220, currentTime + offset);
+            oscillator.frequency.exponentialRampToValueAtTime(90, currentTime + offset + 0.08);
+            
+            gainNode.gain.setValueAtTime(0.3, currentTime + offset);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, currentTime + offset + 0.08);
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(this.sfxGainNode);
+            
+            oscillator.start(currentTime + offset);
+            oscillator.stop(currentTime + offset + 0.08);
+        });
+    }
 }
 
 // Export for use in game
@@ -0,0 +1,243 @@
+// Collision for Poultry Patrol
+// Everything solid in the yard lives in one world. Static obstacles (the coop,
+// the corn bin, the pond and built fences, listed by
+// Simulation.staticObstacles) are boxes and circles; the player, birds, ground
+// predators and Liz are moving circles with a radius and a mass. The
+// simulation refreshes the world at the start of each step, filing the moving
+// bodies in a spatial hash so each one only checks its neighbours.
+// Entities call steer() before moving to bend their course around obstacles
+// ahead, and resolve() after moving to get pushed out of obstacles and apart
+// from each other.
+
+const CELL_SIZE = 4; // Spatial hash cell, bigger than any two bodies put together
+const STEER_LOOKAHEAD = 1.5; // How far past its own edge a body looks for obstacles
+
+// Buckets things by grid cell so nearby ones can be found without checking them all
+export class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    clear() {
+        this.cells.clear();
+    }
+
+    key(cellX, cellZ) {
+        return (cellX + 512) * 1024 + (cellZ + 512);
+    }
+
+    insert(item, x, z) {
+        const key = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(item);
+        } else {
+            this.cells.set(key, [item]);
+        }
+    }
+
+    // Everything in the cells touching a square of the given half-size around (x, z)
+    query(x, z, range, results = []) {
+        const minX = Math.floor((x - range) / this.cellSize);
+        const maxX = Math.floor((x + range) / this.cellSize);
+        const minZ = Math.floor((z - range) / this.cellSize);
+        const maxZ = Math.floor((z + range) / this.cellSize);
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+            for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+                const cell = this.cells.get(this.key(cellX, cellZ));
+                if (cell) {
+                    results.push(...cell);
+                }
+            }
+        }
+        return results;
+    }
+}
+
+class CollisionWorld {
+    constructor(sim) {
+        this.sim = sim;
+        this.obstacles = [];
+        this.bodies = new SpatialHash(CELL_SIZE);
+        this.nearby = []; // Reused query results
+    }
+
+    // Called at the start of each step
+    update() {
+        const state = this.sim.state;
+        this.obstacles = this.sim.staticObstacles();
+
+        this.bodies.clear();
+        if (state.player && !state.inCoop) {
+            this.addBody(state.player);
+        }
+        [...state.chickens, ...state.ducks].forEach(bird => {
+            if (!bird.captured && !bird.onVisitorHead && !bird.falling) {
+                this.addBody(bird);
+            }
+        });
+        state.predators.forEach(predator => {
+            if (!predator.isFlying) {
+                this.addBody(predator);
+            }
+        });
+        if (state.visitor) {
+            this.addBody(state.visitor);
+        }
+    }
+
+    addBody(entity) {
+        this.bodies.insert(entity, entity.mesh.position.x, entity.mesh.position.z);
+    }
+
+    // Whether an obstacle stops a body. Options:
+    //   ignoreCoop   - birds visiting the coop, a fox dashing in, a snake curled up inside
+    //   throughGates - people can open gates
+    //   swims        - ducks go into the pond
+    //   fences       - false to leave built fences out (when placing new ones)
+    blocks(obstacle, options) {
+        if (obstacle.tag === 'coop') return !options.ignoreCoop;
+        if (obstacle.tag === 'pond') return !options.swims;
+        if (obstacle.tag === 'gate') return options.fences !== false && !options.throughGates;
+        if (obstacle.tag === 'fence') return options.fences !== false;
+        return true;
+    }
+
+    // Whether a circle of the given radius at (x, z) would overlap an obstacle
+    isBlocked(x, z, radius, options = {}, obstacles = this.sim.staticObstacles()) {
+        return obstacles.some(obstacle => (
+            this.blocks(obstacle, options) && distanceOutside(obstacle, x, z) < radius
+        ));
+    }
+
+    // Whether a box {minX, maxX, minZ, maxZ} overlaps an obstacle
+    overlapsBox(box, options = {}) {
+        return this.sim.staticObstacles().some(obstacle => {
+            if (!this.blocks(obstacle, options)) return false;
+            const centerX = (box.minX + box.maxX) / 2;
+            const centerZ = (box.minZ + box.maxZ) / 2;
+            if (obstacle.shape === 'circle') {
+                const closestX = clamp(obstacle.x, box.minX, box.maxX);
+                const closestZ = clamp(obstacle.z, box.minZ, box.maxZ);
+                return Math.hypot(obstacle.x - closestX, obstacle.z - closestZ) < obstacle.radius;
+            }
+            return Math.abs(centerX - (obstacle.minX + obstacle.maxX) / 2) < (box.maxX - box.minX + obstacle.maxX - obstacle.minX) / 2 &&
+                Math.abs(centerZ - (obstacle.minZ + obstacle.maxZ) / 2) < (box.maxZ - box.minZ + obstacle.maxZ - obstacle.minZ) / 2;
+        });
+    }
+
+    // Turn a velocity (Vector3, changed in place) to slide along an obstacle in the way
+    steer(entity, velocity, options = {}) {
+        const speed = Math.hypot(velocity.x, velocity.z);
+        if (speed < 0.01) return;
+
+        const position = entity.mesh.position;
+        const dirX = velocity.x / speed;
+        const dirZ = velocity.z / speed;
+        const probeX = position.x + dirX * (entity.radius + STEER_LOOKAHEAD);
+        const probeZ = position.z + dirZ * (entity.radius + STEER_LOOKAHEAD);
+
+        for (const obstacle of this.obstacles) {
+            if (!this.blocks(obstacle, options) || distanceOutside(obstacle, probeX, probeZ) >= entity.radius) continue;
+
+            // Follow the obstacle's surface, keeping to the side the body was already heading
+            const normal = outwardNormal(obstacle, probeX, probeZ);
+            let tangentX = -normal.z;
+            let tangentZ = normal.x;
+            if (tangentX * dirX + tangentZ * dirZ < 0) {
+                tangentX = -tangentX;
+                tangentZ = -tangentZ;
+            }
+            velocity.x = tangentX * speed;
+            velocity.z = tangentZ * speed;
+            return;
+        }
+    }
+
+    // Push a body out of obstacles, then apart from overlapping bodies nearby.
+    // Lighter bodies give way more (the player barely moves for a chicken).
+    resolve(entity, options = {}) {
+        const position = entity.mesh.position;
+        const radius = entity.radius;
+
+        this.obstacles.forEach(obstacle => {
+            if (!this.blocks(obstacle, options)) return;
+            const depth = radius - distanceOutside(obstacle, position.x, position.z);
+            if (depth > 0) {
+                const normal = outwardNormal(obstacle, position.x, position.z);
+                position.x += normal.x * depth;
+                position.z += normal.z * depth;
+            }
+        });
+
+        this.nearby.length = 0;
+        this.bodies.query(position.x, position.z, CELL_SIZE / 2, this.nearby);
+        this.nearby.forEach(other => {
+            if (other === entity || !this.separates(entity, other)) return;
+
+            const dx = position.x - other.mesh.position.x;
+            const dz = position.z - other.mesh.position.z;
+            const distance = Math.hypot(dx, dz);
+            const overlap = radius + other.radius - distance;
+            if (overlap <= 0 || distance === 0) return;
+
+            const share = other.mass / (entity.mass + other.mass);
+            position.x += (dx / distance) * overlap * share;
+            position.z += (dz / distance) * overlap * share;
+        });
+    }
+
+    // Predators have to reach their prey, and birds climb onto Liz
+    separates(a, b) {
+        const aIsBird = a.type === 'chicken' || a.type === 'duck';
+        const bIsBird = b.type === 'chicken' || b.type === 'duck';
+        if (aIsBird === bIsBird) return true;
+        const other = aIsBird ? b : a;
+        return other === this.sim.state.player;
+    }
+}
+
+// How far a point is outside an obstacle (negative inside)
+function distanceOutside(obstacle, x, z) {
+    if (obstacle.shape === 'circle') {
+        return Math.hypot(x - obstacle.x, z - obstacle.z) - obstacle.radius;
+    }
+    const outsideX = Math.max(obstacle.minX - x, x - obstacle.maxX);
+    const outsideZ = Math.max(obstacle.minZ - z, z - obstacle.maxZ);
+    if (outsideX < 0 && outsideZ < 0) {
+        return Math.max(outsideX, outsideZ);
+    }
+    return Math.hypot(Math.max(outsideX, 0), Math.max(outsideZ, 0));
+}
+
+// Direction out of an obstacle at a point, toward its nearest edge when inside
+function outwardNormal(obstacle, x, z) {
+    if (obstacle.shape === 'circle') {
+        const dx = x - obstacle.x;
+        const dz = z - obstacle.z;
+        const length = Math.hypot(dx, dz);
+        return length > 0 ? { x: dx / length, z: dz / length } : { x: 1, z: 0 };
+    }
+
+    const closestX = clamp(x, obstacle.minX, obstacle.maxX);
+    const closestZ = clamp(z, obstacle.minZ, obstacle.maxZ);
+    if (closestX !== x || closestZ !== z) {
+        const length = Math.hypot(x - closestX, z - closestZ);
+        return { x: (x - closestX) / length, z: (z - closestZ) / length };
+    }
+
+    const exits = [
+        { x: -1, z: 0, depth: x - obstacle.minX },
+        { x: 1, z: 0, depth: obstacle.maxX - x },
+        { x: 0, z: -1, depth: z - obstacle.minZ },
+        { x: 0, z: 1, depth: obstacle.maxZ - z }
+    ];
+    return exits.reduce((best, candidate) => candidate.depth < best.depth ? candidate : best);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+export default CollisionWorld;
@@ -0,0 +1,36 @@
+// Day/night cycle for Poultry Patrol
+// A match runs from one morning to the next, so the clock is just how far the
+// match has gone. The simulation uses it for behavior (chickens roosting at
+// dusk, night-only predators); game.js uses it for lighting and the HUD.
+
+export const DAY_START_HOUR = 7; // Clock time when the match starts
+export const DUSK_HOUR = 18; // Chickens head to the coop to roost
+export const NIGHT_HOUR = 20; // Night predators come out
+export const DAWN_HOUR = 5; // Night ends and the sky starts to lighten
+export const MORNING_HOUR = 7; // Chickens leave the coop
+
+// Clock time (0-24) for a point in the match
+export function clockHour(gameTime, maxGameTime) {
+    return (DAY_START_HOUR + (gameTime / maxGameTime) * 24) % 24;
+}
+
+// 'dawn', 'day', 'dusk' or 'night'
+export function dayPhase(hour) {
+    if (hour >= NIGHT_HOUR || hour < DAWN_HOUR) return 'night';
+    if (hour >= DUSK_HOUR) return 'dusk';
+    if (hour < MORNING_HOUR) return 'dawn';
+    return 'day';
+}
+
+// How much sun there is, from 0 (full night) to 1 (full day)
+export function daylightLevel(hour) {
+    const sunHeight = Math.sin(((hour - 6) / 12) * Math.PI);
+    return Math.min(1, Math.max(0, (sunHeight + 0.2) / 0.6));
+}
+
+// "18:30" for the HUD
+export function formatClock(hour) {
+    const hours = Math.floor(hour);
+    const minutes = Math.floor((hour - hours) * 60);
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,82 @@
+// Difficulty presets for Poultry Patrol
+// Every tunable that makes a match harder or easier, set together by a preset.
+//   predatorSpeed  - multiplier on dog (4), hawk (6), fox, snake and raccoon speed
+//   dogHealth      - hits a dog takes before it gives up
+//   hawkHealth     - hits a hawk takes before it gives up
+//   foxHealth      - hits a fox takes before it gives up
+//   raccoonHealth  - hits each raccoon in a pack takes before it gives up
+//   hawkGrabDelay  - seconds a hawk hovers over a bird before grabbing it
+//   scareRadius    - how close a predator gets before birds run
+//   cornLifetime   - seconds a corn pile lasts
+//   eggWindow      - seconds eggs stay collectable
+//   scoreMultiplier - applied to every score change
+
+export const DIFFICULTY_PRESETS = {
+    easy: {
+        label: 'Easy',
+        predatorSpeed: 0.8,
+        dogHealth: 2,
+        hawkHealth: 1,
+        foxHealth: 1,
+        raccoonHealth: 1,
+        hawkGrabDelay: 14,
+        scareRadius: 10,
+        cornLifetime: 18,
+        eggWindow: 80,
+        scoreMultiplier: 0.75
+    },
+    normal: {
+        label: 'Normal',
+        predatorSpeed: 1,
+        dogHealth: 3,
+        hawkHealth: 2,
+        foxHealth: 2,
+        raccoonHealth: 2,
+        hawkGrabDelay: 10,
+        scareRadius: 8,
+        cornLifetime: 13,
+        eggWindow: 60,
+        scoreMultiplier: 1
+    },
+    hard: {
+        label: 'Hard',
+        predatorSpeed: 1.25,
+        dogHealth: 4,
+        hawkHealth: 3,
+        foxHealth: 3,
+        raccoonHealth: 2,
+        hawkGrabDelay: 6,
+        scareRadius: 6,
+        cornLifetime: 9,
+        eggWindow: 45,
+        scoreMultiplier: 1.5
+    }
+};
+
+// Settings a custom difficulty can change (its score multiplier stays at 1)
+export const CUSTOM_DIFFICULTY_KEYS = [
+    'predatorSpeed', 'dogHealth', 'hawkHealth', 'foxHealth', 'raccoonHealth', 'hawkGrabDelay', 'scareRadius', 'cornLifetime', 'eggWindow'
+];
+
+// Turn a preset name, or a custom settings object, into a full difficulty.
+// Custom values that are missing or not numbers fall back to Normal.
+export function resolveDifficulty(difficulty = 'normal') {
+    if (typeof difficulty === 'string') {
+        const preset = DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS.normal;
+        const id = DIFFICULTY_PRESETS[difficulty] ? difficulty : 'normal';
+        return { id, ...preset };
+    }
+
+    if (difficulty.id && difficulty.id !== 'custom') {
+        return resolveDifficulty(difficulty.id);
+    }
+
+    const custom = { id: 'custom', ...DIFFICULTY_PRESETS.normal, label: 'Custom', scoreMultiplier: 1 };
+    CUSTOM_DIFFICULTY_KEYS.forEach(key => {
+        const value = parseFloat(difficulty[key]);
+        if (Number.isFinite(value) && value > 0) {
+            custom[key] = value;
+        }
+    });
+    return custom;
+}
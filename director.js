@@ -0,0 +1,174 @@
+// Predator director for Poultry Patrol
+// Plans escalating waves of dogs, hawks, foxes, snakes and raccoons from how
+// far the match has gone, how big the flock is and how well the player
+// handled the last wave.
+// Pacing lives in WAVE_TABLE so it can be tuned without touching the game loop.
+
+import { dayPhase } from './daynight.js';
+
+// One row per stage of the match; a row takes over once the match is that far
+// along (progress 0 = start, 1 = end).
+//   dogs, hawks - base wave size before flock and performance adjustments
+//   foxes       - foxes that sneak in with night waves (left out of the adjustments)
+//   snakes      - snakes sent for the nest boxes, only while none is already about
+//   raccoons    - size of a raccoon pack sent for the corn at night, only while none is about
+//   gap         - [min, max] seconds from one wave to the next
+//   stagger     - seconds between predators of the same wave arriving
+export const WAVE_TABLE = [
+    { progress: 0, dogs: 1, hawks: 0, foxes: 0, snakes: 0, raccoons: 0, gap: [20, 25], stagger: 0 },
+    { progress: 0.1, dogs: 1, hawks: 1, foxes: 0, snakes: 0, raccoons: 0, gap: [25, 35], stagger: 3 },
+    { progress: 0.3, dogs: 2, hawks: 1, foxes: 0, snakes: 1, raccoons: 0, gap: [30, 40], stagger: 2.5 },
+    { progress: 0.55, dogs: 2, hawks: 2, foxes: 1, snakes: 0, raccoons: 2, gap: [30, 40], stagger: 2 },
+    { progress: 0.8, dogs: 3, hawks: 2, foxes: 1, snakes: 1, raccoons: 3, gap: [35, 45], stagger: 1.5 }
+];
+
+const FIRST_WAVE_TIME = 15; // Seconds before the first wave arrives
+const WARNING_TIME = 5; // Waves are announced this long before they arrive
+const STARTING_FLOCK = 13;
+const BIRDS_PER_EXTRA_PREDATOR = 6; // Bigger flocks draw bigger waves
+const MIN_INTENSITY = -1; // Struggling players get smaller waves and a breather
+const MAX_INTENSITY = 2; // Flawless players get extra predators
+const BREATHER_TIME = 10;
+
+// Director state lives in gameState.waves so it saves with the match
+export function createWaveState() {
+    return {
+        wave: 0, // Waves sent so far
+        nextWaveTimer: FIRST_WAVE_TIME,
+        announced: null, // Wave planned and announced but not yet arrived
+        arrivals: [], // Predators of the current wave still on their way: {type, delay, count}
+        intensity: 0,
+        lostAtWaveStart: 0,
+        defeatedAtWaveStart: 0
+    };
+}
+
+class PredatorDirector {
+    constructor(sim) {
+        this.sim = sim;
+    }
+
+    update(delta) {
+        const waves = this.sim.state.waves;
+
+        waves.nextWaveTimer -= delta;
+        if (!waves.announced && waves.nextWaveTimer <= WARNING_TIME) {
+            waves.announced = this.planWave();
+            this.sim.emit('waveAnnounced', waves.announced);
+        }
+        if (waves.nextWaveTimer <= 0) {
+            this.sendWave(waves.announced);
+        }
+
+        // Members of a wave arrive one after another (packs arrive together)
+        for (let i = waves.arrivals.length - 1; i >= 0; i--) {
+            const arrival = waves.arrivals[i];
+            arrival.delay -= delta;
+            if (arrival.delay <= 0) {
+                waves.arrivals.splice(i, 1);
+                this.sim.spawnPredator(arrival.type, arrival.count);
+            }
+        }
+    }
+
+    // Table row for the current point in the match
+    currentRow() {
+        const state = this.sim.state;
+        const progress = state.gameTime / state.maxGameTime;
+        let row = WAVE_TABLE[0];
+        WAVE_TABLE.forEach(candidate => {
+            if (progress >= candidate.progress) {
+                row = candidate;
+            }
+        });
+        return row;
+    }
+
+    // Decide the next wave's size from the table, the flock and the last wave's outcome
+    planWave() {
+        const state = this.sim.state;
+        const waves = state.waves;
+        this.rateLastWave();
+
+        const row = this.currentRow();
+        let dogs = row.dogs;
+        let hawks = row.hawks;
+
+        const birds = state.chickens.length + state.ducks.length;
+        let extra = Math.max(0, Math.floor((birds - STARTING_FLOCK) / BIRDS_PER_EXTRA_PREDATOR)) + waves.intensity;
+        while (extra > 0) {
+            if (this.sim.random.next() < 0.5) dogs++; else hawks++;
+            extra--;
+        }
+        while (extra < 0 && dogs + hawks > 1) {
+            if (dogs >= hawks) dogs--; else hawks--;
+            extra++;
+        }
+
+        // Foxes and raccoons only come out at night
+        const night = dayPhase(this.sim.timeOfDay()) === 'night';
+        const foxes = night ? row.foxes : 0;
+
+        // One snake in the coop and one raccoon pack at a time is plenty
+        const snakes = state.predators.some(predator => predator.type === 'snake') ? 0 : row.snakes;
+        const raccoons = !night || state.predators.some(predator => predator.type === 'raccoon') ? 0 : row.raccoons;
+
+        return {
+            number: waves.wave + 1, dogs, hawks, foxes, snakes, raccoons,
+            stagger: row.stagger, gap: row.gap
+        };
+    }
+
+    // Nudge intensity up after a clean wave and down after a costly one
+    rateLastWave() {
+        const state = this.sim.state;
+        const waves = state.waves;
+        if (waves.wave === 0) return;
+
+        const lost = state.killed + state.ranAway - waves.lostAtWaveStart;
+        const defeated = state.defeated - waves.defeatedAtWaveStart;
+        if (lost === 0 && defeated > 0) {
+            waves.intensity = Math.min(MAX_INTENSITY, waves.intensity + 1);
+        } else if (lost >= 2) {
+            waves.intensity = Math.max(MIN_INTENSITY, waves.intensity - 1);
+        }
+    }
+
+    sendWave(plan) {
+        const state = this.sim.state;
+        const waves = state.waves;
+
+        waves.wave = plan.number;
+        waves.announced = null;
+        waves.lostAtWaveStart = state.killed + state.ranAway;
+        waves.defeatedAtWaveStart = state.defeated;
+
+        // Shuffle the group so mixed waves don't always lead with dogs
+        const types = [
+            ...Array(plan.dogs).fill('dog'),
+            ...Array(plan.hawks).fill('hawk'),
+            ...Array(plan.foxes || 0).fill('fox'),
+            ...Array(plan.snakes || 0).fill('snake')
+        ];
+        for (let i = types.length - 1; i > 0; i--) {
+            const j = Math.floor(this.sim.random.next() * (i + 1));
+            [types[i], types[j]] = [types[j], types[i]];
+        }
+        types.forEach((type, index) => {
+            waves.arrivals.push({ type, delay: index * plan.stagger });
+        });
+
+        // A raccoon pack arrives as one group, after the rest of the wave
+        if (plan.raccoons > 0) {
+            waves.arrivals.push({ type: 'raccoon', count: plan.raccoons, delay: types.length * plan.stagger });
+        }
+
+        const [minGap, maxGap] = plan.gap;
+        waves.nextWaveTimer = minGap + this.sim.random.next() * (maxGap - minGap);
+        if (waves.intensity < 0) {
+            waves.nextWaveTimer += BREATHER_TIME;
+        }
+    }
+}
+
+export default PredatorDirector;
@@ -0,0 +1,2788 @@
+// Entities for Poultry Patrol
+// Player, birds, predators and Liz. Everything here runs against a Simulation
+// (see simulation.js) and never touches the DOM, WebGL or Web Audio directly,
+// so the same classes drive both the browser game and headless runs.
+
+import * as THREE from 'three';
+import { dayPhase } from './daynight.js';
+import { STRIKE_SCARE_RADIUS } from './weather.js';
+import { FLOCK_TUNING } from './flocking.js';
+
+// Textures are loaded by the browser layer; entities fall back to solid
+// colors while a slot is still null (always the case in headless runs)
+export const textures = {
+    chickenFeathers: null,
+    duckFeathers: null,
+    sweater: null,
+    pants: null,
+    staff: null,
+    hair: null,
+    dogHair: null,
+    hawkFeathers: null,
+    corn: null
+};
+
+// Collision circles and how hard each body is to shove (see collision.js)
+const PLAYER_RADIUS = 0.6;
+const PLAYER_MASS = 4; // Birds and predators give way to the player and Liz
+const BIRD_RADIUS = 0.4;
+const BIRD_MASS = 1;
+const PREDATOR_RADII = { dog: 0.8, hawk: 0.8, fox: 0.6, snake: 0.3, raccoon: 0.5 };
+const PREDATOR_MASS = 2;
+const VISITOR_OBSTACLES = { throughGates: true }; // Liz lets herself through gates like the player
+
+// Player actions
+export const CORN_THROW_RANGE = 10; // Aimed corn lands at most this far away
+const SWING_REACH = 4; // The staff reaches ground predators this close
+const SWING_REACH_FLYING = 6; // Hawks swoop low enough to hit from a bit farther
+const SWING_CONE_ANGLE = Math.PI / 3.5; // Half-width of an aimed swing
+
+// Player
+class Player {
+    constructor(sim) {
+        this.sim = sim;
+        
+        // Create a group to hold all player parts
+        this.mesh = new THREE.Group();
+        this.mesh.position.set(0, 0, 0);
+        
+        // Legs
+        const legGeometry = new THREE.CylinderGeometry(0.27, 0.27, 1.8, 8);
+        const skinMaterial = new THREE.MeshLambertMaterial({ color: 0xFFDBAC });
+        const pantsMaterial = new THREE.MeshLambertMaterial({ 
+            map: textures.pants,
+            color: textures.pants ? 0xFFFFFF : 0x2C5F2D // White if texture loaded, green if not
+        });
+        
+        const leftLeg = new THREE.Mesh(legGeometry, pantsMaterial);
+        leftLeg.position.set(-0.36, 0.9, 0);
+        leftLeg.castShadow = true;
+        this.mesh.add(leftLeg);
+        
+        const rightLeg = new THREE.Mesh(legGeometry, pantsMaterial);
+        rightLeg.position.set(0.36, 0.9, 0);
+        rightLeg.castShadow = true;
+        this.mesh.add(rightLeg);
+        
+        // Feet (shoes)
+        const footGeometry = new THREE.BoxGeometry(0.35, 0.25, 0.6);
+        const shoeMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 }); // Brown shoes
+        
+        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        leftFoot.position.set(-0.36, 0.125, 0.15);
+        leftFoot.castShadow = true;
+        this.mesh.add(leftFoot);
+        
+        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        rightFoot.position.set(0.36, 0.125, 0.15);
+        rightFoot.castShadow = true;
+        this.mesh.add(rightFoot);
+        
+        // Torso
+        const torsoGeometry = new THREE.BoxGeometry(1.08, 1.44, 0.54);
+        const shirtMaterial = new THREE.MeshLambertMaterial({ 
+            map: textures.sweater,
+            color: textures.sweater ? 0xFFFFFF : 0xFF6347 // White if texture loaded, red if not
+        });
+        const torso = new THREE.Mesh(torsoGeometry, shirtMaterial);
+        torso.position.set(0, 2.52, 0);
+        torso.castShadow = true;
+        this.mesh.add(torso);
+        
+        // Head (larger)
+        const headGeometry = new THREE.SphereGeometry(0.55, 8, 8);
+        const head = new THREE.Mesh(headGeometry, skinMaterial);
+        head.position.set(0, 3.79, 0);
+        head.castShadow = true;
+        this.mesh.add(head);
+        
+        // Eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.07, 8, 8);
+        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.18, 3.9, 0.48);
+        this.mesh.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.18, 3.9, 0.48);
+        this.mesh.add(rightEye);
+        
+        // Nose
+        const noseGeometry = new THREE.ConeGeometry(0.07, 0.18, 8);
+        const nose = new THREE.Mesh(noseGeometry, skinMaterial);
+        nose.position.set(0, 3.73, 0.54);
+        nose.rotation.x = Math.PI / 2;
+        this.mesh.add(nose);
+        
+        // Mustache
+        const mustacheGeometry = new THREE.BoxGeometry(0.42, 0.05, 0.1);
+        const mustacheMaterial = new THREE.MeshLambertMaterial({ color: 0x3D2817 });
+        const mustache = new THREE.Mesh(mustacheGeometry, mustacheMaterial);
+        mustache.position.set(0, 3.65, 0.52);
+        this.mesh.add(mustache);
+        
+        // Mustache curls at the ends
+        const curlGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+        
+        const leftCurl = new THREE.Mesh(curlGeometry, mustacheMaterial);
+        leftCurl.position.set(-0.23, 3.65, 0.52);
+        leftCurl.scale.set(1.2, 1, 1);
+        this.mesh.add(leftCurl);
+        
+        const rightCurl = new THREE.Mesh(curlGeometry, mustacheMaterial);
+        rightCurl.position.set(0.23, 3.65, 0.52);
+        rightCurl.scale.set(1.2, 1, 1);
+        this.mesh.add(rightCurl);
+        
+        // Hair
+        const hairGeometry = new THREE.SphereGeometry(0.6, 8, 8);
+        const hairMaterial = new THREE.MeshLambertMaterial({ 
+            map: textures.hair,
+            color: textures.hair ? 0xFFFFFF : 0x3D2817 // White if texture loaded, brown if not
+        });
+        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
+        hair.position.set(0, 3.98, -0.05);
+        hair.scale.set(1, 0.65, 1);
+        hair.castShadow = true;
+        this.mesh.add(hair);
+        
+        // Headphones
+        const headphoneMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 }); // Black headphones
+        
+        // Headband (arcing over the top of head, connecting to ear cups)
+        const headbandGeometry = new THREE.TorusGeometry(0.5, 0.05, 8, 16, Math.PI);
+        const headband = new THREE.Mesh(headbandGeometry, headphoneMaterial);
+        headband.position.set(0, 4.2, 0);
+        headband.rotation.z = 0; // No rotation - arc goes up
+        headband.castShadow = true;
+        this.mesh.add(headband);
+        
+        // Left ear cup
+        const earCupGeometry = new THREE.CylinderGeometry(0.18, 0.18, 0.12, 16);
+        const leftEarCup = new THREE.Mesh(earCupGeometry, headphoneMaterial);
+        leftEarCup.position.set(-0.5, 3.79, 0);
+        leftEarCup.rotation.z = Math.PI / 2;
+        leftEarCup.castShadow = true;
+        this.mesh.add(leftEarCup);
+        
+        // Left ear cup padding (inner)
+        const paddingMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+        const paddingGeometry = new THREE.CylinderGeometry(0.14, 0.14, 0.08, 16);
+        const leftPadding = new THREE.Mesh(paddingGeometry, paddingMaterial);
+        leftPadding.position.set(-0.56, 3.79, 0);
+        leftPadding.rotation.z = Math.PI / 2;
+        this.mesh.add(leftPadding);
+        
+        // Right ear cup
+        const rightEarCup = new THREE.Mesh(earCupGeometry, headphoneMaterial);
+        rightEarCup.position.set(0.5, 3.79, 0);
+        rightEarCup.rotation.z = Math.PI / 2;
+        rightEarCup.castShadow = true;
+        this.mesh.add(rightEarCup);
+        
+        // Right ear cup padding (inner)
+        const rightPadding = new THREE.Mesh(paddingGeometry, paddingMaterial);
+        rightPadding.position.set(0.56, 3.79, 0);
+        rightPadding.rotation.z = Math.PI / 2;
+        this.mesh.add(rightPadding);
+        
+        // Arms
+        const armGeometry = new THREE.CylinderGeometry(0.18, 0.18, 1.26, 8);
+        
+        // Left arm - hanging down at side (connected at shoulder)
+        const leftArm = new THREE.Mesh(armGeometry, shirtMaterial);
+        leftArm.position.set(-0.72, 2.52, 0); // Same y as torso center
+        leftArm.rotation.z = 0;
+        leftArm.castShadow = true;
+        this.mesh.add(leftArm);
+        
+        // Right arm - raised up to hold crook (connected at shoulder)
+        const rightArm = new THREE.Mesh(armGeometry, shirtMaterial);
+        rightArm.position.set(0.72, 2.52, 0); // Same y as torso center
+        rightArm.rotation.z = -0.8;
+        rightArm.castShadow = true;
+        this.mesh.add(rightArm);
+        
+        // Hands
+        const handGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+        
+        // Left hand - at bottom of left arm (hanging down)
+        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
+        leftHand.position.set(-0.72, 1.89, 0); // 0.63 below arm center (half arm length)
+        leftHand.castShadow = true;
+        this.mesh.add(leftHand);
+        this.leftHand = leftHand; // Store reference for animation
+        
+        // Right hand - at end of raised arm (holding crook)
+        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
+        // Arm rotated -0.8 rad, so calculate end position
+        rightHand.position.set(1.15, 3.05, 0);
+        rightHand.castShadow = true;
+        this.mesh.add(rightHand);
+        
+        // Shepherd's crook
+        const crookMaterial = new THREE.MeshLambertMaterial({ 
+            map: textures.staff,
+            color: textures.staff ? 0xFFFFFF : 0x8B4513 // White if texture loaded, brown if not
+        });
+        
+        // Staff (long pole) - positioned in the right hand
+        const staffGeometry = new THREE.CylinderGeometry(0.09, 0.09, 4.5, 8);
+        this.staff = new THREE.Mesh(staffGeometry, crookMaterial);
+        this.staff.position.set(1.15, 2.8, 0);
+        this.staff.castShadow = true;
+        this.mesh.add(this.staff);
+        
+        // Hook at top
+        const hookCurve = new THREE.TorusGeometry(0.36, 0.072, 8, 16, Math.PI);
+        this.hook = new THREE.Mesh(hookCurve, crookMaterial);
+        this.hook.position.set(1.15, 5.05, 0);
+        this.hook.rotation.x = Math.PI / 2;
+        this.hook.castShadow = true;
+        this.mesh.add(this.hook);
+        
+        this.sim.root.add(this.mesh);
+        
+        this.velocity = new THREE.Vector3();
+        this.speed = 8;
+        this.direction = new THREE.Vector3();
+        this.radius = PLAYER_RADIUS;
+        this.mass = PLAYER_MASS;
+        
+        // Staff swing animation properties
+        this.isSwinging = false;
+        this.swingProgress = 0;
+        this.swingSpeed = 8; // How fast the swing animation plays
+        
+        // Corn throw animation properties
+        this.isThrowingCorn = false;
+        this.throwProgress = 0;
+        this.throwSpeed = 6; // How fast the throw animation plays
+    }
+    
+    updateStaffSwing(delta) {
+        if (this.isSwinging) {
+            this.swingProgress += delta * this.swingSpeed;
+            
+            if (this.swingProgress <= 1) {
+                // Swing down (0 to 1)
+                const angle = this.swingProgress * Math.PI / 2; // 0 to 90 degrees
+                this.staff.rotation.x = angle;
+                this.hook.rotation.x = Math.PI / 2 + angle;
+            } else if (this.swingProgress <= 2) {
+                // Swing back up (1 to 2)
+                const angle = (2 - this.swingProgress) * Math.PI / 2; // 90 to 0 degrees
+                this.staff.rotation.x = angle;
+                this.hook.rotation.x = Math.PI / 2 + angle;
+            } else {
+                // Animation complete
+                this.isSwinging = false;
+                this.swingProgress = 0;
+                this.staff.rotation.x = 0;
+                this.hook.rotation.x = Math.PI / 2;
+            }
+        }
+    }
+    
+    updateCornThrow(delta) {
+        if (this.isThrowingCorn) {
+            this.throwProgress += delta * this.throwSpeed;
+            
+            if (this.throwProgress <= 1) {
+                // Hand moves forward and down (0 to 1)
+                const progress = this.throwProgress;
+                this.leftHand.position.set(
+                    -0.72 + progress * 0.5, // Move forward
+                    1.89 - progress * 0.3,  // Move down slightly
+                    progress * 0.8          // Move out in front
+                );
+            } else if (this.throwProgress <= 2) {
+                // Hand returns to original position (1 to 2)
+                const progress = 2 - this.throwProgress;
+                this.leftHand.position.set(
+                    -0.72 + progress * 0.5,
+                    1.89 - progress * 0.3,
+                    progress * 0.8
+                );
+            } else {
+                // Animation complete
+                this.isThrowingCorn = false;
+                this.throwProgress = 0;
+                this.leftHand.position.set(-0.72, 1.89, 0);
+            }
+        }
+    }
+    
+    swingStaff() {
+        if (!this.isSwinging) {
+            this.isSwinging = true;
+            this.swingProgress = 0;
+        }
+    }
+    
+    // Turn to face a point on the ground
+    faceToward(target) {
+        const dx = target.x - this.mesh.position.x;
+        const dz = target.z - this.mesh.position.z;
+        if (dx * dx + dz * dz > 0.0001) {
+            this.mesh.rotation.y = Math.atan2(dx, dz);
+        }
+    }
+    
+    // Aimed swing toward a point (right-click): hits every predator within reach in a cone
+    // in front of the player, and nothing behind or beside them
+    swingAt(target) {
+        this.faceToward(target);
+        this.swingStaff();
+        
+        const facing = new THREE.Vector3(Math.sin(this.mesh.rotation.y), 0, Math.cos(this.mesh.rotation.y));
+        this.sim.state.predators.forEach(predator => {
+            const offset = new THREE.Vector3().subVectors(predator.mesh.position, this.mesh.position);
+            if (offset.length() >= (predator.isFlying ? SWING_REACH_FLYING : SWING_REACH)) return;
+            
+            offset.y = 0;
+            const inCone = offset.lengthSq() < 0.0001 || offset.normalize().dot(facing) >= Math.cos(SWING_CONE_ANGLE);
+            if (inCone) {
+                predator.hit(this);
+            }
+        });
+    }
+    
+    // Plain data for a saved game (see Simulation.save)
+    serialize() {
+        return {
+            position: this.mesh.position.toArray(),
+            rotation: this.mesh.rotation.y,
+            velocity: this.velocity.toArray()
+        };
+    }
+    
+    restore(data) {
+        this.mesh.position.fromArray(data.position);
+        this.mesh.rotation.y = data.rotation;
+        this.velocity.fromArray(data.velocity);
+    }
+    
+    // Throw corn at a point on the ground (left-click, no farther than CORN_THROW_RANGE),
+    // or drop it at our feet with no target (C)
+    throwCorn(target = null) {
+        if (this.sim.state.cornCharges > 0) {
+            this.sim.state.cornCharges--;
+            const cornLocation = this.mesh.position.clone();
+            if (target) {
+                const toss = new THREE.Vector3(target.x - cornLocation.x, 0, target.z - cornLocation.z);
+                cornLocation.add(toss.clampLength(0, CORN_THROW_RANGE));
+                this.faceToward(target);
+            }
+            
+            // Trigger throw animation
+            if (!this.isThrowingCorn) {
+                this.isThrowingCorn = true;
+                this.throwProgress = 0;
+            }
+            
+            // Play sound effect
+            this.sim.emit('sound', 'playCornThrow');
+            
+            // Corn lasts 13 seconds on Normal
+            const cornMaterial = this.dropCornPile(cornLocation, this.sim.difficulty.cornLifetime).mesh.material;
+            
+            // Add some particle effect
+            for (let i = 0; i < 20; i++) {
+                const particle = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.05, 4, 4),
+                    cornMaterial
+                );
+                particle.position.copy(cornLocation);
+                particle.position.y = 0.5;
+                particle.velocity = new THREE.Vector3(
+                    (this.sim.random.next() - 0.5) * 2,
+                    this.sim.random.next() * 2,
+                    (this.sim.random.next() - 0.5) * 2
+                );
+                this.sim.root.add(particle);
+                this.sim.state.cornParticles.push({ mesh: particle, life: 1 });
+            }
+                    }
+    }
+    
+    // Put a corn pile on the ground that birds run to until its timer runs out
+    dropCornPile(location, timer) {
+        // Create visual corn pile (bigger)
+        const cornGeometry = new THREE.SphereGeometry(0.5, 12, 12);
+        const cornMaterial = new THREE.MeshLambertMaterial({ 
+            map: textures.corn,
+            color: textures.corn ? 0xFFFFFF : 0xFFD700
+        });
+        const cornPile = new THREE.Mesh(cornGeometry, cornMaterial);
+        cornPile.position.copy(location);
+        cornPile.position.y = 0.3;
+        cornPile.scale.set(1, 0.8, 1); // Slightly flattened pile
+        this.sim.root.add(cornPile);
+        
+        // Add to corn piles array
+        const pile = { location, timer, mesh: cornPile };
+        this.sim.state.cornPiles.push(pile);
+        return pile;
+    }
+    
+    update(delta, input) {
+        this.direction.set(0, 0, 0);
+        
+        if (input.moveForward) this.direction.z -= 1;
+        if (input.moveBack) this.direction.z += 1;
+        if (input.moveLeft) this.direction.x -= 1;
+        if (input.moveRight) this.direction.x += 1;
+        
+        if (this.direction.length() > 0) {
+            this.direction.normalize();
+            const speed = this.speed * this.sim.weather.mudSpeedFactor();
+            this.velocity.x = this.direction.x * speed;
+            this.velocity.z = this.direction.z * speed;
+            
+            // Rotate player to face movement direction
+            const targetAngle = Math.atan2(this.direction.x, this.direction.z);
+            this.mesh.rotation.y = targetAngle;
+        } else {
+            this.velocity.x *= 0.9;
+            this.velocity.z *= 0.9;
+        }
+        
+        this.mesh.position.x += this.velocity.x * delta;
+        this.mesh.position.z += this.velocity.z * delta;
+        
+        // Player can't walk through the coop, fences or the pond, but can use gates
+        this.sim.collision.resolve(this, { throughGates: true });
+        
+        // Keep player in bounds
+        this.mesh.position.x = Math.max(-30, Math.min(30, this.mesh.position.x));
+        this.mesh.position.z = Math.max(-30, Math.min(30, this.mesh.position.z));
+    }
+}
+
+// Bird behavior fields that go into a saved game as they are
+const BIRD_SAVE_FIELDS = [
+    'wanderAngle', 'wanderTimer', 'scared', 'scaredTimer', 'inBounds', 'outOfBoundsTimer',
+    'hasEscaped', 'captured', 'onVisitorHead', 'attractedToVisitor',
+    'flapTimer', 'isFlapping', 'flapDuration', 'peckTimer', 'isPecking', 'peckDuration',
+    'visitCoopTimer', 'visitingCoop', 'coopVisitState', 'coopVisitTimer', 'isChick', 'growTimer', 'panic',
+    'fullness', 'health', 'happiness', 'name', 'feather', 'bornAt', 'eggsLaid', 'closeCalls', 'rescues',
+    'falling', 'fallSpeed', 'dropHeight'
+];
+
+const BIRD_SPEED = 2;
+const CHICK_SPEED = 1.4; // Chicks can't outrun much
+const CHICK_GROW_TIME = 120; // Seconds for a hatched chick to become an adult
+const DUCK_POND = new THREE.Vector3(10, 0, 10); // Same pond as POND_POSITION in simulation.js
+const DUCK_POND_RADIUS = 5;
+const DUCK_POND_TRAVEL_DISTANCE = 8; // Ducks farther out than this head straight back in a line
+const DUCK_LINE_DISTANCE = 4; // Ducks going for corn fall into line until this close
+const CHICKEN_DOOR_OFFSET = new THREE.Vector3(8, 0, 0); // Foot of the ramp up to the chicken door (from the coop)
+
+// Names for new birds (see pickBirdName)
+const CHICKEN_NAMES = [
+    'Henrietta', 'Clucky', 'Nugget', 'Penny', 'Marigold', 'Ginger', 'Pepper', 'Biscuit',
+    'Mabel', 'Dottie', 'Hazel', 'Goldie', 'Rosie', 'Olive', 'Buttercup', 'Pearl',
+    'Maple', 'Poppy', 'Lottie', 'Sunny', 'Cinnamon', 'Daisy', 'Winnie', 'Fern'
+];
+const DUCK_NAMES = [
+    'Puddles', 'Waddles', 'Quackers', 'Drake', 'Dabble', 'Paddle', 'Splash', 'Bill',
+    'Nibbles', 'Pip', 'Skipper', 'Lily', 'Reed', 'Willow', 'Brook', 'Sprout'
+];
+const NAME_NUMERALS = ['II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+// Feather tints for each kind of bird (multiplied over the feather texture)
+export const FEATHER_VARIANTS = {
+    chicken: [
+        { name: 'White', color: 0xFFFFFF },
+        { name: 'Buff', color: 0xF2CF8C },
+        { name: 'Red', color: 0xC8784A },
+        { name: 'Speckled', color: 0xB4B4B4 },
+        { name: 'Black', color: 0x5A5A5A }
+    ],
+    duck: [
+        { name: 'White', color: 0xFFFFFF },
+        { name: 'Mallard', color: 0x9CC08A },
+        { name: 'Khaki', color: 0xCDB380 },
+        { name: 'Blue', color: 0x8FA8C8 }
+    ]
+};
+
+// A name no other bird in the flock has had this match; once the list runs out,
+// names come round again with a numeral ("Pip II")
+function pickBirdName(sim, type) {
+    const names = type === 'chicken' ? CHICKEN_NAMES : DUCK_NAMES;
+    const taken = new Set([
+        ...sim.state.chickens.map(bird => bird.name),
+        ...sim.state.ducks.map(bird => bird.name),
+        ...sim.state.lostBirds.map(bird => bird.name)
+    ]);
+    const free = names.filter(name => !taken.has(name));
+    if (free.length > 0) {
+        return free[Math.floor(sim.random.next() * free.length)];
+    }
+    
+    const base = names[Math.floor(sim.random.next() * names.length)];
+    for (let i = 0; ; i++) {
+        const name = `${base} ${NAME_NUMERALS[i] || i + 2}`;
+        if (!taken.has(name)) return name;
+    }
+}
+
+// Bird needs run from 0 to 100, higher is better (fullness 100 is a fed bird, 0 an empty stomach)
+const FULLNESS_DRAIN = 100 / 420; // Per second; a fed bird goes hungry in 7 minutes
+const CORN_EAT_RATE = 20; // Fullness regained per second pecking at corn
+const POND_FORAGE_RATE = 0.5; // Ducks dabble for a little food in the pond
+const STARVE_RATE = 100 / 90; // Health lost per second with an empty stomach
+const HEAL_RATE = 1; // Health regained per second while well fed
+const HAPPINESS_DRAIN = 100 / 600;
+const SCARED_HAPPINESS_DRAIN = 2; // Extra per second while running from danger
+const VISITOR_HAPPINESS_RATE = 8; // Per second gathered around Liz (doubled on her head)
+const WELL_FED = 50; // Birds heal above this much fullness
+const HUNGRY = 25; // Below this much fullness birds slow down, mope and stop laying
+const UNHAPPY = 25; // Below this birds stop laying and stray out of the yard
+const LAYING_HEALTH = 50; // Hens need at least this much health to lay
+
+// Birds dropped by a predator fall and land hurt (see updateFall)
+const FALL_GRAVITY = 20;
+const LANDING_DAMAGE = 20;
+const FALL_DAMAGE = 2; // Extra damage per unit of height it fell from
+
+// Bird class (chickens and ducks)
+class Bird {
+    constructor(sim, type, startX, startZ, isChick = false) {
+        this.sim = sim;
+        this.type = type;
+        const featherTexture = type === 'chicken' ? textures.chickenFeathers : textures.duckFeathers;
+        
+        // Simple bird shape with feather texture (50% larger)
+        const bodyGeometry = new THREE.SphereGeometry(0.45, 16, 16);
+        const bodyMaterial = new THREE.MeshLambertMaterial({ map: featherTexture });
+        this.bodyMaterial = bodyMaterial; // Tinted by the feather variant
+        this.mesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        this.mesh.castShadow = true;
+        
+        // Head with feather texture
+        const headGeometry = new THREE.SphereGeometry(0.225, 16, 16);
+        const head = new THREE.Mesh(headGeometry, bodyMaterial);
+        head.position.set(0, 0.45, 0.3);
+        this.mesh.add(head);
+        this.head = head;
+        
+        // Eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.12, 0.525, 0.42);
+        this.mesh.add(leftEye);
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.12, 0.525, 0.42);
+        this.mesh.add(rightEye);
+        
+        // Beak/Bill - more prominent and properly positioned
+        if (type === 'chicken') {
+            // Chicken beak - pointed cone, larger and brighter
+            const beakGeometry = new THREE.ConeGeometry(0.08, 0.25, 8);
+            const beakMaterial = new THREE.MeshLambertMaterial({ color: 0xFFAA00 });
+            const beak = new THREE.Mesh(beakGeometry, beakMaterial);
+            beak.position.set(0, 0.48, 0.52);
+            beak.rotation.x = Math.PI / 2;
+            this.mesh.add(beak);
+            this.beak = beak;
+        } else {
+            // Duck bill - flatter and wider
+            const billGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.2);
+            const billMaterial = new THREE.MeshLambertMaterial({ color: 0xFF8C00 });
+            const bill = new THREE.Mesh(billGeometry, billMaterial);
+            bill.position.set(0, 0.42, 0.48);
+            this.mesh.add(bill);
+            this.beak = bill;
+        }
+        
+        // Comb (chickens only - red crest on head) - larger and more prominent
+        if (type === 'chicken') {
+            const combGeometry = new THREE.SphereGeometry(0.13, 8, 8);
+            const combMaterial = new THREE.MeshLambertMaterial({ color: 0xFF0000 });
+            const comb = new THREE.Mesh(combGeometry, combMaterial);
+            comb.position.set(0, 0.68, 0.25);
+            comb.scale.set(0.9, 1.6, 0.6);
+            this.mesh.add(comb);
+            
+            // Wattles (red things under chin) - larger and more visible
+            const wattleGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+            const wattleMaterial = new THREE.MeshLambertMaterial({ color: 0xFF0000 });
+            
+            const leftWattle = new THREE.Mesh(wattleGeometry, wattleMaterial);
+            leftWattle.position.set(-0.08, 0.35, 0.45);
+            leftWattle.scale.set(0.8, 1.5, 0.7);
+            this.mesh.add(leftWattle);
+            
+            const rightWattle = new THREE.Mesh(wattleGeometry, wattleMaterial);
+            rightWattle.position.set(0.08, 0.35, 0.45);
+            rightWattle.scale.set(0.8, 1.5, 0.7);
+            this.mesh.add(rightWattle);
+        }
+        
+        // Wings (store references for animation) with feather texture
+        const wingGeometry = new THREE.BoxGeometry(0.225, 0.075, 0.375);
+        const leftWing = new THREE.Mesh(wingGeometry, bodyMaterial);
+        leftWing.position.set(-0.375, 0.15, 0);
+        this.mesh.add(leftWing);
+        this.leftWing = leftWing;
+        
+        const rightWing = new THREE.Mesh(wingGeometry, bodyMaterial);
+        rightWing.position.set(0.375, 0.15, 0);
+        this.mesh.add(rightWing);
+        this.rightWing = rightWing;
+        
+        this.mesh.position.set(startX, 0.45, startZ);
+        this.sim.root.add(this.mesh);
+        
+        this.velocity = new THREE.Vector3();
+        this.speed = BIRD_SPEED;
+        this.radius = BIRD_RADIUS; // Smaller for chicks (see updateGrowth)
+        this.mass = BIRD_MASS;
+        this.navPath = null; // Route being followed this step, for the debug overlay (see navigation.js)
+        this.wanderAngle = this.sim.random.next() * Math.PI * 2;
+        this.wanderTimer = 0;
+        this.scared = false;
+        this.scaredTimer = 0;
+        this.inBounds = true;
+        this.outOfBoundsTimer = 0; // Grace period before counting as escaped
+        this.hasEscaped = false; // Track if this bird has been counted as escaped
+        this.panic = 0; // How much further this bird's panic can spread (see flocking.js)
+        this.fullness = isChick ? 100 : 80; // Needs (see updateNeeds)
+        this.health = 100;
+        this.happiness = 80;
+        this.starved = false; // Health ran out from hunger
+        this.killedBy = null; // Predator type that killed it, for the memorial
+        
+        // Who this bird is and its life so far (see summary)
+        this.name = pickBirdName(sim, type);
+        this.feather = Math.floor(this.sim.random.next() * FEATHER_VARIANTS[type].length);
+        this.bornAt = this.sim.state.gameTime; // Match time it hatched (0 for the starting flock)
+        this.eggsLaid = 0;
+        this.closeCalls = 0; // Times a predator got close enough to scare it
+        this.rescues = 0; // Times it was snatched back from a predator
+        this.falling = false; // Dropped by a predator and not down yet
+        this.fallSpeed = 0;
+        this.dropHeight = 0;
+        this.applyFeather();
+        this.captured = false; // Being carried by predator
+        this.killed = false; // Killed by predator
+        this.onVisitorHead = false; // Sitting on Liz's head
+        this.headOffset = new THREE.Vector3(); // Offset when on head
+        this.attractedToVisitor = false; // Being attracted to visitor
+        
+        // Animation state
+        this.flapTimer = this.sim.random.next() * 3;
+        this.isFlapping = false;
+        this.flapDuration = 0;
+        this.peckTimer = this.sim.random.next() * 5;
+        this.isPecking = false;
+        this.peckDuration = 0;
+        
+        // Coop visiting (only chickens lay eggs)
+        this.visitCoopTimer = this.type === 'chicken' ? 30 + this.sim.random.next() * 60 : 999999;
+        this.visitingCoop = false;
+        this.coopVisitState = 'idle'; // idle, walking (to the door), entering, inside, returning
+        
+        // Chicks hatch small and slow, then grow into adults
+        this.isChick = isChick;
+        this.growTimer = isChick ? CHICK_GROW_TIME : 0;
+        this.updateGrowth(0);
+        this.updateSpeed();
+    }
+    
+    // Plain data for a saved game (see Simulation.save)
+    serialize() {
+        const data = {
+            type: this.type,
+            position: this.mesh.position.toArray(),
+            rotation: this.mesh.rotation.y,
+            velocity: this.velocity.toArray(),
+            headOffset: this.headOffset.toArray()
+        };
+        BIRD_SAVE_FIELDS.forEach(field => {
+            data[field] = this[field];
+        });
+        return data;
+    }
+    
+    restore(data) {
+        this.mesh.position.fromArray(data.position);
+        this.mesh.rotation.y = data.rotation;
+        this.velocity.fromArray(data.velocity);
+        this.headOffset.fromArray(data.headOffset);
+        BIRD_SAVE_FIELDS.forEach(field => {
+            this[field] = data[field];
+        });
+        if (data.fullness === undefined) {
+            this.fullness = data.hunger; // Saved when the field was called hunger (it held fullness all along)
+        }
+        this.updateGrowth(0);
+        this.updateSpeed();
+        this.applyFeather();
+    }
+    
+    applyFeather() {
+        this.bodyMaterial.color.setHex(FEATHER_VARIANTS[this.type][this.feather].color);
+    }
+    
+    // Life record for the roster and the memorial, as plain data
+    summary() {
+        return {
+            name: this.name,
+            type: this.type,
+            feather: this.feather,
+            bornAt: this.bornAt,
+            eggsLaid: this.eggsLaid,
+            closeCalls: this.closeCalls,
+            rescues: this.rescues
+        };
+    }
+    
+    // Chicks scale up from half size and grow into adults
+    updateGrowth(delta) {
+        if (!this.isChick) return;
+        
+        this.growTimer -= delta;
+        let scale = 1;
+        if (this.growTimer <= 0) {
+            this.isChick = false;
+            this.growTimer = 0;
+        } else {
+            scale = 0.5 + (1 - this.growTimer / CHICK_GROW_TIME) * 0.5;
+        }
+        this.mesh.scale.setScalar(scale);
+        this.radius = BIRD_RADIUS * scale;
+        
+        // Keep small bodies on the ground
+        if (!this.captured && !this.onVisitorHead && !this.falling) {
+            this.mesh.position.y = 0.45 * scale;
+        }
+    }
+    
+    // Fullness and happiness wear down over time; eating, the pond and Liz top them up.
+    // Starving costs health, and a bird with none left dies.
+    updateNeeds(delta, eating) {
+        this.fullness -= FULLNESS_DRAIN * delta;
+        if (eating) {
+            this.fullness += CORN_EAT_RATE * delta;
+        } else if (this.type === 'duck' && this.mesh.position.distanceTo(DUCK_POND) < DUCK_POND_RADIUS) {
+            this.fullness += POND_FORAGE_RATE * delta;
+        }
+        this.fullness = Math.max(0, Math.min(100, this.fullness));
+        
+        if (this.fullness <= 0) {
+            this.health -= STARVE_RATE * delta;
+        } else if (this.fullness > WELL_FED) {
+            this.health += HEAL_RATE * delta;
+        }
+        this.health = Math.max(0, Math.min(100, this.health));
+        if (this.health <= 0) {
+            this.starved = true;
+        }
+        
+        this.happiness -= HAPPINESS_DRAIN * delta * (this.fullness < HUNGRY ? 2 : 1);
+        if (this.scaredTimer > 0) {
+            this.happiness -= SCARED_HAPPINESS_DRAIN * delta;
+        }
+        this.happiness = Math.max(0, Math.min(100, this.happiness));
+        
+        this.updateSpeed();
+    }
+    
+    // Chicks are slow, and so are hurt and hungry birds
+    updateSpeed() {
+        const baseSpeed = this.isChick ? CHICK_SPEED : BIRD_SPEED;
+        const healthFactor = 0.6 + 0.4 * Math.min(1, this.health / LAYING_HEALTH);
+        const hungerFactor = this.fullness < HUNGRY ? 0.8 : 1;
+        this.speed = baseSpeed * healthFactor * hungerFactor;
+    }
+    
+    // Predators knock health off (a raccoon's swipe)
+    hurt(amount, predatorType) {
+        this.health = Math.max(0, this.health - amount);
+        if (this.health <= 0) {
+            this.killed = true;
+            this.killedBy = predatorType;
+        }
+        this.updateSpeed();
+    }
+    
+    // Liz's company cheers birds up (see Visitor.attractBirds)
+    cheer(amount) {
+        this.happiness = Math.min(100, this.happiness + amount);
+    }
+    
+    // The need in the worst shape, for the roster: 'health', 'fullness', 'happiness' or null
+    worstNeed() {
+        if (this.health < LAYING_HEALTH) return 'health';
+        if (this.fullness < HUNGRY) return 'fullness';
+        if (this.happiness < UNHAPPY) return 'happiness';
+        return null;
+    }
+    
+    // Adult hens lay when they're fed, healthy and content (see Simulation.updateEggs)
+    canLay() {
+        return this.type === 'chicken' && !this.isChick &&
+            this.fullness >= HUNGRY && this.health >= LAYING_HEALTH && this.happiness >= UNHAPPY;
+    }
+    
+    // Dropped by a predator: flap down to the ground, land hurt and run for it.
+    // A rescued bird always survives the landing, but a long drop hurts more.
+    updateFall(delta) {
+        this.fallSpeed += FALL_GRAVITY * delta;
+        this.mesh.position.y -= this.fallSpeed * delta;
+        const flapAngle = Math.sin(this.mesh.position.y * 6) * 0.8;
+        this.leftWing.rotation.z = flapAngle;
+        this.rightWing.rotation.z = -flapAngle;
+        
+        const groundHeight = 0.45 * this.mesh.scale.y;
+        if (this.mesh.position.y > groundHeight) return;
+        
+        this.mesh.position.y = groundHeight;
+        this.falling = false;
+        this.fallSpeed = 0;
+        this.leftWing.rotation.z = 0;
+        this.rightWing.rotation.z = 0;
+        this.health = Math.max(1, this.health - (LANDING_DAMAGE + this.dropHeight * FALL_DAMAGE));
+        this.updateSpeed();
+        this.scaredTimer = 2;
+        this.sim.emit('sound', this.type === 'chicken' ? 'playChickenSquawk' : 'playDuckQuack');
+    }
+    
+    update(delta, player, predators) {
+        this.updateGrowth(delta);
+        this.navPath = null;
+        
+        if (this.falling) {
+            this.updateFall(delta);
+            return false;
+        }
+        
+        // Skip normal behavior if on visitor's head
+        if (this.onVisitorHead) {
+            this.updateNeeds(delta, false);
+            // Just do wing flapping animation
+            if (this.isFlapping) {
+                this.flapDuration -= delta;
+                const flapSpeed = 20;
+                const flapAngle = Math.sin(this.flapDuration * flapSpeed) * 0.5;
+                this.leftWing.rotation.z = flapAngle;
+                this.rightWing.rotation.z = -flapAngle;
+                
+                if (this.flapDuration <= 0) {
+                    this.isFlapping = false;
+                    this.leftWing.rotation.z = 0;
+                    this.rightWing.rotation.z = 0;
+                }
+            }
+            return false; // Don't remove bird
+        }
+        
+        // Check if scared by predators
+        this.scared = false;
+        for (const predator of predators) {
+            // A stalking fox goes unnoticed until it dashes, and raccoons are only after the corn
+            if (predator.foxState === 'stalk' || predator.type === 'raccoon') continue;
+            
+            const dist = this.mesh.position.distanceTo(predator.mesh.position);
+            if (dist < this.sim.difficulty.scareRadius) {
+                if (this.scaredTimer <= 0) {
+                    this.closeCalls++;
+                }
+                this.scared = true;
+                this.scaredTimer = 2;
+                this.panic = FLOCK_TUNING.panicHops;
+                // Run away from predator
+                const away = new THREE.Vector3()
+                    .subVectors(this.mesh.position, predator.mesh.position)
+                    .normalize();
+                this.velocity.copy(away).multiplyScalar(this.speed * 2);
+                break;
+            }
+        }
+        
+        // Lightning strikes scare birds like a predator does
+        const strike = this.sim.state.weather.strike;
+        if (!this.scared && strike) {
+            const away = new THREE.Vector3(this.mesh.position.x - strike.x, 0, this.mesh.position.z - strike.z);
+            if (away.length() < STRIKE_SCARE_RADIUS) {
+                this.scared = true;
+                this.scaredTimer = 2;
+                this.panic = FLOCK_TUNING.panicHops;
+                this.velocity.copy(away.normalize()).multiplyScalar(this.speed * 2);
+            }
+        }
+        
+        // Panic spreads from flockmates that are already running
+        if (!this.scared && this.scaredTimer <= 0) {
+            this.sim.flocking.catchPanic(this);
+        }
+        
+        // Check if scared by player (while the scare action is held)
+        if (player && this.sim.input.scare) {
+            const dist = this.mesh.position.distanceTo(player.mesh.position);
+            if (dist < 3) {
+                const away = new THREE.Vector3()
+                    .subVectors(this.mesh.position, player.mesh.position)
+                    .normalize();
+                this.velocity.copy(away).multiplyScalar(this.speed * 1.5);
+                this.scaredTimer = 1;
+                
+                // Play sound when herded by player
+                if (this.type === 'chicken') {
+                    this.sim.emit('sound', 'playChickenSquawk');
+                } else {
+                    this.sim.emit('sound', 'playDuckQuack');
+                }
+            }
+        }
+        
+        // Check for visitor attraction - takes priority over corn but not danger
+        let attractedToVisitor = this.attractedToVisitor && this.sim.state.visitor && this.sim.state.visitor.state === 'sitting';
+        
+        // Check for corn - overrides everything except immediate danger and visitor
+        let nearestCorn = null;
+        let nearestCornDist = Infinity;
+        
+        if (!this.scared && !attractedToVisitor && this.sim.state.cornPiles.length > 0) {
+            // Find nearest corn pile
+            for (const pile of this.sim.state.cornPiles) {
+                const dist = this.mesh.position.distanceTo(pile.location);
+                if (dist < nearestCornDist) {
+                    nearestCornDist = dist;
+                    nearestCorn = pile;
+                }
+            }
+        }
+        
+        let wandering = false; // Free to drift with the flock
+        let eating = false;
+        if (this.scaredTimer > 0) {
+            this.scaredTimer -= delta;
+        } else if (attractedToVisitor) {
+            // Visitor attraction is handled by the Visitor class
+            // Don't override the velocity here
+        } else if (nearestCorn) {
+            // Run to nearest corn location (ducks in single file until they're nearly there)
+            const distToCorn = this.mesh.position.distanceTo(nearestCorn.location);
+            if (distToCorn > 1) {
+                const cornTarget = this.type === 'duck' && distToCorn > DUCK_LINE_DISTANCE
+                    ? this.sim.flocking.lineUp(this, nearestCorn.location)
+                    : nearestCorn.location;
+                const toCorn = new THREE.Vector3()
+                    .subVectors(cornTarget, this.mesh.position)
+                    .setY(0)
+                    .normalize();
+                this.velocity.copy(toCorn).multiplyScalar(this.speed * 1.5);
+            } else {
+                // At corn, slow down and peck
+                this.velocity.multiplyScalar(0.5);
+                eating = true;
+            }
+        } else if (!this.scared) {
+            // Coop visiting behavior (chickens only); from dusk until morning they roost inside
+            if (this.type === 'chicken' && !nearestCorn) {
+                const roosting = dayPhase(this.sim.timeOfDay()) !== 'day';
+                this.visitCoopTimer -= delta;
+                
+                if ((this.visitCoopTimer <= 0 || roosting) && this.coopVisitState === 'idle') {
+                    this.coopVisitState = 'walking';
+                    this.visitingCoop = true;
+                }
+                
+                if (this.coopVisitState === 'walking') {
+                    // Walk around to the chicken door
+                    const door = new THREE.Vector3().addVectors(this.sim.state.coopPosition, CHICKEN_DOOR_OFFSET);
+                    if (this.mesh.position.distanceTo(door) > 1) {
+                        const toDoor = this.sim.navigation.directionTo(this, door, 'ground');
+                        this.velocity.copy(toDoor).multiplyScalar(this.speed);
+                    } else {
+                        this.coopVisitState = 'entering';
+                    }
+                } else if (this.coopVisitState === 'entering') {
+                    // Up the ramp and in
+                    const distToCoop = this.mesh.position.distanceTo(this.sim.state.coopPosition);
+                    if (distToCoop > 2) {
+                        const toCoop = new THREE.Vector3()
+                            .subVectors(this.sim.state.coopPosition, this.mesh.position)
+                            .normalize();
+                        this.velocity.copy(toCoop).multiplyScalar(this.speed);
+                    } else {
+                        // Arrived at coop
+                        this.coopVisitState = 'inside';
+                        this.coopVisitTimer = 3; // Stay inside for 3 seconds
+                    }
+                } else if (this.coopVisitState === 'inside') {
+                    // Inside coop
+                    this.velocity.multiplyScalar(0.1);
+                    if (!roosting) {
+                        this.coopVisitTimer -= delta;
+                    }
+                    if (this.coopVisitTimer <= 0) {
+                        this.coopVisitState = 'returning';
+                    }
+                } else if (this.coopVisitState === 'returning') {
+                    // Return to wandering
+                    this.coopVisitState = 'idle';
+                    this.visitingCoop = false;
+                    this.visitCoopTimer = 30 + this.sim.random.next() * 60; // Next visit in 30-90 seconds
+                }
+            }
+            
+            // Normal wandering behavior (when not visiting coop)
+            if (!this.visitingCoop) {
+                this.wanderTimer -= delta;
+                if (this.wanderTimer <= 0) {
+                    this.wanderAngle = this.sim.random.next() * Math.PI * 2;
+                    this.wanderTimer = 2 + this.sim.random.next() * 3;
+                }
+                
+                this.velocity.x = Math.cos(this.wanderAngle) * this.speed;
+                this.velocity.z = Math.sin(this.wanderAngle) * this.speed;
+                
+                wandering = true;
+                
+                // Ducks are attracted to the pond, and waddle back in single file from farther out
+                if (this.type === 'duck' && !nearestCorn) {
+                    const distToPond = this.mesh.position.distanceTo(DUCK_POND);
+                    if (distToPond > DUCK_POND_TRAVEL_DISTANCE) {
+                        const toPond = this.sim.navigation.directionTo(this, this.sim.flocking.lineUp(this, DUCK_POND), 'swim');
+                        this.velocity.copy(toPond).multiplyScalar(this.speed);
+                        wandering = false;
+                    } else if (distToPond > 3) {
+                        const toPond = this.sim.navigation.directionTo(this, DUCK_POND, 'swim');
+                        this.velocity.add(toPond.multiplyScalar(this.speed * 0.3));
+                    }
+                }
+            }
+        }
+        
+        this.updateNeeds(delta, eating);
+        if (this.starved) {
+            return false; // Removed by the simulation like a killed bird
+        }
+        
+        // Keep with the flock (Liz's pull on the birds is left alone)
+        if (!attractedToVisitor) {
+            this.sim.flocking.apply(this, this.velocity, wandering);
+        }
+        
+        // Birds go around the coop (except on their way in and out the door), fences and other
+        // birds; only ducks swim
+        const obstacleOptions = {
+            ignoreCoop: this.visitingCoop && this.coopVisitState !== 'walking',
+            swims: this.type === 'duck'
+        };
+        this.sim.collision.steer(this, this.velocity, obstacleOptions);
+        
+        // Apply velocity
+        this.mesh.position.x += this.velocity.x * delta;
+        this.mesh.position.z += this.velocity.z * delta;
+        this.sim.collision.resolve(this, obstacleOptions);
+        
+        // Boundary avoidance - birds try to stay inside unless they're fed up with the yard
+        const boundaryDist = 25; // Start avoiding at this distance from center
+        const distFromCenter = Math.sqrt(
+            this.mesh.position.x * this.mesh.position.x + 
+            this.mesh.position.z * this.mesh.position.z
+        );
+        
+        if (distFromCenter > boundaryDist && !this.scared && !nearestCorn && this.happiness >= UNHAPPY) {
+            // Push back toward center
+            const toCenter = new THREE.Vector3(-this.mesh.position.x, 0, -this.mesh.position.z)
+                .normalize()
+                .multiplyScalar(this.speed * 0.5);
+            this.velocity.add(toCenter);
+        }
+        
+        // Check boundaries
+        const prevInBounds = this.inBounds;
+        this.inBounds = (
+            this.mesh.position.x > -30 && this.mesh.position.x < 30 &&
+            this.mesh.position.z > -30 && this.mesh.position.z < 30
+        );
+        
+        if (!this.inBounds) {
+            // Bird is out of bounds, start/continue timer
+            this.outOfBoundsTimer += delta;
+            
+            // Bird runs away after 20 seconds out of bounds
+            if (this.outOfBoundsTimer >= 20 && !this.hasEscaped) {
+                this.hasEscaped = true;
+                this.sim.state.ranAway++;
+                return true; // Signal to remove this bird from the game
+            }
+        } else {
+            // Bird is back in bounds, reset timer and escape flag
+            this.outOfBoundsTimer = 0;
+            this.hasEscaped = false;
+        }
+        
+        // Hard boundary - can't go past this point
+        this.mesh.position.x = Math.max(-32, Math.min(32, this.mesh.position.x));
+        this.mesh.position.z = Math.max(-32, Math.min(32, this.mesh.position.z));
+        
+        // Face movement direction
+        if (this.velocity.length() > 0.1) {
+            this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+        }
+        
+        // Wing flapping animation
+        this.flapTimer -= delta;
+        if (this.flapTimer <= 0 && !this.isFlapping && !this.isPecking) {
+            this.isFlapping = true;
+            this.flapDuration = 0.5; // Half second flap
+            this.flapTimer = 3 + this.sim.random.next() * 4; // Flap every 3-7 seconds
+        }
+        
+        if (this.isFlapping) {
+            this.flapDuration -= delta;
+            const flapSpeed = 20;
+            const flapAngle = Math.sin(this.flapDuration * flapSpeed) * 0.5;
+            this.leftWing.rotation.z = flapAngle;
+            this.rightWing.rotation.z = -flapAngle;
+            
+            if (this.flapDuration <= 0) {
+                this.isFlapping = false;
+                this.leftWing.rotation.z = 0;
+                this.rightWing.rotation.z = 0;
+            }
+        }
+        
+        // Pecking animation (only when not moving much)
+        if (this.velocity.length() < 0.5) {
+            this.peckTimer -= delta;
+            if (this.peckTimer <= 0 && !this.isPecking && !this.isFlapping) {
+                this.isPecking = true;
+                this.peckDuration = 1.5; // 1.5 seconds of pecking
+                this.peckTimer = 4 + this.sim.random.next() * 6; // Peck every 4-10 seconds
+            }
+            
+            if (this.isPecking) {
+                this.peckDuration -= delta;
+                // Bob head up and down
+                const peckSpeed = 8;
+                const peckAmount = Math.abs(Math.sin(this.peckDuration * peckSpeed)) * 0.15;
+                this.head.position.y = 0.3 - peckAmount;
+                this.head.rotation.x = -peckAmount * 2;
+                
+                if (this.peckDuration <= 0) {
+                    this.isPecking = false;
+                    this.head.position.y = 0.3;
+                    this.head.rotation.x = 0;
+                }
+            }
+        } else {
+            // Reset pecking if bird starts moving
+            if (this.isPecking) {
+                this.isPecking = false;
+                this.head.position.y = 0.3;
+                this.head.rotation.x = 0;
+            }
+        }
+    }
+}
+
+// Fox tuning (speeds are scaled by the difficulty like the other predators)
+const FOX_STALK_SPEED = 2.5;
+const FOX_DASH_SPEED = 9;
+const FOX_ESCAPE_SPEED = 5;
+const FOX_DASH_RANGE = 6; // Fox breaks cover this close to its target
+const FOX_COOP_RANGE = 12; // Chickens this close to the coop are fair game
+const FOX_SIGHT_RANGE = 18; // The player notices a fox in front of them this close
+const FOX_SIGHT_ANGLE = Math.PI / 3.5; // Half-width of the player's view
+const FOX_LURK_OFFSET = new THREE.Vector3(9, 0, -3); // Waits by the chicken door (from the coop)
+
+// Snake tuning
+const SNAKE_SPEED = 2;
+const SNAKE_DOOR_OFFSET = new THREE.Vector3(7, 0, 0); // Just outside the chicken door (from the coop)
+const SNAKE_EAT_TIME = 8; // Seconds to swallow each egg
+
+// Raccoon tuning
+const RACCOON_SPEED = 3.5;
+const RACCOON_EAT_RATE = 2; // Each raccoon at a pile uses it up this much faster
+const RACCOON_SCATTER_RANGE = 6; // Raccoons bolt when the player gets this close
+const RACCOON_SWIPE_RANGE = 1.5;
+const RACCOON_SWIPE_TIME = 1.5; // Seconds between swipes at feeding birds
+const RACCOON_SWIPE_DAMAGE = 15;
+const RACCOON_PATIENCE = 20; // Seconds a raccoon waits at the treeline for corn before leaving
+
+// A grabbed bird struggles for a while, slowing its captor down and keeping a hawk
+// low enough to hit; hitting the captor makes it drop the bird (see dropBird)
+export const STRUGGLE_TIME = 5;
+const STRUGGLE_SPEED_FACTOR = 0.5;
+const STRUGGLE_CARRY_HEIGHT = 3;
+const CARRY_HEIGHT = 12; // Hawks climb out of reach once the bird gives up
+
+// Predator class
+class Predator {
+    constructor(sim, type) {
+        this.sim = sim;
+        this.type = type;
+        this.mesh = new THREE.Group();
+        this.radius = PREDATOR_RADII[type]; // Only used on the ground
+        this.mass = PREDATOR_MASS;
+        this.navPath = null; // Route being followed this step, for the debug overlay
+        
+        if (type === 'hawk') {
+            // Hawk - flying predator (more hawk-like)
+            const color = 0x654321;
+            const material = new THREE.MeshLambertMaterial({ 
+                map: textures.hawkFeathers,
+                color: textures.hawkFeathers ? 0xFFFFFF : 0x654321
+            });
+            
+            // Body (more substantial and elongated)
+            const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.4, 1.2, 12);
+            const body = new THREE.Mesh(bodyGeometry, material);
+            body.rotation.x = Math.PI / 2;
+            body.castShadow = true;
+            this.mesh.add(body);
+            
+            // Chest (rounded front)
+            const chestGeometry = new THREE.SphereGeometry(0.4, 12, 12);
+            const chest = new THREE.Mesh(chestGeometry, material);
+            chest.position.set(0, 0, 0.5);
+            chest.scale.set(1, 1, 0.8);
+            chest.castShadow = true;
+            this.mesh.add(chest);
+            
+            // Head (distinct and rounded)
+            const headGeometry = new THREE.SphereGeometry(0.35, 12, 12);
+            const head = new THREE.Mesh(headGeometry, material);
+            head.position.set(0, 0.3, 0.9);
+            head.scale.set(0.9, 1, 1);
+            head.castShadow = true;
+            this.mesh.add(head);
+            
+            // Eyes
+            const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+            const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0xFFD700 });
+            
+            const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            leftEye.position.set(-0.2, 0.35, 1.15);
+            this.mesh.add(leftEye);
+            
+            const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            rightEye.position.set(0.2, 0.35, 1.15);
+            this.mesh.add(rightEye);
+            
+            // Beak (sharp and hooked)
+            const beakGeometry = new THREE.ConeGeometry(0.12, 0.35, 8);
+            const beakMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+            const beak = new THREE.Mesh(beakGeometry, beakMaterial);
+            beak.position.set(0, 0.25, 1.3);
+            beak.rotation.x = Math.PI / 2.2; // Slightly hooked
+            beak.castShadow = true;
+            this.mesh.add(beak);
+            
+            // Main wings (longer and more defined)
+            const wingGeometry = new THREE.BoxGeometry(3.2, 0.12, 1.0);
+            const wings = new THREE.Mesh(wingGeometry, material);
+            wings.position.set(0, 0, 0.1);
+            wings.castShadow = true;
+            this.mesh.add(wings);
+            
+            // Primary feathers (individual feathers at wing tips)
+            const primaryFeatherGeometry = new THREE.BoxGeometry(0.45, 0.06, 0.18);
+            const primaryMaterial = new THREE.MeshLambertMaterial({ 
+                map: textures.hawkFeathers,
+                color: textures.hawkFeathers ? 0xFFFFFF : 0x4A3728
+            });
+            
+            // Left wing primaries
+            for (let i = 0; i < 6; i++) {
+                const feather = new THREE.Mesh(primaryFeatherGeometry, primaryMaterial);
+                feather.position.set(-1.4 - (i * 0.16), 0.02, 0.4 - (i * 0.14));
+                feather.rotation.y = -0.3 - (i * 0.12);
+                feather.rotation.z = -0.15;
+                feather.castShadow = true;
+                this.mesh.add(feather);
+            }
+            
+            // Right wing primaries
+            for (let i = 0; i < 6; i++) {
+                const feather = new THREE.Mesh(primaryFeatherGeometry, primaryMaterial);
+                feather.position.set(1.4 + (i * 0.16), 0.02, 0.4 - (i * 0.14));
+                feather.rotation.y = 0.3 + (i * 0.12);
+                feather.rotation.z = 0.15;
+                feather.castShadow = true;
+                this.mesh.add(feather);
+            }
+            
+            // Fan tail (spread tail feathers)
+            const tailFeatherGeometry = new THREE.BoxGeometry(0.25, 0.08, 0.8);
+            for (let i = 0; i < 7; i++) {
+                const angle = (i - 3) * 0.15; // Spread from -3 to +3
+                const tailFeather = new THREE.Mesh(tailFeatherGeometry, material);
+                tailFeather.position.set(Math.sin(angle) * 0.4, -0.1, -0.6 + Math.cos(angle) * 0.2);
+                tailFeather.rotation.y = angle;
+                tailFeather.castShadow = true;
+                this.mesh.add(tailFeather);
+            }
+            
+            // Spawn in the air
+            const edge = Math.floor(this.sim.random.next() * 4);
+            switch(edge) {
+                case 0: this.mesh.position.set(this.sim.random.next() * 60 - 30, 15, -35); break;
+                case 1: this.mesh.position.set(this.sim.random.next() * 60 - 30, 15, 35); break;
+                case 2: this.mesh.position.set(-35, 15, this.sim.random.next() * 60 - 30); break;
+                case 3: this.mesh.position.set(35, 15, this.sim.random.next() * 60 - 30); break;
+            }
+            
+            this.speed = 6 * this.sim.difficulty.predatorSpeed;
+            this.health = this.sim.difficulty.hawkHealth;
+            this.isFlying = true;
+        } else if (type === 'fox') {
+            // Fox - low, slim ground predator that goes for the coop
+            const furMaterial = new THREE.MeshLambertMaterial({ color: 0xD2551E });
+            const whiteMaterial = new THREE.MeshLambertMaterial({ color: 0xF5F5F0 });
+            const darkMaterial = new THREE.MeshLambertMaterial({ color: 0x1A1A1A });
+            
+            // Body (long and low)
+            const body = new THREE.Mesh(new THREE.SphereGeometry(0.5, 12, 12), furMaterial);
+            body.position.set(0, 0.7, 0);
+            body.scale.set(0.8, 0.75, 1.6);
+            body.castShadow = true;
+            this.mesh.add(body);
+            
+            // White chest
+            const chest = new THREE.Mesh(new THREE.SphereGeometry(0.3, 10, 10), whiteMaterial);
+            chest.position.set(0, 0.6, 0.55);
+            chest.scale.set(1, 1, 0.8);
+            this.mesh.add(chest);
+            
+            // Head
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.32, 12, 12), furMaterial);
+            head.position.set(0, 0.95, 0.95);
+            head.castShadow = true;
+            this.mesh.add(head);
+            
+            // Pointed snout with a black nose
+            const snout = new THREE.Mesh(new THREE.ConeGeometry(0.16, 0.5, 10), furMaterial);
+            snout.position.set(0, 0.88, 1.35);
+            snout.rotation.x = Math.PI / 2;
+            this.mesh.add(snout);
+            
+            const nose = new THREE.Mesh(new THREE.SphereGeometry(0.06, 8, 8), darkMaterial);
+            nose.position.set(0, 0.88, 1.6);
+            this.mesh.add(nose);
+            
+            // Eyes
+            const eyeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+            const leftEye = new THREE.Mesh(eyeGeometry, darkMaterial);
+            leftEye.position.set(-0.14, 1.05, 1.2);
+            this.mesh.add(leftEye);
+            
+            const rightEye = new THREE.Mesh(eyeGeometry, darkMaterial);
+            rightEye.position.set(0.14, 1.05, 1.2);
+            this.mesh.add(rightEye);
+            
+            // Tall pointed ears
+            const earGeometry = new THREE.ConeGeometry(0.12, 0.35, 4);
+            const leftEar = new THREE.Mesh(earGeometry, furMaterial);
+            leftEar.position.set(-0.17, 1.3, 0.9);
+            leftEar.rotation.z = 0.2;
+            this.mesh.add(leftEar);
+            
+            const rightEar = new THREE.Mesh(earGeometry, furMaterial);
+            rightEar.position.set(0.17, 1.3, 0.9);
+            rightEar.rotation.z = -0.2;
+            this.mesh.add(rightEar);
+            
+            // Thin black legs
+            const legGeometry = new THREE.CylinderGeometry(0.07, 0.06, 0.5, 6);
+            [[-0.2, 0.45], [0.2, 0.45], [-0.2, -0.45], [0.2, -0.45]].forEach(([x, z]) => {
+                const leg = new THREE.Mesh(legGeometry, darkMaterial);
+                leg.position.set(x, 0.25, z);
+                leg.castShadow = true;
+                this.mesh.add(leg);
+            });
+            
+            // Bushy tail with a white tip
+            const tail = new THREE.Mesh(new THREE.SphereGeometry(0.22, 10, 10), furMaterial);
+            tail.position.set(0, 0.65, -1.05);
+            tail.scale.set(1, 1, 2.6);
+            tail.rotation.x = 0.35;
+            tail.castShadow = true;
+            this.mesh.add(tail);
+            
+            const tailTip = new THREE.Mesh(new THREE.SphereGeometry(0.15, 8, 8), whiteMaterial);
+            tailTip.position.set(0, 0.45, -1.6);
+            this.mesh.add(tailTip);
+            
+            // Sneak in from the woods behind the coop (west or north edge)
+            if (this.sim.random.next() < 0.5) {
+                this.mesh.position.set(-35, 0, -30 + this.sim.random.next() * 20);
+            } else {
+                this.mesh.position.set(-30 + this.sim.random.next() * 20, 0, -35);
+            }
+            
+            this.speed = FOX_ESCAPE_SPEED * this.sim.difficulty.predatorSpeed;
+            this.health = this.sim.difficulty.foxHealth;
+            this.isFlying = false;
+        } else if (type === 'snake') {
+            // Snake - a chain of body segments that wriggle as it moves
+            const scaleMaterial = new THREE.MeshLambertMaterial({ color: 0x4A7A2A });
+            const bellyMaterial = new THREE.MeshLambertMaterial({ color: 0xC8B560 });
+            const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+            
+            // Head
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 10, 10), scaleMaterial);
+            head.position.set(0, 0.18, 0.3);
+            head.scale.set(1, 0.7, 1.4);
+            head.castShadow = true;
+            this.mesh.add(head);
+            
+            const leftEye = new THREE.Mesh(new THREE.SphereGeometry(0.04, 6, 6), eyeMaterial);
+            leftEye.position.set(-0.12, 0.26, 0.42);
+            this.mesh.add(leftEye);
+            
+            const rightEye = new THREE.Mesh(new THREE.SphereGeometry(0.04, 6, 6), eyeMaterial);
+            rightEye.position.set(0.12, 0.26, 0.42);
+            this.mesh.add(rightEye);
+            
+            // Forked tongue
+            const tongue = new THREE.Mesh(
+                new THREE.BoxGeometry(0.04, 0.02, 0.25),
+                new THREE.MeshLambertMaterial({ color: 0xCC0000 })
+            );
+            tongue.position.set(0, 0.14, 0.7);
+            this.mesh.add(tongue);
+            
+            // Body segments taper toward the tail, with bands of lighter scales
+            this.segments = [];
+            for (let i = 0; i < 10; i++) {
+                const radius = 0.18 - i * 0.012;
+                const segment = new THREE.Mesh(
+                    new THREE.SphereGeometry(radius, 8, 8),
+                    i % 3 === 2 ? bellyMaterial : scaleMaterial
+                );
+                segment.position.set(0, radius, -i * 0.3);
+                segment.scale.set(1, 0.8, 1.3);
+                segment.castShadow = true;
+                this.mesh.add(segment);
+                this.segments.push(segment);
+            }
+            this.slitherPhase = 0;
+            
+            // Comes out of the long grass north of the coop
+            this.mesh.position.set(-15 + this.sim.random.next() * 15, 0, -35);
+            
+            this.speed = SNAKE_SPEED * this.sim.difficulty.predatorSpeed;
+            this.health = 1; // One swat sends it off
+            this.isFlying = false;
+        } else if (type === 'raccoon') {
+            // Raccoon - stocky gray body, black mask and a ringed tail
+            const furMaterial = new THREE.MeshLambertMaterial({ color: 0x808080 });
+            const lightMaterial = new THREE.MeshLambertMaterial({ color: 0xD8D8D8 });
+            const darkMaterial = new THREE.MeshLambertMaterial({ color: 0x202020 });
+            
+            // Body
+            const body = new THREE.Mesh(new THREE.SphereGeometry(0.5, 12, 12), furMaterial);
+            body.position.set(0, 0.6, 0);
+            body.scale.set(1, 0.85, 1.3);
+            body.castShadow = true;
+            this.mesh.add(body);
+            
+            // Head with a pale face and black mask
+            const head = new THREE.Mesh(new THREE.SphereGeometry(0.32, 12, 12), lightMaterial);
+            head.position.set(0, 0.8, 0.7);
+            head.castShadow = true;
+            this.mesh.add(head);
+            
+            const mask = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.12, 0.2), darkMaterial);
+            mask.position.set(0, 0.86, 0.9);
+            this.mesh.add(mask);
+            
+            const snout = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.3, 8), lightMaterial);
+            snout.position.set(0, 0.74, 1.05);
+            snout.rotation.x = Math.PI / 2;
+            this.mesh.add(snout);
+            
+            const nose = new THREE.Mesh(new THREE.SphereGeometry(0.05, 6, 6), darkMaterial);
+            nose.position.set(0, 0.74, 1.2);
+            this.mesh.add(nose);
+            
+            // Round ears
+            const earGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+            const leftEar = new THREE.Mesh(earGeometry, furMaterial);
+            leftEar.position.set(-0.2, 1.08, 0.62);
+            leftEar.scale.set(1, 1, 0.5);
+            this.mesh.add(leftEar);
+            
+            const rightEar = new THREE.Mesh(earGeometry, furMaterial);
+            rightEar.position.set(0.2, 1.08, 0.62);
+            rightEar.scale.set(1, 1, 0.5);
+            this.mesh.add(rightEar);
+            
+            // Short dark legs
+            const legGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.35, 6);
+            [[-0.25, 0.35], [0.25, 0.35], [-0.25, -0.35], [0.25, -0.35]].forEach(([x, z]) => {
+                const leg = new THREE.Mesh(legGeometry, darkMaterial);
+                leg.position.set(x, 0.18, z);
+                this.mesh.add(leg);
+            });
+            
+            // Ringed tail
+            for (let i = 0; i < 5; i++) {
+                const ring = new THREE.Mesh(
+                    new THREE.CylinderGeometry(0.14, 0.14, 0.16, 8),
+                    i % 2 === 0 ? darkMaterial : furMaterial
+                );
+                ring.position.set(0, 0.6 + i * 0.06, -0.75 - i * 0.15);
+                ring.rotation.x = Math.PI / 2 - 0.4;
+                this.mesh.add(ring);
+            }
+            
+            // Spawn at random edge
+            const edge = Math.floor(this.sim.random.next() * 4);
+            switch(edge) {
+                case 0: this.mesh.position.set(this.sim.random.next() * 60 - 30, 0, -35); break;
+                case 1: this.mesh.position.set(this.sim.random.next() * 60 - 30, 0, 35); break;
+                case 2: this.mesh.position.set(-35, 0, this.sim.random.next() * 60 - 30); break;
+                case 3: this.mesh.position.set(35, 0, this.sim.random.next() * 60 - 30); break;
+            }
+            
+            this.speed = RACCOON_SPEED * this.sim.difficulty.predatorSpeed;
+            this.health = this.sim.difficulty.raccoonHealth;
+            this.isFlying = false;
+        } else {
+            // Dog - ground predator (twice as big, more dog-like)
+            const color = 0x8B4513;
+            const material = new THREE.MeshLambertMaterial({ 
+                map: textures.dogHair,
+                color: textures.dogHair ? 0xFFFFFF : 0x8B4513
+            });
+            
+            // Body (more elongated, less blocky - dog-shaped)
+            const bodyGeometry = new THREE.BoxGeometry(0.8, 0.8, 1.8);
+            const body = new THREE.Mesh(bodyGeometry, material);
+            body.position.set(0, 0.9, 0);
+            body.castShadow = true;
+            this.mesh.add(body);
+            
+            // Head (more rounded)
+            const headGeometry = new THREE.SphereGeometry(0.5, 12, 12);
+            const head = new THREE.Mesh(headGeometry, material);
+            head.position.set(0, 1.0, 1.3);
+            head.scale.set(0.9, 0.9, 1.1);
+            head.castShadow = true;
+            this.mesh.add(head);
+            
+            // Snout
+            const snoutGeometry = new THREE.CylinderGeometry(0.25, 0.3, 0.6, 12);
+            const snoutMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
+            const snout = new THREE.Mesh(snoutGeometry, snoutMaterial);
+            snout.position.set(0, 0.9, 1.9);
+            snout.rotation.x = Math.PI / 2;
+            snout.castShadow = true;
+            this.mesh.add(snout);
+            
+            // Nose
+            const noseGeometry = new THREE.SphereGeometry(0.12, 8, 8);
+            const noseMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+            const nose = new THREE.Mesh(noseGeometry, noseMaterial);
+            nose.position.set(0, 0.9, 2.2);
+            this.mesh.add(nose);
+            
+            // Eyes
+            const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
+            const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+            
+            const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            leftEye.position.set(-0.25, 1.15, 1.7);
+            this.mesh.add(leftEye);
+            
+            const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            rightEye.position.set(0.25, 1.15, 1.7);
+            this.mesh.add(rightEye);
+            
+            // Ears (floppy)
+            const earGeometry = new THREE.BoxGeometry(0.25, 0.5, 0.1);
+            const leftEar = new THREE.Mesh(earGeometry, material);
+            leftEar.position.set(-0.4, 1.3, 1.1);
+            leftEar.rotation.z = -0.3;
+            leftEar.castShadow = true;
+            this.mesh.add(leftEar);
+            
+            const rightEar = new THREE.Mesh(earGeometry, material);
+            rightEar.position.set(0.4, 1.3, 1.1);
+            rightEar.rotation.z = 0.3;
+            rightEar.castShadow = true;
+            this.mesh.add(rightEar);
+            
+            // Legs (distinct and properly positioned)
+            const legGeometry = new THREE.CylinderGeometry(0.15, 0.15, 0.9, 8);
+            const legMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
+            
+            const frontLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
+            frontLeftLeg.position.set(-0.35, 0.45, 0.7);
+            frontLeftLeg.castShadow = true;
+            this.mesh.add(frontLeftLeg);
+            
+            const frontRightLeg = new THREE.Mesh(legGeometry, legMaterial);
+            frontRightLeg.position.set(0.35, 0.45, 0.7);
+            frontRightLeg.castShadow = true;
+            this.mesh.add(frontRightLeg);
+            
+            const backLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
+            backLeftLeg.position.set(-0.35, 0.45, -0.7);
+            backLeftLeg.castShadow = true;
+            this.mesh.add(backLeftLeg);
+            
+            const backRightLeg = new THREE.Mesh(legGeometry, legMaterial);
+            backRightLeg.position.set(0.35, 0.45, -0.7);
+            backRightLeg.castShadow = true;
+            this.mesh.add(backRightLeg);
+            
+            // Paws
+            const pawGeometry = new THREE.SphereGeometry(0.18, 8, 8);
+            const pawMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
+            
+            const frontLeftPaw = new THREE.Mesh(pawGeometry, pawMaterial);
+            frontLeftPaw.position.set(-0.35, 0.1, 0.7);
+            frontLeftPaw.scale.set(1, 0.6, 1);
+            this.mesh.add(frontLeftPaw);
+            
+            const frontRightPaw = new THREE.Mesh(pawGeometry, pawMaterial);
+            frontRightPaw.position.set(0.35, 0.1, 0.7);
+            frontRightPaw.scale.set(1, 0.6, 1);
+            this.mesh.add(frontRightPaw);
+            
+            const backLeftPaw = new THREE.Mesh(pawGeometry, pawMaterial);
+            backLeftPaw.position.set(-0.35, 0.1, -0.7);
+            backLeftPaw.scale.set(1, 0.6, 1);
+            this.mesh.add(backLeftPaw);
+            
+            const backRightPaw = new THREE.Mesh(pawGeometry, pawMaterial);
+            backRightPaw.position.set(0.35, 0.1, -0.7);
+            backRightPaw.scale.set(1, 0.6, 1);
+            this.mesh.add(backRightPaw);
+            
+            // Tail (curved upward)
+            const tailGeometry = new THREE.CylinderGeometry(0.12, 0.08, 1.0, 8);
+            const tail = new THREE.Mesh(tailGeometry, material);
+            tail.position.set(0, 1.2, -1.0);
+            tail.rotation.x = -Math.PI / 3;
+            tail.castShadow = true;
+            this.mesh.add(tail);
+            
+            // Spawn at random edge
+            const edge = Math.floor(this.sim.random.next() * 4);
+            switch(edge) {
+                case 0: this.mesh.position.set(this.sim.random.next() * 60 - 30, 0, -35); break;
+                case 1: this.mesh.position.set(this.sim.random.next() * 60 - 30, 0, 35); break;
+                case 2: this.mesh.position.set(-35, 0, this.sim.random.next() * 60 - 30); break;
+                case 3: this.mesh.position.set(35, 0, this.sim.random.next() * 60 - 30); break;
+            }
+            
+            this.speed = 4 * this.sim.difficulty.predatorSpeed;
+            this.health = this.sim.difficulty.dogHealth;
+            this.isFlying = false;
+        }
+        
+        this.sim.root.add(this.mesh);
+        
+        this.velocity = new THREE.Vector3();
+        this.target = null; // Non-bird target (the corn pile a raccoon is after)
+        this.fleeing = false;
+        this.capturedBird = null; // Bird being carried
+        this.targetBird = null; // Bird being stalked (for hawks waiting)
+        this.captureTimer = 0; // For hawks - time on bird before grabbing
+        this.struggleTimer = 0; // Time the carried bird keeps struggling
+        this.hasScreeched = false; // Track if hawk has screeched during this hunt
+        this.barkTimer = 0; // For dogs - time since last bark
+        this.foxState = type === 'fox' ? 'stalk' : null; // For foxes - stalk, dash or escape
+        this.snakeState = type === 'snake' ? 'slither' : null; // For snakes - slither, inside or escape
+        this.eatTimer = 0; // For snakes - time until the next egg is swallowed
+        this.swipeTimer = 0; // For raccoons - time until the next swipe at a bird
+        this.waitTimer = RACCOON_PATIENCE; // For raccoons - time left waiting for corn
+        this.leftOnItsOwn = false; // Gave up and left without the player scaring it off
+    }
+    
+    // Plain data for a saved game; birds are stored as indexes into the flock
+    serialize(birds) {
+        return {
+            type: this.type,
+            position: this.mesh.position.toArray(),
+            rotation: this.mesh.rotation.y,
+            velocity: this.velocity.toArray(),
+            health: this.health,
+            fleeing: this.fleeing,
+            capturedBird: birds.indexOf(this.capturedBird),
+            targetBird: birds.indexOf(this.targetBird),
+            captureTimer: this.captureTimer,
+            struggleTimer: this.struggleTimer,
+            hasScreeched: this.hasScreeched,
+            barkTimer: this.barkTimer,
+            foxState: this.foxState,
+            snakeState: this.snakeState,
+            eatTimer: this.eatTimer,
+            swipeTimer: this.swipeTimer,
+            waitTimer: this.waitTimer
+        };
+    }
+    
+    restore(data, birds) {
+        this.mesh.position.fromArray(data.position);
+        this.mesh.rotation.y = data.rotation;
+        this.velocity.fromArray(data.velocity);
+        this.health = data.health;
+        this.fleeing = data.fleeing;
+        this.capturedBird = birds[data.capturedBird] || null;
+        this.targetBird = birds[data.targetBird] || null;
+        this.captureTimer = data.captureTimer;
+        this.struggleTimer = data.struggleTimer;
+        this.hasScreeched = data.hasScreeched;
+        this.barkTimer = data.barkTimer;
+        this.foxState = data.foxState;
+        this.snakeState = data.snakeState;
+        this.eatTimer = data.eatTimer;
+        this.swipeTimer = data.swipeTimer;
+        this.waitTimer = data.waitTimer;
+    }
+    
+    // Struck by the player's staff (the scare action, or an aimed swing - see Player.swingAt)
+    hit(player) {
+        this.fleeing = true;
+        this.health--;
+        
+        // Trigger staff swing animation
+        player.swingStaff();
+        
+        // Dog barks when hit, a fox yips and gives up on the raid
+        if (this.type === 'dog') {
+            this.sim.emit('sound', 'playDogBark');
+        } else if (this.type === 'fox') {
+            this.sim.emit('sound', 'playFoxYip');
+            this.foxState = 'escape';
+        }
+        
+        // Hitting a predator makes it drop the bird it's carrying
+        if (this.capturedBird) {
+            this.dropBird();
+        }
+        
+        // Reset target bird if stalking
+        if (this.targetBird) {
+            this.targetBird = null;
+            this.captureTimer = 0;
+        }
+    }
+    
+    update(delta, birds, player) {
+        this.navPath = null;
+        
+        // Knocked out by an aimed swing since the last step
+        if (this.health <= 0) {
+            return true;
+        }
+        
+        // Check if player scares predator
+        if (player) {
+            const distToPlayer = this.mesh.position.distanceTo(player.mesh.position);
+            const scareRange = this.isFlying ? SWING_REACH_FLYING : SWING_REACH;
+            
+            if (distToPlayer < scareRange && this.sim.input.scare) {
+                this.hit(player);
+                if (this.health <= 0) {
+                    return true; // Signal to remove this predator
+                }
+            }
+            
+            if (distToPlayer > 10) {
+                this.fleeing = false;
+            }
+        }
+        
+        if (this.fleeing && player) {
+            // Run/fly away from player
+            const away = new THREE.Vector3()
+                .subVectors(this.mesh.position, player.mesh.position)
+                .normalize();
+            this.velocity.copy(away).multiplyScalar(this.speed * 1.5);
+            
+            if (this.isFlying) {
+                this.mesh.position.y += delta * 8;
+            }
+        } else if (this.capturedBird) {
+            // Carrying a bird - head to edge, slowed down while it struggles
+            const struggling = this.struggleTimer > 0;
+            this.struggleTimer = Math.max(0, this.struggleTimer - delta);
+            const edge = this.getClosestEdge();
+            const direction = new THREE.Vector3()
+                .subVectors(edge, this.mesh.position)
+                .normalize();
+            this.velocity.copy(direction).multiplyScalar(this.speed * (struggling ? STRUGGLE_SPEED_FACTOR : 1));
+            
+            // Hawks fly up when carrying
+            if (this.isFlying) {
+                const carryHeight = struggling ? STRUGGLE_CARRY_HEIGHT : CARRY_HEIGHT;
+                if (this.mesh.position.y < carryHeight) {
+                    this.mesh.position.y += delta * 8;
+                }
+            }
+            
+            // Move captured bird with predator, wriggling while it struggles
+            this.capturedBird.mesh.position.copy(this.mesh.position);
+            this.capturedBird.mesh.position.y = this.mesh.position.y;
+            this.capturedBird.mesh.rotation.z = struggling ? Math.sin(this.struggleTimer * 30) * 0.4 : 0;
+            
+            // Check if crossed the boundary (beyond -32 or 32)
+            const outOfBounds = (
+                this.mesh.position.x < -32 || this.mesh.position.x > 32 ||
+                this.mesh.position.z < -32 || this.mesh.position.z > 32
+            );
+            
+            if (outOfBounds) {
+                // Bird is killed - signal to remove it
+                this.capturedBird.killed = true;
+                this.capturedBird.killedBy = this.type;
+                return true; // Remove predator too
+            }
+        } else if (this.type === 'fox') {
+            if (this.updateFox(birds, player)) {
+                return true; // Slunk off the map
+            }
+        } else if (this.type === 'snake') {
+            if (this.updateSnake(delta)) {
+                return true; // Driven off the map
+            }
+        } else if (this.type === 'raccoon') {
+            if (this.updateRaccoon(delta, birds, player)) {
+                this.leftOnItsOwn = true;
+                return false; // Removed by the simulation without credit to the player
+            }
+        } else {
+            // Hunt nearest bird
+            let nearest = null;
+            let nearestDist = Infinity;
+            
+            for (const bird of birds) {
+                if (!bird.captured && !bird.falling) {
+                    const dist = this.mesh.position.distanceTo(bird.mesh.position);
+                    if (dist < nearestDist) {
+                        nearestDist = dist;
+                        nearest = bird;
+                    }
+                }
+            }
+            
+            if (nearest) {
+                // Check if caught bird
+                if (nearestDist < 2.0) {  // Increased to 2.0 for easier capture
+                    if (this.isFlying && !nearest.isChick) {
+                        // Hawk: hover for the grab delay (10 seconds on Normal) before grabbing
+                        // Lock onto this bird while waiting
+                        if (!this.targetBird) {
+                            this.targetBird = nearest;
+                        }
+                        
+                        this.captureTimer += delta;
+                        
+                        // Stay on top of the bird
+                        this.mesh.position.x = this.targetBird.mesh.position.x;
+                        this.mesh.position.z = this.targetBird.mesh.position.z;
+                        this.mesh.position.y = 1.5;
+                        this.velocity.set(0, 0, 0);
+                        
+                        if (this.captureTimer >= this.sim.difficulty.hawkGrabDelay) {
+                            this.grab(this.targetBird);
+                        }
+                    } else {
+                        // Dog, or hawk on a chick: grab immediately
+                        this.grab(nearest);
+                    }
+                } else {
+                    // Not close enough, chase the bird (dogs run around whatever is in the way)
+                    this.targetBird = null;
+                    this.captureTimer = 0;
+                    
+                    const direction = this.isFlying
+                        ? new THREE.Vector3().subVectors(nearest.mesh.position, this.mesh.position).normalize()
+                        : this.sim.navigation.directionTo(this, nearest.mesh.position, 'ground');
+                    this.velocity.copy(direction).multiplyScalar(this.speed);
+                    
+                    // Dogs bark periodically while chasing
+                    if (!this.isFlying) {
+                        this.barkTimer += delta;
+                        if (this.barkTimer >= 2) { // Bark every 2 seconds
+                            this.sim.emit('sound', 'playDogBark');
+                            this.barkTimer = 0;
+                        }
+                    }
+                    
+                    // Hawks dive down when hunting
+                    if (this.isFlying) {
+                        const targetHeight = 1.5;
+                        if (this.mesh.position.y > targetHeight) {
+                            this.mesh.position.y -= delta * 6;
+                            
+                            // Screech once when starting to dive
+                            if (!this.hasScreeched && this.mesh.position.y < 10) {
+                                this.sim.emit('sound', 'playHawkScreech');
+                                this.hasScreeched = true;
+                            }
+                        } else {
+                            this.mesh.position.y = targetHeight;
+                        }
+                    }
+                }
+            } else if (this.isFlying) {
+                // No target, maintain cruising altitude
+                this.hasScreeched = false; // Reset for next hunt
+                const cruisingHeight = 12;
+                if (this.mesh.position.y < cruisingHeight) {
+                    this.mesh.position.y += delta * 3;
+                }
+            }
+        }
+        
+        // Ground predators go around the coop, fences, the pond, the player, Liz and each other
+        // (hawks fly over), but a dashing fox slips in the chicken door and a snake curls up inside
+        const obstacleOptions = { ignoreCoop: this.foxState === 'dash' || this.snakeState === 'inside' };
+        if (!this.isFlying) {
+            this.sim.collision.steer(this, this.velocity, obstacleOptions);
+        }
+        
+        // Hawks fight the wind
+        const windFactor = this.isFlying ? this.sim.weather.flyingSpeedFactor() : 1;
+        this.mesh.position.x += this.velocity.x * delta * windFactor;
+        this.mesh.position.z += this.velocity.z * delta * windFactor;
+        
+        if (!this.isFlying) {
+            this.sim.collision.resolve(this, obstacleOptions);
+        }
+        
+        // Face movement direction
+        if (this.velocity.length() > 0.1) {
+            this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+        }
+        
+        return false;
+    }
+    
+    // Fox: creep toward chickens at the coop while keeping out of the player's view,
+    // dash in once close, then escape (carrying a catch is handled in update).
+    // Returns true once an escaping fox is off the map.
+    updateFox(birds, player) {
+        const predatorSpeed = this.sim.difficulty.predatorSpeed;
+        
+        if (this.foxState === 'escape') {
+            // Scared off or lost its catch - slink away and don't come back
+            const edge = this.getClosestEdge();
+            this.velocity.subVectors(edge, this.mesh.position).setY(0).normalize().multiplyScalar(this.speed);
+            return (
+                this.mesh.position.x < -32 || this.mesh.position.x > 32 ||
+                this.mesh.position.z < -32 || this.mesh.position.z > 32
+            );
+        }
+        
+        const target = this.pickFoxTarget(birds);
+        if (!target) {
+            // Nothing to raid yet, wait by the chicken door
+            this.foxState = 'stalk';
+            const lurk = this.sim.state.coopPosition.clone().add(FOX_LURK_OFFSET);
+            const toLurk = new THREE.Vector3().subVectors(lurk, this.mesh.position).setY(0);
+            if (toLurk.length() > 1 && !this.isSeenBy(player)) {
+                this.velocity.copy(toLurk.normalize()).multiplyScalar(FOX_STALK_SPEED * predatorSpeed);
+            } else {
+                this.velocity.set(0, 0, 0);
+            }
+            return false;
+        }
+        
+        const toTarget = new THREE.Vector3().subVectors(target.mesh.position, this.mesh.position).setY(0);
+        const dist = toTarget.length();
+        
+        if (this.foxState === 'stalk') {
+            if (dist < FOX_DASH_RANGE) {
+                this.foxState = 'dash';
+                this.sim.emit('sound', 'playFoxYip');
+            } else if (this.isSeenBy(player)) {
+                // Back off out of sight
+                const away = new THREE.Vector3().subVectors(this.mesh.position, player.mesh.position).setY(0).normalize();
+                this.velocity.copy(away).multiplyScalar(FOX_STALK_SPEED * predatorSpeed * 0.5);
+            } else {
+                this.velocity.copy(toTarget.normalize()).multiplyScalar(FOX_STALK_SPEED * predatorSpeed);
+            }
+        }
+        
+        if (this.foxState === 'dash') {
+            if (dist < 1.2) {
+                // Got one - run for it (see the capturedBird branch in update)
+                this.grab(target);
+                this.foxState = 'escape';
+                this.velocity.set(0, 0, 0);
+            } else if (dist > FOX_DASH_RANGE * 2) {
+                // It got away, go back to creeping
+                this.foxState = 'stalk';
+            } else {
+                this.velocity.copy(toTarget.normalize()).multiplyScalar(FOX_DASH_SPEED * predatorSpeed);
+            }
+        }
+        
+        return false;
+    }
+    
+    // Snake: slither to the chicken door, then sit in the nest boxes eating eggs
+    // until the player comes in and drives it off. Returns true once it's off the map.
+    updateSnake(delta) {
+        // Wriggle the body while moving
+        if (this.velocity.lengthSq() > 0) {
+            this.slitherPhase += delta * 8;
+            this.segments.forEach((segment, i) => {
+                segment.position.x = Math.sin(this.slitherPhase - i * 0.8) * 0.2;
+            });
+        }
+        
+        if (this.snakeState === 'slither') {
+            const door = this.sim.state.coopPosition.clone().add(SNAKE_DOOR_OFFSET);
+            const toDoor = new THREE.Vector3().subVectors(door, this.mesh.position).setY(0);
+            if (toDoor.length() > 0.5) {
+                this.velocity.copy(toDoor.normalize()).multiplyScalar(this.speed);
+            } else if (this.sim.state.inCoop) {
+                // The player is already inside
+                this.driveOff();
+            } else {
+                // Through the chicken door and into the nest boxes
+                this.snakeState = 'inside';
+                this.eatTimer = SNAKE_EAT_TIME;
+                this.mesh.position.copy(this.sim.state.coopPosition);
+                this.velocity.set(0, 0, 0);
+                this.sim.emit('sound', 'playSnakeHiss');
+                this.sim.emit('snakeInCoop');
+            }
+        } else if (this.snakeState === 'inside') {
+            this.eatTimer -= delta;
+            if (this.eatTimer <= 0) {
+                this.sim.eatEgg();
+                this.eatTimer = SNAKE_EAT_TIME;
+            }
+        } else {
+            const edge = this.getClosestEdge();
+            this.velocity.subVectors(edge, this.mesh.position).setY(0).normalize().multiplyScalar(this.speed * 1.5);
+            return (
+                this.mesh.position.x < -32 || this.mesh.position.x > 32 ||
+                this.mesh.position.z < -32 || this.mesh.position.z > 32
+            );
+        }
+        
+        return false;
+    }
+    
+    // Pick up a bird to carry off; it struggles for a while first
+    grab(bird) {
+        this.capturedBird = bird;
+        bird.captured = true;
+        this.targetBird = null;
+        this.captureTimer = 0;
+        this.struggleTimer = STRUGGLE_TIME;
+        this.sim.emit('sound', bird.type === 'chicken' ? 'playChickenSquawk' : 'playDuckQuack');
+        this.sim.emit('birdCaptured', bird, this);
+    }
+    
+    // Let go of the carried bird after a hit; it falls from wherever it was held (see Bird.updateFall)
+    dropBird() {
+        const bird = this.capturedBird;
+        bird.captured = false;
+        bird.falling = true;
+        bird.fallSpeed = 0;
+        bird.dropHeight = bird.mesh.position.y;
+        bird.mesh.rotation.z = 0;
+        bird.rescues++;
+        this.capturedBird = null;
+        this.captureTimer = 0;
+        this.struggleTimer = 0;
+        this.sim.rescueBird(bird, this);
+    }
+    
+    // Chase a snake back out of the chicken door
+    driveOff() {
+        this.snakeState = 'escape';
+        this.mesh.position.copy(this.sim.state.coopPosition).add(SNAKE_DOOR_OFFSET);
+        this.sim.emit('sound', 'playSnakeHiss');
+    }
+    
+    // Raccoon: raid the nearest corn pile, swiping at birds feeding there, and
+    // scatter when the player comes near. With no corn out they wait at the
+    // treeline for a while, then leave; returns true once it gives up.
+    updateRaccoon(delta, birds, player) {
+        if (player && this.mesh.position.distanceTo(player.mesh.position) < RACCOON_SCATTER_RANGE) {
+            this.fleeing = true; // Picked up by the fleeing branch next step
+        }
+        
+        this.target = null;
+        let nearestDist = Infinity;
+        this.sim.state.cornPiles.forEach(pile => {
+            const dist = this.mesh.position.distanceTo(pile.location);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                this.target = pile;
+            }
+        });
+        
+        if (!this.target) {
+            const edge = this.getClosestEdge();
+            const atTreeline = Math.abs(this.mesh.position.x) > 30 || Math.abs(this.mesh.position.z) > 30;
+            if (atTreeline) {
+                this.velocity.set(0, 0, 0);
+                this.waitTimer -= delta;
+                return this.waitTimer <= 0;
+            }
+            this.velocity.subVectors(edge, this.mesh.position).setY(0).normalize().multiplyScalar(this.speed * 0.5);
+            return false;
+        }
+        this.waitTimer = RACCOON_PATIENCE; // Corn's out, so wait afresh once it's gone
+        
+        const toPile = new THREE.Vector3().subVectors(this.target.location, this.mesh.position).setY(0);
+        if (toPile.length() > 1) {
+            this.velocity.copy(toPile.normalize()).multiplyScalar(this.speed);
+            return false;
+        }
+        
+        // At the pile: eat it down and fight off birds going for the same corn
+        this.velocity.set(0, 0, 0);
+        this.target.timer -= delta * RACCOON_EAT_RATE;
+        
+        this.swipeTimer -= delta;
+        if (this.swipeTimer > 0) return false;
+        
+        const rival = birds.find(bird =>
+            !bird.captured && !bird.onVisitorHead && !bird.falling &&
+            bird.mesh.position.distanceTo(this.mesh.position) < RACCOON_SWIPE_RANGE
+        );
+        if (rival) {
+            // Knock the bird back and send it running
+            const away = new THREE.Vector3().subVectors(rival.mesh.position, this.mesh.position).setY(0).normalize();
+            rival.velocity.copy(away).multiplyScalar(rival.speed * 3);
+            rival.scaredTimer = 2;
+            rival.hurt(RACCOON_SWIPE_DAMAGE, this.type);
+            this.sim.emit('sound', rival.type === 'chicken' ? 'playChickenSquawk' : 'playDuckQuack');
+            this.swipeTimer = RACCOON_SWIPE_TIME;
+        }
+        return false;
+    }
+    
+    // Chickens near the coop, preferring ones heading into or roosting inside it
+    pickFoxTarget(birds) {
+        const coop = this.sim.state.coopPosition;
+        const prey = birds.filter(bird =>
+            bird.type === 'chicken' && !bird.captured && !bird.onVisitorHead && !bird.falling &&
+            bird.mesh.position.distanceTo(coop) < FOX_COOP_RANGE
+        );
+        const visiting = prey.filter(bird => bird.coopVisitState === 'walking' || bird.coopVisitState === 'inside');
+        const candidates = visiting.length > 0 ? visiting : prey;
+        
+        let nearest = null;
+        let nearestDist = Infinity;
+        candidates.forEach(bird => {
+            const dist = this.mesh.position.distanceTo(bird.mesh.position);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = bird;
+            }
+        });
+        return nearest;
+    }
+    
+    // Whether this predator is in front of the player and close enough to be noticed
+    isSeenBy(player) {
+        if (!player || this.sim.state.inCoop) return false;
+        
+        const toPredator = new THREE.Vector3().subVectors(this.mesh.position, player.mesh.position).setY(0);
+        if (toPredator.length() > FOX_SIGHT_RANGE || toPredator.length() === 0) return false;
+        
+        const facing = new THREE.Vector3(Math.sin(player.mesh.rotation.y), 0, Math.cos(player.mesh.rotation.y));
+        return facing.angleTo(toPredator) < FOX_SIGHT_ANGLE;
+    }
+    
+    getClosestEdge() {
+        const pos = this.mesh.position;
+        const edges = [
+            new THREE.Vector3(pos.x, pos.y, -40),  // North
+            new THREE.Vector3(pos.x, pos.y, 40),   // South
+            new THREE.Vector3(-40, pos.y, pos.z),  // West
+            new THREE.Vector3(40, pos.y, pos.z)    // East
+        ];
+        
+        let closest = edges[0];
+        let minDist = pos.distanceTo(edges[0]);
+        
+        for (let i = 1; i < edges.length; i++) {
+            const dist = pos.distanceTo(edges[i]);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = edges[i];
+            }
+        }
+        
+        return closest;
+    }
+}
+
+// Visitor class - Liz the friendly neighbor
+class Visitor {
+    constructor(sim) {
+        this.sim = sim;
+        this.mesh = new THREE.Group();
+        
+        // Skin material
+        const skinMaterial = new THREE.MeshLambertMaterial({ color: 0xFFDBAC });
+        
+        // Legs (gray sweatpants)
+        const legGeometry = new THREE.CylinderGeometry(0.25, 0.25, 1.6, 8);
+        const pantsMaterial = new THREE.MeshLambertMaterial({ color: 0x808080 }); // Gray
+        
+        const leftLeg = new THREE.Mesh(legGeometry, pantsMaterial);
+        leftLeg.position.set(-0.3, 0.8, 0);
+        leftLeg.castShadow = true;
+        this.mesh.add(leftLeg);
+        this.leftLeg = leftLeg; // Store for animation
+        
+        const rightLeg = new THREE.Mesh(legGeometry, pantsMaterial);
+        rightLeg.position.set(0.3, 0.8, 0);
+        rightLeg.castShadow = true;
+        this.mesh.add(rightLeg);
+        this.rightLeg = rightLeg; // Store for animation
+        
+        // Feet (shoes)
+        const footGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.5);
+        const shoeMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF }); // White shoes
+        
+        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        leftFoot.position.set(-0.3, 0.1, 0.1);
+        leftFoot.castShadow = true;
+        this.mesh.add(leftFoot);
+        this.leftFoot = leftFoot; // Store for animation
+        
+        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
+        rightFoot.position.set(0.3, 0.1, 0.1);
+        rightFoot.castShadow = true;
+        this.mesh.add(rightFoot);
+        this.rightFoot = rightFoot; // Store for animation
+        
+        // Torso (blue sweatshirt)
+        const torsoGeometry = new THREE.BoxGeometry(0.9, 1.2, 0.5);
+        const sweatshirtMaterial = new THREE.MeshLambertMaterial({ color: 0x4169E1 }); // Royal blue
+        const torso = new THREE.Mesh(torsoGeometry, sweatshirtMaterial);
+        torso.position.set(0, 2.2, 0);
+        torso.castShadow = true;
+        this.mesh.add(torso);
+        this.torso = torso; // Store for animation
+        
+        // Add chest shape for feminine appearance
+        const chestGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+        const leftChest = new THREE.Mesh(chestGeometry, sweatshirtMaterial);
+        leftChest.position.set(-0.2, 2.4, 0.2);
+        leftChest.scale.set(1, 0.8, 1);
+        leftChest.castShadow = true;
+        this.mesh.add(leftChest);
+        this.leftChest = leftChest; // Store for animation
+        
+        const rightChest = new THREE.Mesh(chestGeometry, sweatshirtMaterial);
+        rightChest.position.set(0.2, 2.4, 0.2);
+        rightChest.scale.set(1, 0.8, 1);
+        rightChest.castShadow = true;
+        this.mesh.add(rightChest);
+        this.rightChest = rightChest; // Store for animation
+        
+        // Arms
+        const armGeometry = new THREE.CylinderGeometry(0.15, 0.15, 1.0, 8);
+        
+        const leftArm = new THREE.Mesh(armGeometry, sweatshirtMaterial);
+        leftArm.position.set(-0.6, 2.2, 0);
+        leftArm.castShadow = true;
+        this.mesh.add(leftArm);
+        this.leftArm = leftArm; // Store for animation
+        
+        const rightArm = new THREE.Mesh(armGeometry, sweatshirtMaterial);
+        rightArm.position.set(0.6, 2.2, 0);
+        rightArm.castShadow = true;
+        this.mesh.add(rightArm);
+        this.rightArm = rightArm; // Store for animation
+        
+        // Hands
+        const handGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+        
+        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
+        leftHand.position.set(-0.6, 1.7, 0);
+        leftHand.castShadow = true;
+        this.mesh.add(leftHand);
+        this.leftHand = leftHand; // Store for animation
+        
+        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
+        rightHand.position.set(0.6, 1.7, 0);
+        rightHand.castShadow = true;
+        this.mesh.add(rightHand);
+        this.rightHand = rightHand; // Store for animation
+        
+        // Head
+        const headGeometry = new THREE.SphereGeometry(0.45, 12, 12);
+        const head = new THREE.Mesh(headGeometry, skinMaterial);
+        head.position.set(0, 3.2, 0);
+        head.castShadow = true;
+        this.mesh.add(head);
+        this.head = head; // Store for animation
+        
+        // Eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.06, 8, 8);
+        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
+        
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.15, 3.25, 0.4);
+        this.mesh.add(leftEye);
+        this.leftEye = leftEye; // Store for animation
+        
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.15, 3.25, 0.4);
+        this.mesh.add(rightEye);
+        this.rightEye = rightEye; // Store for animation
+        
+        // Smile (happy arc)
+        const smileCurve = new THREE.EllipseCurve(
+            0, 0,
+            0.2, 0.1,
+            0, Math.PI,
+            false,
+            0
+        );
+        const smilePoints = smileCurve.getPoints(20);
+        const smileGeometry = new THREE.BufferGeometry().setFromPoints(smilePoints);
+        const smileMaterial = new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 2 });
+        const smile = new THREE.Line(smileGeometry, smileMaterial);
+        smile.position.set(0, 3.0, 0.42); // Lower on face
+        smile.rotation.x = Math.PI; // Flip to face forward correctly
+        smile.rotation.y = Math.PI; // Additional rotation
+        this.mesh.add(smile);
+        this.smile = smile; // Store for animation
+        
+        // Green baseball cap
+        const capBillGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.05, 16, 1, false, 0, Math.PI);
+        const capMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 }); // Forest green
+        const capBill = new THREE.Mesh(capBillGeometry, capMaterial);
+        capBill.position.set(0, 3.48, 0.25); // Move back closer to head
+        capBill.rotation.y = -Math.PI / 2; // Rotate -90 degrees (flip to point forward correctly)
+        capBill.castShadow = true;
+        this.mesh.add(capBill);
+        this.capBill = capBill; // Store for animation
+        
+        // Cap crown (dome)
+        const capCrownGeometry = new THREE.SphereGeometry(0.48, 12, 12, 0, Math.PI * 2, 0, Math.PI / 2);
+        const capCrown = new THREE.Mesh(capCrownGeometry, capMaterial);
+        capCrown.position.set(0, 3.45, 0);
+        capCrown.castShadow = true;
+        this.mesh.add(capCrown);
+        this.capCrown = capCrown; // Store for animation
+        
+        // Spawn at right side center
+        this.mesh.position.set(35, 0, 0);
+        this.entryPoint = new THREE.Vector3(35, 0, 0);
+        
+        this.sim.root.add(this.mesh);
+        
+        // State management
+        this.state = 'entering'; // entering, wandering, sitting, leaving
+        this.velocity = new THREE.Vector3();
+        this.speed = 3;
+        this.radius = PLAYER_RADIUS;
+        this.mass = PLAYER_MASS;
+        this.navPath = null; // Route being followed this step, for the debug overlay
+        this.targetPosition = null;
+        this.sitTimer = 0;
+        this.sitDuration = 20; // Sits for 20 seconds (increased for testing)
+        this.greetingShown = false;
+        this.greetingTimer = 0;
+        this.throwTimer = 0;
+        this.throwInterval = 3; // Throw treats every 3 seconds while sitting
+        this.birdsOnHead = []; // Track which birds are on her head
+        this.handRaiseTimer = 0; // Time left on the treat-throwing hand pose
+    }
+    
+    // Plain data for a saved game; birds are stored as indexes into the flock
+    serialize(birds) {
+        return {
+            position: this.mesh.position.toArray(),
+            rotation: this.mesh.rotation.y,
+            velocity: this.velocity.toArray(),
+            state: this.state,
+            targetPosition: this.targetPosition ? this.targetPosition.toArray() : null,
+            sitTimer: this.sitTimer,
+            greetingShown: this.greetingShown,
+            greetingTimer: this.greetingTimer,
+            throwTimer: this.throwTimer,
+            handRaiseTimer: this.handRaiseTimer,
+            birdsOnHead: this.birdsOnHead.map(bird => birds.indexOf(bird))
+        };
+    }
+    
+    restore(data, birds) {
+        this.mesh.position.fromArray(data.position);
+        this.mesh.rotation.y = data.rotation;
+        this.velocity.fromArray(data.velocity);
+        this.state = data.state;
+        this.targetPosition = data.targetPosition ? new THREE.Vector3().fromArray(data.targetPosition) : null;
+        this.sitTimer = data.sitTimer;
+        this.greetingShown = data.greetingShown;
+        this.greetingTimer = data.greetingTimer;
+        this.throwTimer = data.throwTimer;
+        this.handRaiseTimer = data.handRaiseTimer;
+        this.birdsOnHead = data.birdsOnHead.map(index => birds[index]);
+        
+        // Put the pose back the way it was
+        if (this.state === 'sitting') {
+            this.sitDown();
+        }
+        if (this.handRaiseTimer > 0) {
+            this.leftHand.position.y += 0.3;
+        }
+    }
+    
+    update(delta, birds, player) {
+        this.updateTreatThrow(delta);
+        this.navPath = null;
+        
+        // Update greeting timer across all states
+        if (!this.greetingShown && player) {
+            this.greetingTimer += delta;
+            if (this.greetingTimer >= 3) {
+                this.greetingShown = true;
+                this.showGreeting(player);
+            }
+        }
+        
+        if (this.state === 'entering') {
+            // Walk into the play area
+            const inBounds = this.mesh.position.x < 25;
+            
+            if (!inBounds) {
+                // Move toward center, around any fences put up by the gate
+                const yardEdge = new THREE.Vector3(24, 0, this.entryPoint.z);
+                this.velocity.copy(this.sim.navigation.directionTo(this, yardEdge, 'visitor')).multiplyScalar(this.speed);
+                this.mesh.position.x += this.velocity.x * delta;
+                this.mesh.position.z += this.velocity.z * delta;
+            } else {
+                // Pick a random spot to sit (not too close to coop or edges, and not in the pond)
+                do {
+                    this.targetPosition = new THREE.Vector3(
+                        -10 + this.sim.random.next() * 20,
+                        0,
+                        -10 + this.sim.random.next() * 20
+                    );
+                } while (this.sim.collision.isBlocked(this.targetPosition.x, this.targetPosition.z, this.radius, VISITOR_OBSTACLES));
+                this.state = 'wandering';
+            }
+        } else if (this.state === 'wandering') {
+            // Walk to target position
+            if (!this.targetPosition) {
+                console.error('Liz in wandering state but no target position!');
+                this.state = 'leaving';
+                return false;
+            }
+            
+            // Sit down early if a fence went up over the spot
+            const distToTarget = this.mesh.position.distanceTo(this.targetPosition);
+            const seatBlocked = distToTarget < 3 &&
+                this.sim.collision.isBlocked(this.targetPosition.x, this.targetPosition.z, this.radius, VISITOR_OBSTACLES);
+            
+            if (distToTarget > 1 && !seatBlocked) {
+                const direction = this.sim.navigation.directionTo(this, this.targetPosition, 'visitor');
+                this.velocity.copy(direction).multiplyScalar(this.speed);
+                this.sim.collision.steer(this, this.velocity, VISITOR_OBSTACLES);
+                this.mesh.position.x += this.velocity.x * delta;
+                this.mesh.position.z += this.velocity.z * delta;
+                
+                // Face movement direction
+                this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+            } else {
+                // Arrived, sit down
+                this.state = 'sitting';
+                this.velocity.set(0, 0, 0);
+                this.sitTimer = 0;
+                
+                // Animate sitting pose
+                this.sitDown();
+            }
+        } else if (this.state === 'sitting') {
+            // Sit and attract birds
+            this.sitTimer += delta;
+            this.throwTimer += delta;
+            
+            // Throw treats periodically
+            if (this.throwTimer >= this.throwInterval) {
+                this.throwTreat();
+                this.throwTimer = 0;
+            }
+            
+            // Attract birds to sit on head
+            this.attractBirds(birds, delta);
+            
+            // Time to leave
+            if (this.sitTimer >= this.sitDuration) {
+                this.state = 'leaving';
+                
+                // Show goodbye message
+                if (player) {
+                    this.showGoodbye(player);
+                }
+                
+                // Stand back up
+                this.standUp();
+                
+                // Birds jump off and resume normal behavior
+                this.birdsOnHead.forEach(bird => {
+                    bird.onVisitorHead = false;
+                    bird.attractedToVisitor = false; // Clear attraction flag
+                    bird.mesh.position.y = 0.3;
+                    bird.velocity.set(0, 0, 0); // Reset velocity
+                    bird.wanderTimer = 0; // Trigger new wander direction immediately
+                });
+                this.birdsOnHead = [];
+            }
+        } else if (this.state === 'leaving') {
+            // Walk back to entry point and off screen
+            // Once we're past x=33, just walk straight right to exit
+            if (this.mesh.position.x > 33) {
+                this.velocity.set(this.speed, 0, 0);
+                this.mesh.position.x += this.velocity.x * delta;
+                
+                // Face right
+                this.mesh.rotation.y = 0;
+                
+                // Remove when off screen
+                if (this.mesh.position.x > 40) {
+                    return true; // Signal to remove
+                }
+            } else {
+                // Navigate back toward entry point
+                const direction = this.sim.navigation.directionTo(this, this.entryPoint, 'visitor');
+                this.velocity.copy(direction).multiplyScalar(this.speed);
+                this.sim.collision.steer(this, this.velocity, VISITOR_OBSTACLES);
+                this.mesh.position.x += this.velocity.x * delta;
+                this.mesh.position.z += this.velocity.z * delta;
+                
+                // Face movement direction
+                this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
+            }
+        }
+        
+        this.sim.collision.resolve(this, VISITOR_OBSTACLES);
+        
+        return false;
+    }
+    
+    attractBirds(birds, delta) {
+        // Birds within range are attracted - larger range when sitting
+        const attractionRange = this.state === 'sitting' ? 20 : 12;
+        const headYOffset = this.state === 'sitting' ? 2.0 : 3.2; // Head position when sitting vs standing
+        const headPosition = new THREE.Vector3(
+            this.mesh.position.x,
+            this.mesh.position.y + headYOffset,
+            this.mesh.position.z
+        );
+        
+        // Target position for birds to gather around (slightly in front when sitting)
+        const gatherPosition = new THREE.Vector3(
+            this.mesh.position.x,
+            this.mesh.position.y,
+            this.mesh.position.z + (this.state === 'sitting' ? 1.0 : 0.5)
+        );
+        
+        birds.forEach(bird => {
+            const dist = bird.mesh.position.distanceTo(gatherPosition);
+            
+            if (dist < attractionRange && !bird.captured && !bird.onVisitorHead && !bird.falling) {
+                bird.cheer(VISITOR_HAPPINESS_RATE * delta);
+                
+                // Move toward gathering spot, but stop at a comfortable distance
+                if (dist > 1.5) {
+                    const toLiz = new THREE.Vector3()
+                        .subVectors(gatherPosition, bird.mesh.position)
+                        .normalize();
+                    bird.velocity.copy(toLiz).multiplyScalar(bird.speed * 2); // Faster attraction
+                    bird.attractedToVisitor = true; // Mark as attracted
+                } else {
+                    // Close enough, slow down and wander nearby
+                    bird.velocity.multiplyScalar(0.3);
+                    bird.attractedToVisitor = true;
+                }
+                
+                // If close enough, jump on head (2% chance per frame when very close)
+                if (dist < 2 && this.sim.random.next() < 0.02 && this.birdsOnHead.length < 3) {
+                    bird.onVisitorHead = true;
+                    this.birdsOnHead.push(bird);
+                    
+                    // Position on TOP of head (spread them out)
+                    const offset = this.birdsOnHead.length - 1;
+                    bird.headOffset = new THREE.Vector3(
+                        (offset - 1) * 0.4,  // Spread left/right
+                        0.7,                  // Well above head (0.45 head radius + 0.25 clearance for cap)
+                        (offset - 1) * 0.2   // Slight front/back variation
+                    );
+                }
+            } else if (bird.attractedToVisitor && dist >= attractionRange) {
+                // Bird left range, clear attraction flag
+                bird.attractedToVisitor = false;
+            }
+        });
+        
+        // Update birds on head
+        this.birdsOnHead.forEach(bird => {
+            bird.mesh.position.copy(headPosition).add(bird.headOffset);
+            bird.velocity.set(0, 0, 0);
+            bird.cheer(VISITOR_HAPPINESS_RATE * 2 * delta);
+            
+            // Flap wings occasionally
+            if (this.sim.random.next() < 0.05 && !bird.isFlapping) {
+                bird.isFlapping = true;
+                bird.flapDuration = 0.5;
+            }
+        });
+    }
+    
+    throwTreat() {
+        // Visual treat (small yellow sphere)
+        const treatGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+        const treatMaterial = new THREE.MeshLambertMaterial({ color: 0xFFD700 });
+        const treat = new THREE.Mesh(treatGeometry, treatMaterial);
+        treat.position.copy(this.mesh.position);
+        treat.position.y = 1.7;
+        this.sim.root.add(treat);
+        
+        // Animate hand throwing (lowered again in updateTreatThrow)
+        if (this.handRaiseTimer <= 0) {
+            this.leftHand.position.y += 0.3;
+        }
+        this.handRaiseTimer = 0.2;
+        
+        // Treat falls to ground, then lies there for a moment (see Simulation.updateTreats)
+        this.sim.state.treats.push({ mesh: treat, fallTime: 0.5, groundTime: 2 });
+    }
+    
+    // Lower the throwing hand once the throw is over
+    updateTreatThrow(delta) {
+        if (this.handRaiseTimer > 0) {
+            this.handRaiseTimer -= delta;
+            if (this.handRaiseTimer <= 0) {
+                this.leftHand.position.y -= 0.3;
+            }
+        }
+    }
+    
+    sitDown() {
+        // Lower torso
+        this.torso.position.y = 1.0;
+        
+        // Lower chest
+        this.leftChest.position.y = 1.2;
+        this.rightChest.position.y = 1.2;
+        
+        // Lower and adjust arms
+        this.leftArm.position.y = 1.0;
+        this.rightArm.position.y = 1.0;
+        
+        // Lower hands
+        this.leftHand.position.y = 0.5;
+        this.rightHand.position.y = 0.5;
+        
+        // Lower head
+        this.head.position.y = 2.0;
+        
+        // Lower eyes
+        this.leftEye.position.y = 2.05;
+        this.rightEye.position.y = 2.05;
+        
+        // Lower smile
+        this.smile.position.y = 1.8;
+        
+        // Lower cap
+        this.capBill.position.y = 2.28;
+        this.capCrown.position.y = 2.25;
+        
+        // Rotate legs forward to be horizontal (sitting with legs extended)
+        const legRotation = Math.PI / 2.2; // ~82 degrees
+        this.leftLeg.rotation.x = legRotation;
+        this.leftLeg.position.set(-0.3, 0.3, 0.4); // Position legs forward from torso
+        
+        this.rightLeg.rotation.x = legRotation;
+        this.rightLeg.position.set(0.3, 0.3, 0.4); // Position legs forward from torso
+        
+        // Calculate foot position at end of rotated legs
+        // Cylinder is 1.6 tall, centered at (x, 0.3, 0.4)
+        // After rotation around X by legRotation, the far end is at:
+        const halfLegLength = 0.8;
+        const footY = 0.3 + (halfLegLength * Math.cos(legRotation));
+        const footZ = 0.4 + (halfLegLength * Math.sin(legRotation)) + 0.15; // Add a bit extra to extend past leg end
+        
+        this.leftFoot.position.set(-0.3, footY, footZ);
+        this.leftFoot.rotation.x = -Math.PI / 2; // Point upward
+        
+        this.rightFoot.position.set(0.3, footY, footZ);
+        this.rightFoot.rotation.x = -Math.PI / 2; // Point upward
+    }
+    
+    standUp() {
+        // Reset torso
+        this.torso.position.y = 2.2;
+        
+        // Reset chest
+        this.leftChest.position.y = 2.4;
+        this.rightChest.position.y = 2.4;
+        
+        // Reset arms
+        this.leftArm.position.y = 2.2;
+        this.rightArm.position.y = 2.2;
+        
+        // Reset hands
+        this.leftHand.position.y = 1.7;
+        this.rightHand.position.y = 1.7;
+        
+        // Reset head
+        this.head.position.y = 3.2;
+        
+        // Reset eyes
+        this.leftEye.position.y = 3.25;
+        this.rightEye.position.y = 3.25;
+        
+        // Reset smile
+        this.smile.position.y = 3.0;
+        
+        // Reset cap
+        this.capBill.position.y = 3.48;
+        this.capCrown.position.y = 3.45;
+        
+        // Reset legs to standing position
+        this.leftLeg.rotation.x = 0;
+        this.leftLeg.position.set(-0.3, 0.8, 0);
+        
+        this.rightLeg.rotation.x = 0;
+        this.rightLeg.position.set(0.3, 0.8, 0);
+        
+        // Reset feet
+        this.leftFoot.position.set(-0.3, 0.1, 0.1);
+        this.leftFoot.rotation.x = 0;
+        
+        this.rightFoot.position.set(0.3, 0.1, 0.1);
+        this.rightFoot.rotation.x = 0;
+    }
+    
+    showGreeting(player) {
+        // Dialog bubble above player is drawn by the UI layer
+        this.sim.emit('visitorGreeting', this);
+    }
+    
+    showGoodbye(player) {
+        // Dialog bubble above player is drawn by the UI layer
+        this.sim.emit('visitorGoodbye', this);
+    }
+}
+
+export { Player, Bird, Predator, Visitor };
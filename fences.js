@@ -0,0 +1,63 @@
+// Fences and gates for Poultry Patrol
+// The player builds fence sections along the edges of a ground grid. A section
+// blocks birds and ground predators (hawks fly over); a gate also lets the
+// player through. The simulation keeps the sections in gameState.fences and
+// treats them as obstacles alongside the coop.
+
+import * as THREE from 'three';
+
+export const FENCE_LENGTH = 4; // Grid spacing, and the length of one section
+export const FENCE_COSTS = { fence: 1, gate: 2 }; // Eggs per section (refunded when removed)
+export const FENCE_LIMIT = 28; // Sections must sit inside the boundary posts
+const FENCE_HALF_THICKNESS = 0.15; // Bodies add their own radius (see collision.js)
+
+const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x8B5A2B });
+const gateMaterial = new THREE.MeshLambertMaterial({ color: 0xA0522D });
+
+// Snap a point to the nearest section running along axis ('x' or 'z')
+export function snapToFenceGrid(x, z, axis) {
+    if (axis === 'x') {
+        return { x: Math.floor(x / FENCE_LENGTH) * FENCE_LENGTH + FENCE_LENGTH / 2, z: Math.round(z / FENCE_LENGTH) * FENCE_LENGTH };
+    }
+    return { x: Math.round(x / FENCE_LENGTH) * FENCE_LENGTH, z: Math.floor(z / FENCE_LENGTH) * FENCE_LENGTH + FENCE_LENGTH / 2 };
+}
+
+// Collision box of a section: {minX, maxX, minZ, maxZ}
+export function fenceBox(fence) {
+    const halfX = fence.axis === 'x' ? FENCE_LENGTH / 2 : FENCE_HALF_THICKNESS;
+    const halfZ = fence.axis === 'z' ? FENCE_LENGTH / 2 : FENCE_HALF_THICKNESS;
+    return { minX: fence.x - halfX, maxX: fence.x + halfX, minZ: fence.z - halfZ, maxZ: fence.z + halfZ };
+}
+
+// Posts at both ends with two rails; gates get a diagonal brace
+export function createFenceMesh(fence) {
+    const group = new THREE.Group();
+    const material = fence.kind === 'gate' ? gateMaterial : woodMaterial;
+
+    const postGeometry = new THREE.BoxGeometry(0.25, 1.4, 0.25);
+    [-1, 1].forEach(side => {
+        const post = new THREE.Mesh(postGeometry, woodMaterial);
+        post.position.set(side * FENCE_LENGTH / 2, 0.7, 0);
+        post.castShadow = true;
+        group.add(post);
+    });
+
+    const railGeometry = new THREE.BoxGeometry(FENCE_LENGTH, 0.15, 0.08);
+    [0.45, 1.05].forEach(height => {
+        const rail = new THREE.Mesh(railGeometry, material);
+        rail.position.set(0, height, 0);
+        rail.castShadow = true;
+        group.add(rail);
+    });
+
+    if (fence.kind === 'gate') {
+        const brace = new THREE.Mesh(new THREE.BoxGeometry(FENCE_LENGTH * 0.95, 0.12, 0.08), material);
+        brace.position.set(0, 0.75, 0);
+        brace.rotation.z = Math.atan2(0.6, FENCE_LENGTH);
+        group.add(brace);
+    }
+
+    group.position.set(fence.x, 0, fence.z);
+    group.rotation.y = fence.axis === 'x' ? 0 : Math.PI / 2;
+    return group;
+}
@@ -0,0 +1,150 @@
+// Flocking for Poultry Patrol
+// Birds of a species keep together like boids: they keep a little room from
+// each other (separation), drift the way their neighbours are heading
+// (alignment) and toward the middle of the group (cohesion). A bird that
+// spots a predator panics, and the panic runs through the flock a few birds
+// at a time. Ducks travelling to the pond or to corn walk in a line behind
+// the duck ahead. Neighbours come from the collision world's spatial hash,
+// so big flocks stay cheap.
+
+import * as THREE from 'three';
+
+// Tuning for the whole flock; tweak and check with npm run simulate
+export const FLOCK_TUNING = {
+    neighborRadius: 4, // Birds this close count as flockmates
+    separationRadius: 1.2, // Birds try to keep at least this much room
+    separationWeight: 1.5,
+    alignmentWeight: 0.4,
+    cohesionWeight: 0.25,
+    panicRadius: 5, // A panicking bird sets off flockmates this close
+    panicHops: 3, // How many birds down the line panic spreads from the one that saw the predator
+    panicTime: 1.5, // Seconds a bird keeps running when panic reaches it
+    lineSpacing: 1.2, // Gap between ducks walking in a line
+    lineRange: 5 // How far ahead a duck looks for one to follow
+};
+
+class Flocking {
+    constructor(sim) {
+        this.sim = sim;
+        this.nearby = []; // Reused query results
+    }
+
+    // Flockmates of the same species within the neighbour radius
+    neighbors(bird) {
+        const position = bird.mesh.position;
+        this.nearby.length = 0;
+        this.sim.collision.bodies.query(position.x, position.z, FLOCK_TUNING.neighborRadius, this.nearby);
+        return this.nearby.filter(other => (
+            other !== bird && other.type === bird.type &&
+            other.mesh.position.distanceTo(position) < FLOCK_TUNING.neighborRadius
+        ));
+    }
+
+    // Adjust a bird's velocity (changed in place) for its flockmates. Wandering
+    // birds also line up with and close in on the group; birds with somewhere to
+    // be (corn, the coop, running away) only keep their distance.
+    apply(bird, velocity, wandering) {
+        const neighbors = this.neighbors(bird);
+        if (neighbors.length === 0) return;
+
+        const position = bird.mesh.position;
+        const separation = new THREE.Vector3();
+        const heading = new THREE.Vector3();
+        const center = new THREE.Vector3();
+        neighbors.forEach(other => {
+            const away = new THREE.Vector3().subVectors(position, other.mesh.position);
+            away.y = 0;
+            const distance = away.length();
+            if (distance > 0 && distance < FLOCK_TUNING.separationRadius) {
+                // Push harder the closer they are
+                separation.add(away.multiplyScalar((FLOCK_TUNING.separationRadius - distance) / (distance * FLOCK_TUNING.separationRadius)));
+            }
+            heading.add(other.velocity);
+            center.add(other.mesh.position);
+        });
+
+        const speed = Math.hypot(velocity.x, velocity.z);
+        velocity.addScaledVector(separation, FLOCK_TUNING.separationWeight * bird.speed);
+
+        if (wandering) {
+            heading.y = 0;
+            if (heading.lengthSq() > 0) {
+                velocity.addScaledVector(heading.normalize(), FLOCK_TUNING.alignmentWeight * bird.speed);
+            }
+            center.divideScalar(neighbors.length).sub(position);
+            center.y = 0;
+            if (center.lengthSq() > 0) {
+                velocity.addScaledVector(center.normalize(), FLOCK_TUNING.cohesionWeight * bird.speed);
+            }
+
+            // Keep the new heading so the group settles on one direction
+            bird.wanderAngle = Math.atan2(velocity.z, velocity.x);
+        }
+
+        // Flocking bends a bird's course but doesn't speed it up (birds standing
+        // still can still shuffle apart)
+        const maxSpeed = Math.max(speed, bird.speed * 0.5);
+        const newSpeed = Math.hypot(velocity.x, velocity.z);
+        if (newSpeed > maxSpeed) {
+            velocity.multiplyScalar(maxSpeed / newSpeed);
+        }
+    }
+
+    // Catch panic from a flockmate that's running; returns true if the bird panics
+    catchPanic(bird) {
+        let source = null;
+        this.neighbors(bird).forEach(other => {
+            if (other.panic > 0 && other.scaredTimer > 0 &&
+                other.mesh.position.distanceTo(bird.mesh.position) < FLOCK_TUNING.panicRadius &&
+                (!source || other.panic > source.panic)) {
+                source = other;
+            }
+        });
+        if (!source) return false;
+
+        // Run the same way, or just away from it if it has stopped
+        const direction = new THREE.Vector3().copy(source.velocity).setY(0);
+        if (direction.lengthSq() < 0.01) {
+            direction.subVectors(bird.mesh.position, source.mesh.position).setY(0);
+        }
+        bird.panic = source.panic - 1;
+        bird.scaredTimer = FLOCK_TUNING.panicTime;
+        bird.velocity.copy(direction.normalize()).multiplyScalar(bird.speed * 2);
+        return true;
+    }
+
+    // Where a duck should head to follow the duck ahead of it toward a destination
+    // (the destination itself when it's at the front of the line)
+    lineUp(bird, destination) {
+        const position = bird.mesh.position;
+        const toDestination = new THREE.Vector3().subVectors(destination, position).setY(0);
+        const distance = toDestination.length();
+        toDestination.normalize();
+
+        let leader = null;
+        let leaderDistance = Infinity;
+        this.nearby.length = 0;
+        this.sim.collision.bodies.query(position.x, position.z, FLOCK_TUNING.lineRange, this.nearby);
+        this.nearby.forEach(other => {
+            if (other === bird || other.type !== bird.type) return;
+            const offset = new THREE.Vector3().subVectors(other.mesh.position, position).setY(0);
+            const otherDistance = offset.length();
+            const ahead = offset.dot(toDestination) > 0 && other.mesh.position.distanceTo(destination) < distance - FLOCK_TUNING.lineSpacing * 0.5;
+            if (ahead && otherDistance < FLOCK_TUNING.lineRange && otherDistance < leaderDistance) {
+                leader = other;
+                leaderDistance = otherDistance;
+            }
+        });
+        if (!leader) return destination;
+
+        // Fall in behind the leader
+        const leaderHeading = new THREE.Vector3().copy(leader.velocity).setY(0);
+        if (leaderHeading.lengthSq() < 0.01) {
+            leaderHeading.copy(toDestination);
+        }
+        leaderHeading.normalize();
+        return new THREE.Vector3().copy(leader.mesh.position).addScaledVector(leaderHeading, -FLOCK_TUNING.lineSpacing).setY(0);
+    }
+}
+
+export default Flocking;
@@ -1,15 +1,25 @@
 import * as THREE from 'three';
 import AudioSystem from './audio.js';
+import Simulation, { SIM_STEP, COOP_POSITION, CORN_BIN_POSITION, EGGS_PER_CORN_CHARGE, MAX_CORN_CHARGES } from './simulation.js';
+import { textures, FEATHER_VARIANTS, STRUGGLE_TIME, CORN_THROW_RANGE } from './entities.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import InputMap, { ACTIONS, DEFAULT_DEAD_ZONE } from './input.js';
+import { DIFFICULTY_PRESETS, CUSTOM_DIFFICULTY_KEYS } from './difficulty.js';
+import { clockHour, dayPhase, daylightLevel, formatClock } from './daynight.js';
+import { WEATHER_TYPES } from './weather.js';
+import { FENCE_LENGTH, FENCE_COSTS, snapToFenceGrid, createFenceMesh } from './fences.js';
 
 // Initialize audio system
 const audioSystem = new AudioSystem();
 
-// Storage Manager for User Music
+// Storage Manager for User Music and the saved game
 class StorageManager {
     constructor() {
         this.dbName = 'PoultryPatrolDB';
-        this.version = 1;
+        this.version = 2;
         this.storeName = 'musicTracks';
+        this.saveStoreName = 'savedGames';
+        this.saveId = 'current'; // One saved match at a time
         this.db = null;
         this.maxStorageSize = 52428800; // 50MB
     }
@@ -38,6 +48,9 @@ class StorageManager {
                     objectStore.createIndex('filename', 'filename', { unique: false });
                     objectStore.createIndex('dateAdded', 'dateAdded', { unique: false });
                 }
+                if (!db.objectStoreNames.contains(this.saveStoreName)) {
+                    db.createObjectStore(this.saveStoreName, { keyPath: 'id' });
+                }
             };
         });
     }
@@ -154,6 +167,67 @@ class StorageManager {
             };
         });
     }
+
+    async saveGame(snapshot) {
+        if (!this.db) {
+            throw new Error('Database not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.saveStoreName], 'readwrite');
+            const objectStore = transaction.objectStore(this.saveStoreName);
+            const request = objectStore.put({ id: this.saveId, snapshot, dateSaved: Date.now() });
+
+            request.onsuccess = () => {
+                resolve();
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    // Resolves with the saved match snapshot, or null if there isn't one
+    async loadGame() {
+        if (!this.db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.saveStoreName], 'readonly');
+            const objectStore = transaction.objectStore(this.saveStoreName);
+            const request = objectStore.get(this.saveId);
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.snapshot : null);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    async clearSavedGame() {
+        if (!this.db) {
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.saveStoreName], 'readwrite');
+            const objectStore = transaction.objectStore(this.saveStoreName);
+            const request = objectStore.delete(this.saveId);
+
+            request.onsuccess = () => {
+                resolve();
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
 }
 
 // Walkman Music System
@@ -700,38 +774,37 @@ const walkmanSystem = {
 const urlParams = new URLSearchParams(window.location.search);
 const gameTimeMinutes = parseFloat(urlParams.get('time')) || 10;
 const lizFreqParam = parseFloat(urlParams.get('lizFreq'));
+const seedParam = parseInt(urlParams.get('seed'), 10); // Replay a run exactly
+const difficultyParam = urlParams.get('difficulty') || 'normal'; // easy, normal, hard or custom
 
-const gameState = {
-    started: false,
-    gameTime: 0,
+const sim = new Simulation({
     maxGameTime: gameTimeMinutes * 60, // Convert minutes to seconds
-    chickens: [],
-    ducks: [],
-    predators: [],
-    visitor: null, // Liz the friendly neighbor
-    player: null,
-    escaped: 0,
-    defeated: 0,
-    ranAway: 0,
-    killed: 0, // Birds killed by predators
-    cornCharges: 5,
-    cornPiles: [], // Array of {location, timer, mesh} objects
-    cornParticles: [],
-    // Egg collection
-    inCoop: false,
-    eggsAvailable: false,
-    eggTimer: 60, // 1 minute until eggs available (for testing)
-    eggAvailableTimer: 0, // How long eggs remain available (60 seconds)
-    nestBoxes: [],
-    eggsCollected: 0,
-    eggBaskets: [], // Track each collection session
-    // Scoring
-    score: 0,
-    survivalTimer: 0, // Track time for survival bonuses
-    consecutiveEggCollections: 0, // Track streak for multiplier
-    lastEggCollectionComplete: true, // Did we collect all eggs last time?
-    gameCompleted: false // Flag to prevent multiple completion alerts
-};
+    lizFreq: lizFreqParam,
+    seed: Number.isNaN(seedParam) ? undefined : seedParam,
+    difficulty: readDifficultyParam()
+});
+const gameState = sim.state;
+
+const AUTOSAVE_INTERVAL = 10000; // Save the match in progress every 10 seconds
+
+// Difficulty from the URL; custom values come from params named like the settings
+// (e.g. ?difficulty=custom&hawkGrabDelay=5)
+function readDifficultyParam() {
+    if (difficultyParam !== 'custom') {
+        return difficultyParam;
+    }
+    const custom = { id: 'custom' };
+    CUSTOM_DIFFICULTY_KEYS.forEach(key => {
+        if (urlParams.has(key)) {
+            custom[key] = urlParams.get(key);
+        }
+    });
+    return custom;
+}
+
+// Live matches are recorded; loading a replay file plays one back instead
+let replayRecorder = null;
+let replayPlayer = null;
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -745,6 +818,9 @@ renderer.shadowMap.enabled = true;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 document.body.appendChild(renderer.domElement);
 
+// All simulated entities (player, birds, predators, Liz, corn) live under sim.root
+scene.add(sim.root);
+
 // Lighting
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
 scene.add(ambientLight);
@@ -760,6 +836,60 @@ sunLight.shadow.mapSize.width = 2048;
 sunLight.shadow.mapSize.height = 2048;
 scene.add(sunLight);
 
+// Lantern carried by the shepherd, lit as it gets dark
+const lantern = new THREE.PointLight(0xFFC36B, 0, 18, 1.5);
+scene.add(lantern);
+
+// Sky colors over the day (the full-day values match the lights above)
+const DAY_SKY = new THREE.Color(0x87CEEB);
+const SUNSET_SKY = new THREE.Color(0xF08A5D);
+const NIGHT_SKY = new THREE.Color(0x0B1026);
+const SUNSET_LIGHT = new THREE.Color(0xFFB070);
+const MOON_LIGHT = new THREE.Color(0x8AA0D0);
+const WHITE = new THREE.Color(0xFFFFFF);
+
+// Move the sun, tint the sky and light the lantern for the current time of day
+function updateDaylight() {
+    const hour = sim.timeOfDay();
+    const daylight = daylightLevel(hour);
+    
+    // The sun rises in the east (+x) and sets in the west; at night the same light is a dim moon overhead
+    const sunAngle = ((hour - 6) / 12) * Math.PI;
+    if (daylight > 0) {
+        sunLight.position.set(Math.cos(sunAngle) * 70, Math.max(Math.sin(sunAngle), 0.15) * 70, 50);
+    } else {
+        sunLight.position.set(-30, 70, -20);
+    }
+    
+    // Warm light near the horizon, white at midday, blue moonlight at night
+    const lowSun = 1 - Math.min(1, Math.max(0, Math.sin(sunAngle)) * 2);
+    if (daylight > 0) {
+        sunLight.color.copy(WHITE).lerp(SUNSET_LIGHT, lowSun);
+    } else {
+        sunLight.color.copy(MOON_LIGHT);
+    }
+    sunLight.intensity = 0.15 + 0.65 * daylight;
+    ambientLight.color.copy(MOON_LIGHT).lerp(WHITE, daylight);
+    ambientLight.intensity = 0.2 + 0.4 * daylight;
+    
+    // Night blue through sunset orange to day blue
+    const sky = scene.background;
+    sky.copy(NIGHT_SKY).lerp(SUNSET_SKY, Math.min(1, daylight * 2));
+    if (daylight > 0.5) {
+        sky.lerp(DAY_SKY, daylight * 2 - 1);
+    }
+    scene.fog.color.copy(sky);
+    
+    // The lantern follows the shepherd, or lights the coop from the doorway while inside
+    lantern.intensity = (1 - daylight) * 3;
+    if (gameState.inCoop) {
+        lantern.position.copy(camera.position);
+    } else if (gameState.player) {
+        lantern.position.copy(gameState.player.mesh.position);
+        lantern.position.y += 2.5;
+    }
+}
+
 // Create procedural grass texture
 // Ground (1 acre = roughly 64m x 64m)
 const groundGeometry = new THREE.PlaneGeometry(64, 64);
@@ -778,7 +908,8 @@ const grassTexture = textureLoader.load(
     (error) => {
         console.error('Error loading grass texture:', error);
         // Fallback to solid color if texture fails to load
-        ground.material.color.setHex(0x3a7d44);
+        groundDryColor.setHex(0x3a7d44);
+        ground.material.color.copy(groundDryColor);
     }
 );
 
@@ -793,6 +924,7 @@ const ground = new THREE.Mesh(groundGeometry, groundMaterial);
 ground.rotation.x = -Math.PI / 2;
 ground.receiveShadow = true;
 scene.add(ground);
+const groundDryColor = new THREE.Color(0xFFFFFF); // Tint with no mud (see updateWeather)
 
 // Yard boundaries (visual markers)
 const boundaryMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
@@ -964,7 +1096,7 @@ function createShingleTexture() {
 
 // Create wood texture for coop
 const coopGroup = new THREE.Group();
-coopGroup.position.set(-26, 0, -26); // Moved to corner so nothing can get behind it
+coopGroup.position.copy(COOP_POSITION); // Moved to corner so nothing can get behind it
 
 // Create textures
 const woodTexture = createWoodTexture();
@@ -1030,10 +1162,31 @@ const coopGlow = new THREE.Mesh(glowGeometry, glowMaterial);
 coopGlow.position.y = 4;
 coopGlow.visible = false;
 coopGroup.add(coopGlow);
-gameState.coopGlow = coopGlow;
 
 scene.add(coopGroup);
-gameState.coopPosition = coopGroup.position;
+
+// Corn bin beside the coop (trade eggs for corn here)
+const cornBin = new THREE.Group();
+cornBin.position.copy(CORN_BIN_POSITION);
+
+const binBody = new THREE.Mesh(
+    new THREE.BoxGeometry(2, 1.5, 1.5),
+    new THREE.MeshLambertMaterial({ map: woodTexture })
+);
+binBody.position.y = 0.75;
+binBody.castShadow = true;
+cornBin.add(binBody);
+
+// Heap of corn showing over the rim
+const binCorn = new THREE.Mesh(
+    new THREE.SphereGeometry(0.8, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+    new THREE.MeshLambertMaterial({ color: 0xFFD700 })
+);
+binCorn.position.y = 1.5;
+binCorn.scale.set(1.1, 0.5, 0.8);
+cornBin.add(binCorn);
+
+scene.add(cornBin);
 
 // Duck pond
 const pondGeometry = new THREE.CircleGeometry(5, 32);
@@ -1273,7 +1426,8 @@ rightWall.position.set(5.8, 3.8, 0);
 rightWall.receiveShadow = true;
 coopInterior.add(rightWall);
 
-// Create 8 nest boxes on back wall
+// Create 8 nest boxes on back wall (egg state lives in gameState.nestBoxes)
+const nestBoxMeshes = [];
 const nestBoxMaterial = new THREE.MeshLambertMaterial({ map: nestBoxTexture });
 for (let i = 0; i < 8; i++) {
     const row = Math.floor(i / 4);
@@ -1302,7 +1456,7 @@ for (let i = 0; i < 8; i++) {
     egg.castShadow = true;
     coopInterior.add(egg);
     
-    gameState.nestBoxes.push({ box: nestBox, egg: egg, collected: false });
+    nestBoxMeshes.push({ box: nestBox, egg: egg });
 }
 
 // Roost in corner
@@ -1338,7 +1492,6 @@ interiorFloor.receiveShadow = true;
 coopInterior.add(interiorFloor);
 
 scene.add(coopInterior);
-gameState.coopInterior = coopInterior;
 
 // Create player hands and basket for first-person view
 const playerHands = new THREE.Group();
@@ -1374,1935 +1527,538 @@ arm.rotation.z = 0.2;
 playerHands.add(arm);
 
 camera.add(playerHands);
-gameState.playerHands = playerHands;
-
-// Player
-class Player {
-    constructor() {
-        // Create a group to hold all player parts
-        this.mesh = new THREE.Group();
-        this.mesh.position.set(0, 0, 0);
-        
-        // Legs
-        const legGeometry = new THREE.CylinderGeometry(0.27, 0.27, 1.8, 8);
-        const skinMaterial = new THREE.MeshLambertMaterial({ color: 0xFFDBAC });
-        const pantsMaterial = new THREE.MeshLambertMaterial({ 
-            map: pantsTexture,
-            color: pantsTexture ? 0xFFFFFF : 0x2C5F2D // White if texture loaded, green if not
-        });
-        
-        const leftLeg = new THREE.Mesh(legGeometry, pantsMaterial);
-        leftLeg.position.set(-0.36, 0.9, 0);
-        leftLeg.castShadow = true;
-        this.mesh.add(leftLeg);
-        
-        const rightLeg = new THREE.Mesh(legGeometry, pantsMaterial);
-        rightLeg.position.set(0.36, 0.9, 0);
-        rightLeg.castShadow = true;
-        this.mesh.add(rightLeg);
-        
-        // Feet (shoes)
-        const footGeometry = new THREE.BoxGeometry(0.35, 0.25, 0.6);
-        const shoeMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 }); // Brown shoes
-        
-        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        leftFoot.position.set(-0.36, 0.125, 0.15);
-        leftFoot.castShadow = true;
-        this.mesh.add(leftFoot);
-        
-        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        rightFoot.position.set(0.36, 0.125, 0.15);
-        rightFoot.castShadow = true;
-        this.mesh.add(rightFoot);
-        
-        // Torso
-        const torsoGeometry = new THREE.BoxGeometry(1.08, 1.44, 0.54);
-        const shirtMaterial = new THREE.MeshLambertMaterial({ 
-            map: sweaterTexture,
-            color: sweaterTexture ? 0xFFFFFF : 0xFF6347 // White if texture loaded, red if not
-        });
-        const torso = new THREE.Mesh(torsoGeometry, shirtMaterial);
-        torso.position.set(0, 2.52, 0);
-        torso.castShadow = true;
-        this.mesh.add(torso);
-        
-        // Head (larger)
-        const headGeometry = new THREE.SphereGeometry(0.55, 8, 8);
-        const head = new THREE.Mesh(headGeometry, skinMaterial);
-        head.position.set(0, 3.79, 0);
-        head.castShadow = true;
-        this.mesh.add(head);
-        
-        // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.07, 8, 8);
-        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.18, 3.9, 0.48);
-        this.mesh.add(leftEye);
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.18, 3.9, 0.48);
-        this.mesh.add(rightEye);
-        
-        // Nose
-        const noseGeometry = new THREE.ConeGeometry(0.07, 0.18, 8);
-        const nose = new THREE.Mesh(noseGeometry, skinMaterial);
-        nose.position.set(0, 3.73, 0.54);
-        nose.rotation.x = Math.PI / 2;
-        this.mesh.add(nose);
-        
-        // Mustache
-        const mustacheGeometry = new THREE.BoxGeometry(0.42, 0.05, 0.1);
-        const mustacheMaterial = new THREE.MeshLambertMaterial({ color: 0x3D2817 });
-        const mustache = new THREE.Mesh(mustacheGeometry, mustacheMaterial);
-        mustache.position.set(0, 3.65, 0.52);
-        this.mesh.add(mustache);
-        
-        // Mustache curls at the ends
-        const curlGeometry = new THREE.SphereGeometry(0.05, 8, 8);
-        
-        const leftCurl = new THREE.Mesh(curlGeometry, mustacheMaterial);
-        leftCurl.position.set(-0.23, 3.65, 0.52);
-        leftCurl.scale.set(1.2, 1, 1);
-        this.mesh.add(leftCurl);
-        
-        const rightCurl = new THREE.Mesh(curlGeometry, mustacheMaterial);
-        rightCurl.position.set(0.23, 3.65, 0.52);
-        rightCurl.scale.set(1.2, 1, 1);
-        this.mesh.add(rightCurl);
-        
-        // Hair
-        const hairGeometry = new THREE.SphereGeometry(0.6, 8, 8);
-        const hairMaterial = new THREE.MeshLambertMaterial({ 
-            map: hairTexture,
-            color: hairTexture ? 0xFFFFFF : 0x3D2817 // White if texture loaded, brown if not
-        });
-        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
-        hair.position.set(0, 3.98, -0.05);
-        hair.scale.set(1, 0.65, 1);
-        hair.castShadow = true;
-        this.mesh.add(hair);
-        
-        // Headphones
-        const headphoneMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 }); // Black headphones
-        
-        // Headband (arcing over the top of head, connecting to ear cups)
-        const headbandGeometry = new THREE.TorusGeometry(0.5, 0.05, 8, 16, Math.PI);
-        const headband = new THREE.Mesh(headbandGeometry, headphoneMaterial);
-        headband.position.set(0, 4.2, 0);
-        headband.rotation.z = 0; // No rotation - arc goes up
-        headband.castShadow = true;
-        this.mesh.add(headband);
-        
-        // Left ear cup
-        const earCupGeometry = new THREE.CylinderGeometry(0.18, 0.18, 0.12, 16);
-        const leftEarCup = new THREE.Mesh(earCupGeometry, headphoneMaterial);
-        leftEarCup.position.set(-0.5, 3.79, 0);
-        leftEarCup.rotation.z = Math.PI / 2;
-        leftEarCup.castShadow = true;
-        this.mesh.add(leftEarCup);
-        
-        // Left ear cup padding (inner)
-        const paddingMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-        const paddingGeometry = new THREE.CylinderGeometry(0.14, 0.14, 0.08, 16);
-        const leftPadding = new THREE.Mesh(paddingGeometry, paddingMaterial);
-        leftPadding.position.set(-0.56, 3.79, 0);
-        leftPadding.rotation.z = Math.PI / 2;
-        this.mesh.add(leftPadding);
-        
-        // Right ear cup
-        const rightEarCup = new THREE.Mesh(earCupGeometry, headphoneMaterial);
-        rightEarCup.position.set(0.5, 3.79, 0);
-        rightEarCup.rotation.z = Math.PI / 2;
-        rightEarCup.castShadow = true;
-        this.mesh.add(rightEarCup);
-        
-        // Right ear cup padding (inner)
-        const rightPadding = new THREE.Mesh(paddingGeometry, paddingMaterial);
-        rightPadding.position.set(0.56, 3.79, 0);
-        rightPadding.rotation.z = Math.PI / 2;
-        this.mesh.add(rightPadding);
-        
-        // Arms
-        const armGeometry = new THREE.CylinderGeometry(0.18, 0.18, 1.26, 8);
-        
-        // Left arm - hanging down at side (connected at shoulder)
-        const leftArm = new THREE.Mesh(armGeometry, shirtMaterial);
-        leftArm.position.set(-0.72, 2.52, 0); // Same y as torso center
-        leftArm.rotation.z = 0;
-        leftArm.castShadow = true;
-        this.mesh.add(leftArm);
-        
-        // Right arm - raised up to hold crook (connected at shoulder)
-        const rightArm = new THREE.Mesh(armGeometry, shirtMaterial);
-        rightArm.position.set(0.72, 2.52, 0); // Same y as torso center
-        rightArm.rotation.z = -0.8;
-        rightArm.castShadow = true;
-        this.mesh.add(rightArm);
-        
-        // Hands
-        const handGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        
-        // Left hand - at bottom of left arm (hanging down)
-        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
-        leftHand.position.set(-0.72, 1.89, 0); // 0.63 below arm center (half arm length)
-        leftHand.castShadow = true;
-        this.mesh.add(leftHand);
-        this.leftHand = leftHand; // Store reference for animation
-        
-        // Right hand - at end of raised arm (holding crook)
-        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
-        // Arm rotated -0.8 rad, so calculate end position
-        rightHand.position.set(1.15, 3.05, 0);
-        rightHand.castShadow = true;
-        this.mesh.add(rightHand);
-        
-        // Shepherd's crook
-        const crookMaterial = new THREE.MeshLambertMaterial({ 
-            map: staffTexture,
-            color: staffTexture ? 0xFFFFFF : 0x8B4513 // White if texture loaded, brown if not
-        });
-        
-        // Staff (long pole) - positioned in the right hand
-        const staffGeometry = new THREE.CylinderGeometry(0.09, 0.09, 4.5, 8);
-        this.staff = new THREE.Mesh(staffGeometry, crookMaterial);
-        this.staff.position.set(1.15, 2.8, 0);
-        this.staff.castShadow = true;
-        this.mesh.add(this.staff);
-        
-        // Hook at top
-        const hookCurve = new THREE.TorusGeometry(0.36, 0.072, 8, 16, Math.PI);
-        this.hook = new THREE.Mesh(hookCurve, crookMaterial);
-        this.hook.position.set(1.15, 5.05, 0);
-        this.hook.rotation.x = Math.PI / 2;
-        this.hook.castShadow = true;
-        this.mesh.add(this.hook);
-        
-        scene.add(this.mesh);
-        
-        this.velocity = new THREE.Vector3();
-        this.speed = 8;
-        this.direction = new THREE.Vector3();
-        
-        // Staff swing animation properties
-        this.isSwinging = false;
-        this.swingProgress = 0;
-        this.swingSpeed = 8; // How fast the swing animation plays
-        
-        // Corn throw animation properties
-        this.isThrowingCorn = false;
-        this.throwProgress = 0;
-        this.throwSpeed = 6; // How fast the throw animation plays
-    }
-    
-    updateStaffSwing(delta) {
-        if (this.isSwinging) {
-            this.swingProgress += delta * this.swingSpeed;
-            
-            if (this.swingProgress <= 1) {
-                // Swing down (0 to 1)
-                const angle = this.swingProgress * Math.PI / 2; // 0 to 90 degrees
-                this.staff.rotation.x = angle;
-                this.hook.rotation.x = Math.PI / 2 + angle;
-            } else if (this.swingProgress <= 2) {
-                // Swing back up (1 to 2)
-                const angle = (2 - this.swingProgress) * Math.PI / 2; // 90 to 0 degrees
-                this.staff.rotation.x = angle;
-                this.hook.rotation.x = Math.PI / 2 + angle;
-            } else {
-                // Animation complete
-                this.isSwinging = false;
-                this.swingProgress = 0;
-                this.staff.rotation.x = 0;
-                this.hook.rotation.x = Math.PI / 2;
-            }
-        }
-    }
-    
-    updateCornThrow(delta) {
-        if (this.isThrowingCorn) {
-            this.throwProgress += delta * this.throwSpeed;
-            
-            if (this.throwProgress <= 1) {
-                // Hand moves forward and down (0 to 1)
-                const progress = this.throwProgress;
-                this.leftHand.position.set(
-                    -0.72 + progress * 0.5, // Move forward
-                    1.89 - progress * 0.3,  // Move down slightly
-                    progress * 0.8          // Move out in front
-                );
-            } else if (this.throwProgress <= 2) {
-                // Hand returns to original position (1 to 2)
-                const progress = 2 - this.throwProgress;
-                this.leftHand.position.set(
-                    -0.72 + progress * 0.5,
-                    1.89 - progress * 0.3,
-                    progress * 0.8
-                );
-            } else {
-                // Animation complete
-                this.isThrowingCorn = false;
-                this.throwProgress = 0;
-                this.leftHand.position.set(-0.72, 1.89, 0);
-            }
-        }
-    }
-    
-    swingStaff() {
-        if (!this.isSwinging) {
-            this.isSwinging = true;
-            this.swingProgress = 0;
-        }
-    }
-    
-    throwCorn() {
-        if (gameState.cornCharges > 0) {
-            gameState.cornCharges--;
-            const cornLocation = this.mesh.position.clone();
-            
-            // Trigger throw animation
-            if (!this.isThrowingCorn) {
-                this.isThrowingCorn = true;
-                this.throwProgress = 0;
-            }
-            
-            // Play sound effect
-            audioSystem.playCornThrow();
-            
-            // Create visual corn pile (bigger)
-            const cornGeometry = new THREE.SphereGeometry(0.5, 12, 12);
-            const cornMaterial = new THREE.MeshLambertMaterial({ 
-                map: cornTexture,
-                color: cornTexture ? 0xFFFFFF : 0xFFD700
-            });
-            const cornPile = new THREE.Mesh(cornGeometry, cornMaterial);
-            cornPile.position.copy(cornLocation);
-            cornPile.position.y = 0.3;
-            cornPile.scale.set(1, 0.8, 1); // Slightly flattened pile
-            scene.add(cornPile);
-            
-            // Add to corn piles array
-            gameState.cornPiles.push({
-                location: cornLocation,
-                timer: 13, // Corn lasts 13 seconds
-                mesh: cornPile
-            });
-            
-            // Add some particle effect
-            for (let i = 0; i < 20; i++) {
-                const particle = new THREE.Mesh(
-                    new THREE.SphereGeometry(0.05, 4, 4),
-                    cornMaterial
-                );
-                particle.position.copy(cornLocation);
-                particle.position.y = 0.5;
-                particle.velocity = new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    Math.random() * 2,
-                    (Math.random() - 0.5) * 2
-                );
-                scene.add(particle);
-                gameState.cornParticles.push({ mesh: particle, life: 1 });
-            }
-            
-            // Store reference to remove later
-            gameState.cornPileMesh = cornPile;
-        }
-    }
-    
-    update(delta, keys) {
-        this.direction.set(0, 0, 0);
-        
-        if (keys['w']) this.direction.z -= 1;
-        if (keys['s']) this.direction.z += 1;
-        if (keys['a']) this.direction.x -= 1;
-        if (keys['d']) this.direction.x += 1;
-        
-        if (this.direction.length() > 0) {
-            this.direction.normalize();
-            this.velocity.x = this.direction.x * this.speed;
-            this.velocity.z = this.direction.z * this.speed;
-            
-            // Rotate player to face movement direction
-            const targetAngle = Math.atan2(this.direction.x, this.direction.z);
-            this.mesh.rotation.y = targetAngle;
-        } else {
-            this.velocity.x *= 0.9;
-            this.velocity.z *= 0.9;
-        }
-        
-        this.mesh.position.x += this.velocity.x * delta;
-        this.mesh.position.z += this.velocity.z * delta;
-        
-        // Check coop collision (player can't walk through it)
-        if (collidesWithCoop(this.mesh.position.x, this.mesh.position.z)) {
-            // Push player away from coop
-            const awayFromCoop = new THREE.Vector3()
-                .subVectors(this.mesh.position, gameState.coopPosition)
-                .normalize();
-            this.mesh.position.x += awayFromCoop.x * 0.5;
-            this.mesh.position.z += awayFromCoop.z * 0.5;
-        }
-        
-        // Keep player in bounds
-        this.mesh.position.x = Math.max(-30, Math.min(30, this.mesh.position.x));
-        this.mesh.position.z = Math.max(-30, Math.min(30, this.mesh.position.z));
-    }
-}
-
-// Load feather textures from images
-let chickenFeatherTexture = null;
-let duckFeatherTexture = null;
 
+// Load feather textures from images (entities read them from the shared textures registry)
 textureLoader.load('chicken-feathers.png', 
-    (texture) => { chickenFeatherTexture = texture; },
+    (texture) => { textures.chickenFeathers = texture; },
     undefined,
     (error) => { console.error('Chicken texture failed to load:', error); }
 );
 
 textureLoader.load('duck-feathers.png', 
-    (texture) => { duckFeatherTexture = texture; },
+    (texture) => { textures.duckFeathers = texture; },
     undefined,
     (error) => { console.error('Duck texture failed to load:', error); }
 );
 
 // Load sweater texture for player
-let sweaterTexture = null;
 textureLoader.load('sweater.png',
-    (texture) => { sweaterTexture = texture; },
+    (texture) => { textures.sweater = texture; },
     undefined,
     (error) => { /* Sweater texture failed to load, using solid color */ }
 );
 
 // Load pants texture for player
-let pantsTexture = null;
 textureLoader.load('pants.png',
-    (texture) => { pantsTexture = texture; },
+    (texture) => { textures.pants = texture; },
     undefined,
     (error) => { /* Pants texture failed to load, using solid color */ }
 );
 
 // Load staff texture for player
-let staffTexture = null;
 textureLoader.load('staff.png',
-    (texture) => { staffTexture = texture; },
+    (texture) => { textures.staff = texture; },
     undefined,
     (error) => { /* Staff texture failed to load, using solid color */ }
 );
 
 // Load hair texture for player
-let hairTexture = null;
 textureLoader.load('hair.png',
-    (texture) => { hairTexture = texture; },
+    (texture) => { textures.hair = texture; },
     undefined,
     (error) => { /* Hair texture failed to load, using solid color */ }
 );
 
 // Load dog hair texture
-let dogHairTexture = null;
 textureLoader.load('doghair.png',
-    (texture) => { dogHairTexture = texture; },
+    (texture) => { textures.dogHair = texture; },
     undefined,
     (error) => { /* Dog hair texture failed to load, using solid color */ }
 );
 
 // Load hawk feather texture
-let hawkFeatherTexture = null;
 textureLoader.load('hawk-feathers.png',
-    (texture) => { hawkFeatherTexture = texture; },
+    (texture) => { textures.hawkFeathers = texture; },
     undefined,
     (error) => { /* Hawk feather texture failed to load, using solid color */ }
 );
 
 // Load corn texture
-let cornTexture = null;
 textureLoader.load('corn.png',
-    (texture) => { cornTexture = texture; },
+    (texture) => { textures.corn = texture; },
     undefined,
     (error) => { /* Corn texture failed to load, using solid color */ }
 );
 
-// Bird class (chickens and ducks)
-class Bird {
-    constructor(type, startX, startZ) {
-        this.type = type;
-        const featherTexture = type === 'chicken' ? chickenFeatherTexture : duckFeatherTexture;
-        
-        // Simple bird shape with feather texture (50% larger)
-        const bodyGeometry = new THREE.SphereGeometry(0.45, 16, 16);
-        const bodyMaterial = new THREE.MeshLambertMaterial({ map: featherTexture });
-        this.mesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        this.mesh.castShadow = true;
-        
-        // Head with feather texture
-        const headGeometry = new THREE.SphereGeometry(0.225, 16, 16);
-        const head = new THREE.Mesh(headGeometry, bodyMaterial);
-        head.position.set(0, 0.45, 0.3);
-        this.mesh.add(head);
-        this.head = head;
-        
-        // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
-        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.12, 0.525, 0.42);
-        this.mesh.add(leftEye);
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.12, 0.525, 0.42);
-        this.mesh.add(rightEye);
-        
-        // Beak/Bill - more prominent and properly positioned
-        if (type === 'chicken') {
-            // Chicken beak - pointed cone, larger and brighter
-            const beakGeometry = new THREE.ConeGeometry(0.08, 0.25, 8);
-            const beakMaterial = new THREE.MeshLambertMaterial({ color: 0xFFAA00 });
-            const beak = new THREE.Mesh(beakGeometry, beakMaterial);
-            beak.position.set(0, 0.48, 0.52);
-            beak.rotation.x = Math.PI / 2;
-            this.mesh.add(beak);
-            this.beak = beak;
-        } else {
-            // Duck bill - flatter and wider
-            const billGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.2);
-            const billMaterial = new THREE.MeshLambertMaterial({ color: 0xFF8C00 });
-            const bill = new THREE.Mesh(billGeometry, billMaterial);
-            bill.position.set(0, 0.42, 0.48);
-            this.mesh.add(bill);
-            this.beak = bill;
-        }
-        
-        // Comb (chickens only - red crest on head) - larger and more prominent
-        if (type === 'chicken') {
-            const combGeometry = new THREE.SphereGeometry(0.13, 8, 8);
-            const combMaterial = new THREE.MeshLambertMaterial({ color: 0xFF0000 });
-            const comb = new THREE.Mesh(combGeometry, combMaterial);
-            comb.position.set(0, 0.68, 0.25);
-            comb.scale.set(0.9, 1.6, 0.6);
-            this.mesh.add(comb);
-            
-            // Wattles (red things under chin) - larger and more visible
-            const wattleGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-            const wattleMaterial = new THREE.MeshLambertMaterial({ color: 0xFF0000 });
-            
-            const leftWattle = new THREE.Mesh(wattleGeometry, wattleMaterial);
-            leftWattle.position.set(-0.08, 0.35, 0.45);
-            leftWattle.scale.set(0.8, 1.5, 0.7);
-            this.mesh.add(leftWattle);
-            
-            const rightWattle = new THREE.Mesh(wattleGeometry, wattleMaterial);
-            rightWattle.position.set(0.08, 0.35, 0.45);
-            rightWattle.scale.set(0.8, 1.5, 0.7);
-            this.mesh.add(rightWattle);
+
+// Input handling: keys map to actions (see input.js), rebindable from the controls screen
+const input = new InputMap(window.localStorage);
+let rebinding = null; // {action, device: 'key' or 'button'} waiting on the controls screen
+
+// Key names for an action, for prompts ("E", "Escape/P")
+function keyHint(actionId) {
+    return input.labels(actionId).join('/') || '(unbound)';
+}
+
+window.addEventListener('keydown', (e) => {
+    if (rebinding && rebinding.device === 'key') {
+        e.preventDefault();
+        finishRebind(e.key.toLowerCase());
+        return;
+    }
+    
+    // A replay drives the game by itself, but can still be paused
+    if (replayPlayer) {
+        if (input.actionFor(e.key.toLowerCase()) === 'pause') {
+            handleAction('pause');
         }
-        
-        // Wings (store references for animation) with feather texture
-        const wingGeometry = new THREE.BoxGeometry(0.225, 0.075, 0.375);
-        const leftWing = new THREE.Mesh(wingGeometry, bodyMaterial);
-        leftWing.position.set(-0.375, 0.15, 0);
-        this.mesh.add(leftWing);
-        this.leftWing = leftWing;
-        
-        const rightWing = new THREE.Mesh(wingGeometry, bodyMaterial);
-        rightWing.position.set(0.375, 0.15, 0);
-        this.mesh.add(rightWing);
-        this.rightWing = rightWing;
-        
-        this.mesh.position.set(startX, 0.45, startZ);
-        scene.add(this.mesh);
-        
-        this.velocity = new THREE.Vector3();
-        this.speed = 2;
-        this.wanderAngle = Math.random() * Math.PI * 2;
-        this.wanderTimer = 0;
-        this.scared = false;
-        this.scaredTimer = 0;
-        this.inBounds = true;
-        this.outOfBoundsTimer = 0; // Grace period before counting as escaped
-        this.hasEscaped = false; // Track if this bird has been counted as escaped
-        this.captured = false; // Being carried by predator
-        this.killed = false; // Killed by predator
-        this.onVisitorHead = false; // Sitting on Liz's head
-        this.headOffset = new THREE.Vector3(); // Offset when on head
-        this.attractedToVisitor = false; // Being attracted to visitor
-        
-        // Animation state
-        this.flapTimer = Math.random() * 3;
-        this.isFlapping = false;
-        this.flapDuration = 0;
-        this.peckTimer = Math.random() * 5;
-        this.isPecking = false;
-        this.peckDuration = 0;
-        
-        // Coop visiting (only chickens lay eggs)
-        this.visitCoopTimer = this.type === 'chicken' ? 30 + Math.random() * 60 : 999999;
-        this.visitingCoop = false;
-        this.coopVisitState = 'idle'; // idle, walking, inside, returning
+        return;
     }
     
-    update(delta, player, predators) {
-        // Skip normal behavior if on visitor's head
-        if (this.onVisitorHead) {
-            // Just do wing flapping animation
-            if (this.isFlapping) {
-                this.flapDuration -= delta;
-                const flapSpeed = 20;
-                const flapAngle = Math.sin(this.flapDuration * flapSpeed) * 0.5;
-                this.leftWing.rotation.z = flapAngle;
-                this.rightWing.rotation.z = -flapAngle;
-                
-                if (this.flapDuration <= 0) {
-                    this.isFlapping = false;
-                    this.leftWing.rotation.z = 0;
-                    this.rightWing.rotation.z = 0;
-                }
-            }
-            return false; // Don't remove bird
+    const action = input.keyDown(e.key.toLowerCase());
+    if (action) {
+        handleAction(action);
+    }
+});
+window.addEventListener('keyup', (e) => {
+    if (replayPlayer) return;
+    input.keyUp(e.key.toLowerCase());
+});
+window.addEventListener('blur', () => {
+    input.releaseAll();
+});
+
+// One press of an action's key
+function handleAction(action) {
+    // Pause (or resume), or back out of the settings opened from the pause menu
+    if (action === 'pause') {
+        if (controlsModal.classList.contains('visible')) {
+            closeControls();
+        } else if (paused) {
+            resumeGame();
+        } else {
+            pauseGame();
         }
-        
-        // Check if scared by predators
-        this.scared = false;
-        for (const predator of predators) {
-            const dist = this.mesh.position.distanceTo(predator.mesh.position);
-            if (dist < 8) {
-                this.scared = true;
-                this.scaredTimer = 2;
-                // Run away from predator
-                const away = new THREE.Vector3()
-                    .subVectors(this.mesh.position, predator.mesh.position)
-                    .normalize();
-                this.velocity.copy(away).multiplyScalar(this.speed * 2);
-                break;
-            }
+        return;
+    }
+    
+    // Nothing else happens while paused
+    if (paused) return;
+    
+    // Drop corn at the player's feet
+    if (action === 'throwCorn' && gameState.started && gameState.player && !gameState.inCoop) {
+        recordAction('throwCorn');
+        gameState.player.throwCorn();
+    }
+    
+    // Toggle build mode
+    if (action === 'build' && gameState.started && gameState.player && !gameState.inCoop) {
+        buildMode.active = !buildMode.active;
+        if (buildMode.active) {
+            showBanner(`🔨 Build mode: ${keyHint('interact')} to build, ${keyHint('removeFence')} to take down, ${keyHint('turnFence')} to turn, ${keyHint('switchFence')} for fence or gate, ${keyHint('build')} when done`);
         }
+    }
+    
+    if (buildMode.active && gameState.started && !gameState.inCoop) {
+        const spot = buildSpot();
         
-        // Check if scared by player (when space is pressed)
-        if (player && keys[' ']) {
-            const dist = this.mesh.position.distanceTo(player.mesh.position);
-            if (dist < 3) {
-                const away = new THREE.Vector3()
-                    .subVectors(this.mesh.position, player.mesh.position)
-                    .normalize();
-                this.velocity.copy(away).multiplyScalar(this.speed * 1.5);
-                this.scaredTimer = 1;
-                
-                // Play sound when herded by player
-                if (this.type === 'chicken') {
-                    audioSystem.playChickenSquawk();
-                } else {
-                    audioSystem.playDuckQuack();
-                }
+        if (action === 'turnFence') {
+            buildMode.axis = buildMode.axis === 'x' ? 'z' : 'x';
+        } else if (action === 'switchFence') {
+            buildMode.kind = buildMode.kind === 'fence' ? 'gate' : 'fence';
+        } else if (action === 'interact') {
+            if (sim.placeFence(spot.x, spot.z, buildMode.axis, buildMode.kind)) {
+                recordAction('placeFence', { x: spot.x, z: spot.z, axis: buildMode.axis, kind: buildMode.kind });
+            } else if (gameState.eggsOnHand < FENCE_COSTS[buildMode.kind]) {
+                showBanner(`🥚 A ${buildMode.kind} costs ${FENCE_COSTS[buildMode.kind]} ${FENCE_COSTS[buildMode.kind] === 1 ? 'egg' : 'eggs'} - collect more from the coop`);
             }
-        }
-        
-        // Check for visitor attraction - takes priority over corn but not danger
-        let attractedToVisitor = this.attractedToVisitor && gameState.visitor && gameState.visitor.state === 'sitting';
-        
-        // Check for corn - overrides everything except immediate danger and visitor
-        let nearestCorn = null;
-        let nearestCornDist = Infinity;
-        
-        if (!this.scared && !attractedToVisitor && gameState.cornPiles.length > 0) {
-            // Find nearest corn pile
-            for (const pile of gameState.cornPiles) {
-                const dist = this.mesh.position.distanceTo(pile.location);
-                if (dist < nearestCornDist) {
-                    nearestCornDist = dist;
-                    nearestCorn = pile;
-                }
+        } else if (action === 'removeFence') {
+            if (sim.removeFence(spot.x, spot.z, buildMode.axis)) {
+                recordAction('removeFence', { x: spot.x, z: spot.z, axis: buildMode.axis });
             }
         }
         
-        if (this.scaredTimer > 0) {
-            this.scaredTimer -= delta;
-        } else if (attractedToVisitor) {
-            // Visitor attraction is handled by the Visitor class
-            // Don't override the velocity here
-        } else if (nearestCorn) {
-            // Run to nearest corn location
-            const distToCorn = this.mesh.position.distanceTo(nearestCorn.location);
-            if (distToCorn > 1) {
-                const toCorn = new THREE.Vector3()
-                    .subVectors(nearestCorn.location, this.mesh.position)
-                    .normalize();
-                this.velocity.copy(toCorn).multiplyScalar(this.speed * 1.5);
-            } else {
-                // At corn, slow down and peck
-                this.velocity.multiplyScalar(0.5);
-            }
-        } else if (!this.scared) {
-            // Coop visiting behavior (chickens only)
-            if (this.type === 'chicken' && !nearestCorn) {
-                this.visitCoopTimer -= delta;
-                
-                if (this.visitCoopTimer <= 0 && this.coopVisitState === 'idle') {
-                    this.coopVisitState = 'walking';
-                    this.visitingCoop = true;
-                }
-                
-                if (this.coopVisitState === 'walking') {
-                    // Walk to coop
-                    const distToCoop = this.mesh.position.distanceTo(gameState.coopPosition);
-                    if (distToCoop > 2) {
-                        const toCoop = new THREE.Vector3()
-                            .subVectors(gameState.coopPosition, this.mesh.position)
-                            .normalize();
-                        this.velocity.copy(toCoop).multiplyScalar(this.speed);
-                    } else {
-                        // Arrived at coop
-                        this.coopVisitState = 'inside';
-                        this.coopVisitTimer = 3; // Stay inside for 3 seconds
-                    }
-                } else if (this.coopVisitState === 'inside') {
-                    // Inside coop
-                    this.velocity.multiplyScalar(0.1);
-                    this.coopVisitTimer -= delta;
-                    if (this.coopVisitTimer <= 0) {
-                        this.coopVisitState = 'returning';
-                    }
-                } else if (this.coopVisitState === 'returning') {
-                    // Return to wandering
-                    this.coopVisitState = 'idle';
-                    this.visitingCoop = false;
-                    this.visitCoopTimer = 30 + Math.random() * 60; // Next visit in 30-90 seconds
-                }
-            }
+        // Interact builds instead of using the coop door or corn bin
+        if (action === 'interact') return;
+    }
+    
+    // Enter/exit coop
+    if (action === 'interact' && gameState.started && gameState.player) {
+        if (gameState.inCoop) {
+            // Exit coop (always allowed from inside)
+            toggleCoop();
+        } else {
+            // Try to enter coop - must be at the door
+            // Door is on the front (south side) of the coop at z = -22
+            const doorPos = new THREE.Vector3(
+                gameState.coopPosition.x,
+                0,
+                gameState.coopPosition.z + 6.5
+            );
+            const distToDoor = gameState.player.mesh.position.distanceTo(doorPos);
             
-            // Normal wandering behavior (when not visiting coop)
-            if (!this.visitingCoop) {
-                this.wanderTimer -= delta;
-                if (this.wanderTimer <= 0) {
-                    this.wanderAngle = Math.random() * Math.PI * 2;
-                    this.wanderTimer = 2 + Math.random() * 3;
-                }
-                
-                this.velocity.x = Math.cos(this.wanderAngle) * this.speed;
-                this.velocity.z = Math.sin(this.wanderAngle) * this.speed;
-                
-                // Ducks are attracted to the pond
-                if (this.type === 'duck' && !nearestCorn) {
-                    const pondPos = new THREE.Vector3(10, 0, 10);
-                    const distToPond = this.mesh.position.distanceTo(pondPos);
-                    if (distToPond > 3) {
-                        const toPond = new THREE.Vector3()
-                            .subVectors(pondPos, this.mesh.position)
-                            .normalize();
-                        this.velocity.add(toPond.multiplyScalar(this.speed * 0.3));
-                    }
-                }
+            if (distToDoor < 4) {
+                toggleCoop();
+            } else if (sim.isAtCornBin()) {
+                // Trade eggs for corn at the bin
+                recordAction('tradeEggs');
+                sim.tradeEggsForCorn();
             }
         }
-        
-        // Apply velocity
-        this.mesh.position.x += this.velocity.x * delta;
-        this.mesh.position.z += this.velocity.z * delta;
-        
-        // Check coop collision (birds can't walk through it except when visiting)
-        if (!this.visitingCoop && collidesWithCoop(this.mesh.position.x, this.mesh.position.z)) {
-            // Push bird away from coop
-            const awayFromCoop = new THREE.Vector3()
-                .subVectors(this.mesh.position, gameState.coopPosition)
-                .normalize();
-            this.mesh.position.x += awayFromCoop.x * 0.5;
-            this.mesh.position.z += awayFromCoop.z * 0.5;
-        }
-        
-        // Boundary avoidance - birds try to stay inside
-        const boundaryDist = 25; // Start avoiding at this distance from center
-        const distFromCenter = Math.sqrt(
-            this.mesh.position.x * this.mesh.position.x + 
-            this.mesh.position.z * this.mesh.position.z
-        );
-        
-        if (distFromCenter > boundaryDist && !this.scared && !nearestCorn) {
-            // Push back toward center
-            const toCenter = new THREE.Vector3(-this.mesh.position.x, 0, -this.mesh.position.z)
-                .normalize()
-                .multiplyScalar(this.speed * 0.5);
-            this.velocity.add(toCenter);
-        }
-        
-        // Check boundaries
-        const prevInBounds = this.inBounds;
-        this.inBounds = (
-            this.mesh.position.x > -30 && this.mesh.position.x < 30 &&
-            this.mesh.position.z > -30 && this.mesh.position.z < 30
-        );
-        
-        if (!this.inBounds) {
-            // Bird is out of bounds, start/continue timer
-            this.outOfBoundsTimer += delta;
-            
-            // Bird runs away after 20 seconds out of bounds
-            if (this.outOfBoundsTimer >= 20 && !this.hasEscaped) {
-                this.hasEscaped = true;
-                gameState.ranAway++;
-                return true; // Signal to remove this bird from the game
-            }
-        } else {
-            // Bird is back in bounds, reset timer and escape flag
-            this.outOfBoundsTimer = 0;
-            this.hasEscaped = false;
-        }
-        
-        // Hard boundary - can't go past this point
-        this.mesh.position.x = Math.max(-32, Math.min(32, this.mesh.position.x));
-        this.mesh.position.z = Math.max(-32, Math.min(32, this.mesh.position.z));
-        
-        // Face movement direction
-        if (this.velocity.length() > 0.1) {
-            this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
-        }
-        
-        // Wing flapping animation
-        this.flapTimer -= delta;
-        if (this.flapTimer <= 0 && !this.isFlapping && !this.isPecking) {
-            this.isFlapping = true;
-            this.flapDuration = 0.5; // Half second flap
-            this.flapTimer = 3 + Math.random() * 4; // Flap every 3-7 seconds
-        }
-        
-        if (this.isFlapping) {
-            this.flapDuration -= delta;
-            const flapSpeed = 20;
-            const flapAngle = Math.sin(this.flapDuration * flapSpeed) * 0.5;
-            this.leftWing.rotation.z = flapAngle;
-            this.rightWing.rotation.z = -flapAngle;
-            
-            if (this.flapDuration <= 0) {
-                this.isFlapping = false;
-                this.leftWing.rotation.z = 0;
-                this.rightWing.rotation.z = 0;
-            }
-        }
-        
-        // Pecking animation (only when not moving much)
-        if (this.velocity.length() < 0.5) {
-            this.peckTimer -= delta;
-            if (this.peckTimer <= 0 && !this.isPecking && !this.isFlapping) {
-                this.isPecking = true;
-                this.peckDuration = 1.5; // 1.5 seconds of pecking
-                this.peckTimer = 4 + Math.random() * 6; // Peck every 4-10 seconds
-            }
-            
-            if (this.isPecking) {
-                this.peckDuration -= delta;
-                // Bob head up and down
-                const peckSpeed = 8;
-                const peckAmount = Math.abs(Math.sin(this.peckDuration * peckSpeed)) * 0.15;
-                this.head.position.y = 0.3 - peckAmount;
-                this.head.rotation.x = -peckAmount * 2;
-                
-                if (this.peckDuration <= 0) {
-                    this.isPecking = false;
-                    this.head.position.y = 0.3;
-                    this.head.rotation.x = 0;
-                }
-            }
-        } else {
-            // Reset pecking if bird starts moving
-            if (this.isPecking) {
-                this.isPecking = false;
-                this.head.position.y = 0.3;
-                this.head.rotation.x = 0;
-            }
-        }
-    }
-}
-
-// Predator class
-class Predator {
-    constructor(type) {
-        this.type = type;
-        this.mesh = new THREE.Group();
-        
-        if (type === 'hawk') {
-            // Hawk - flying predator (more hawk-like)
-            const color = 0x654321;
-            const material = new THREE.MeshLambertMaterial({ 
-                map: hawkFeatherTexture,
-                color: hawkFeatherTexture ? 0xFFFFFF : 0x654321
-            });
-            
-            // Body (more substantial and elongated)
-            const bodyGeometry = new THREE.CylinderGeometry(0.35, 0.4, 1.2, 12);
-            const body = new THREE.Mesh(bodyGeometry, material);
-            body.rotation.x = Math.PI / 2;
-            body.castShadow = true;
-            this.mesh.add(body);
-            
-            // Chest (rounded front)
-            const chestGeometry = new THREE.SphereGeometry(0.4, 12, 12);
-            const chest = new THREE.Mesh(chestGeometry, material);
-            chest.position.set(0, 0, 0.5);
-            chest.scale.set(1, 1, 0.8);
-            chest.castShadow = true;
-            this.mesh.add(chest);
-            
-            // Head (distinct and rounded)
-            const headGeometry = new THREE.SphereGeometry(0.35, 12, 12);
-            const head = new THREE.Mesh(headGeometry, material);
-            head.position.set(0, 0.3, 0.9);
-            head.scale.set(0.9, 1, 1);
-            head.castShadow = true;
-            this.mesh.add(head);
-            
-            // Eyes
-            const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-            const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0xFFD700 });
-            
-            const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            leftEye.position.set(-0.2, 0.35, 1.15);
-            this.mesh.add(leftEye);
-            
-            const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            rightEye.position.set(0.2, 0.35, 1.15);
-            this.mesh.add(rightEye);
-            
-            // Beak (sharp and hooked)
-            const beakGeometry = new THREE.ConeGeometry(0.12, 0.35, 8);
-            const beakMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-            const beak = new THREE.Mesh(beakGeometry, beakMaterial);
-            beak.position.set(0, 0.25, 1.3);
-            beak.rotation.x = Math.PI / 2.2; // Slightly hooked
-            beak.castShadow = true;
-            this.mesh.add(beak);
-            
-            // Main wings (longer and more defined)
-            const wingGeometry = new THREE.BoxGeometry(3.2, 0.12, 1.0);
-            const wings = new THREE.Mesh(wingGeometry, material);
-            wings.position.set(0, 0, 0.1);
-            wings.castShadow = true;
-            this.mesh.add(wings);
-            
-            // Primary feathers (individual feathers at wing tips)
-            const primaryFeatherGeometry = new THREE.BoxGeometry(0.45, 0.06, 0.18);
-            const primaryMaterial = new THREE.MeshLambertMaterial({ 
-                map: hawkFeatherTexture,
-                color: hawkFeatherTexture ? 0xFFFFFF : 0x4A3728
-            });
-            
-            // Left wing primaries
-            for (let i = 0; i < 6; i++) {
-                const feather = new THREE.Mesh(primaryFeatherGeometry, primaryMaterial);
-                feather.position.set(-1.4 - (i * 0.16), 0.02, 0.4 - (i * 0.14));
-                feather.rotation.y = -0.3 - (i * 0.12);
-                feather.rotation.z = -0.15;
-                feather.castShadow = true;
-                this.mesh.add(feather);
-            }
-            
-            // Right wing primaries
-            for (let i = 0; i < 6; i++) {
-                const feather = new THREE.Mesh(primaryFeatherGeometry, primaryMaterial);
-                feather.position.set(1.4 + (i * 0.16), 0.02, 0.4 - (i * 0.14));
-                feather.rotation.y = 0.3 + (i * 0.12);
-                feather.rotation.z = 0.15;
-                feather.castShadow = true;
-                this.mesh.add(feather);
-            }
-            
-            // Fan tail (spread tail feathers)
-            const tailFeatherGeometry = new THREE.BoxGeometry(0.25, 0.08, 0.8);
-            for (let i = 0; i < 7; i++) {
-                const angle = (i - 3) * 0.15; // Spread from -3 to +3
-                const tailFeather = new THREE.Mesh(tailFeatherGeometry, material);
-                tailFeather.position.set(Math.sin(angle) * 0.4, -0.1, -0.6 + Math.cos(angle) * 0.2);
-                tailFeather.rotation.y = angle;
-                tailFeather.castShadow = true;
-                this.mesh.add(tailFeather);
-            }
-            
-            // Spawn in the air
-            const edge = Math.floor(Math.random() * 4);
-            switch(edge) {
-                case 0: this.mesh.position.set(Math.random() * 60 - 30, 15, -35); break;
-                case 1: this.mesh.position.set(Math.random() * 60 - 30, 15, 35); break;
-                case 2: this.mesh.position.set(-35, 15, Math.random() * 60 - 30); break;
-                case 3: this.mesh.position.set(35, 15, Math.random() * 60 - 30); break;
-            }
-            
-            this.speed = 6;
-            this.health = 2;
-            this.isFlying = true;
-        } else {
-            // Dog - ground predator (twice as big, more dog-like)
-            const color = 0x8B4513;
-            const material = new THREE.MeshLambertMaterial({ 
-                map: dogHairTexture,
-                color: dogHairTexture ? 0xFFFFFF : 0x8B4513
-            });
-            
-            // Body (more elongated, less blocky - dog-shaped)
-            const bodyGeometry = new THREE.BoxGeometry(0.8, 0.8, 1.8);
-            const body = new THREE.Mesh(bodyGeometry, material);
-            body.position.set(0, 0.9, 0);
-            body.castShadow = true;
-            this.mesh.add(body);
-            
-            // Head (more rounded)
-            const headGeometry = new THREE.SphereGeometry(0.5, 12, 12);
-            const head = new THREE.Mesh(headGeometry, material);
-            head.position.set(0, 1.0, 1.3);
-            head.scale.set(0.9, 0.9, 1.1);
-            head.castShadow = true;
-            this.mesh.add(head);
-            
-            // Snout
-            const snoutGeometry = new THREE.CylinderGeometry(0.25, 0.3, 0.6, 12);
-            const snoutMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
-            const snout = new THREE.Mesh(snoutGeometry, snoutMaterial);
-            snout.position.set(0, 0.9, 1.9);
-            snout.rotation.x = Math.PI / 2;
-            snout.castShadow = true;
-            this.mesh.add(snout);
-            
-            // Nose
-            const noseGeometry = new THREE.SphereGeometry(0.12, 8, 8);
-            const noseMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-            const nose = new THREE.Mesh(noseGeometry, noseMaterial);
-            nose.position.set(0, 0.9, 2.2);
-            this.mesh.add(nose);
-            
-            // Eyes
-            const eyeGeometry = new THREE.SphereGeometry(0.08, 8, 8);
-            const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-            
-            const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            leftEye.position.set(-0.25, 1.15, 1.7);
-            this.mesh.add(leftEye);
-            
-            const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-            rightEye.position.set(0.25, 1.15, 1.7);
-            this.mesh.add(rightEye);
-            
-            // Ears (floppy)
-            const earGeometry = new THREE.BoxGeometry(0.25, 0.5, 0.1);
-            const leftEar = new THREE.Mesh(earGeometry, material);
-            leftEar.position.set(-0.4, 1.3, 1.1);
-            leftEar.rotation.z = -0.3;
-            leftEar.castShadow = true;
-            this.mesh.add(leftEar);
-            
-            const rightEar = new THREE.Mesh(earGeometry, material);
-            rightEar.position.set(0.4, 1.3, 1.1);
-            rightEar.rotation.z = 0.3;
-            rightEar.castShadow = true;
-            this.mesh.add(rightEar);
-            
-            // Legs (distinct and properly positioned)
-            const legGeometry = new THREE.CylinderGeometry(0.15, 0.15, 0.9, 8);
-            const legMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
-            
-            const frontLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
-            frontLeftLeg.position.set(-0.35, 0.45, 0.7);
-            frontLeftLeg.castShadow = true;
-            this.mesh.add(frontLeftLeg);
-            
-            const frontRightLeg = new THREE.Mesh(legGeometry, legMaterial);
-            frontRightLeg.position.set(0.35, 0.45, 0.7);
-            frontRightLeg.castShadow = true;
-            this.mesh.add(frontRightLeg);
-            
-            const backLeftLeg = new THREE.Mesh(legGeometry, legMaterial);
-            backLeftLeg.position.set(-0.35, 0.45, -0.7);
-            backLeftLeg.castShadow = true;
-            this.mesh.add(backLeftLeg);
-            
-            const backRightLeg = new THREE.Mesh(legGeometry, legMaterial);
-            backRightLeg.position.set(0.35, 0.45, -0.7);
-            backRightLeg.castShadow = true;
-            this.mesh.add(backRightLeg);
-            
-            // Paws
-            const pawGeometry = new THREE.SphereGeometry(0.18, 8, 8);
-            const pawMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
-            
-            const frontLeftPaw = new THREE.Mesh(pawGeometry, pawMaterial);
-            frontLeftPaw.position.set(-0.35, 0.1, 0.7);
-            frontLeftPaw.scale.set(1, 0.6, 1);
-            this.mesh.add(frontLeftPaw);
-            
-            const frontRightPaw = new THREE.Mesh(pawGeometry, pawMaterial);
-            frontRightPaw.position.set(0.35, 0.1, 0.7);
-            frontRightPaw.scale.set(1, 0.6, 1);
-            this.mesh.add(frontRightPaw);
-            
-            const backLeftPaw = new THREE.Mesh(pawGeometry, pawMaterial);
-            backLeftPaw.position.set(-0.35, 0.1, -0.7);
-            backLeftPaw.scale.set(1, 0.6, 1);
-            this.mesh.add(backLeftPaw);
-            
-            const backRightPaw = new THREE.Mesh(pawGeometry, pawMaterial);
-            backRightPaw.position.set(0.35, 0.1, -0.7);
-            backRightPaw.scale.set(1, 0.6, 1);
-            this.mesh.add(backRightPaw);
-            
-            // Tail (curved upward)
-            const tailGeometry = new THREE.CylinderGeometry(0.12, 0.08, 1.0, 8);
-            const tail = new THREE.Mesh(tailGeometry, material);
-            tail.position.set(0, 1.2, -1.0);
-            tail.rotation.x = -Math.PI / 3;
-            tail.castShadow = true;
-            this.mesh.add(tail);
-            
-            // Spawn at random edge
-            const edge = Math.floor(Math.random() * 4);
-            switch(edge) {
-                case 0: this.mesh.position.set(Math.random() * 60 - 30, 0, -35); break;
-                case 1: this.mesh.position.set(Math.random() * 60 - 30, 0, 35); break;
-                case 2: this.mesh.position.set(-35, 0, Math.random() * 60 - 30); break;
-                case 3: this.mesh.position.set(35, 0, Math.random() * 60 - 30); break;
-            }
-            
-            this.speed = 4;
-            this.health = 3;
-            this.isFlying = false;
-        }
-        
-        scene.add(this.mesh);
-        
-        this.velocity = new THREE.Vector3();
-        this.target = null;
-        this.fleeing = false;
-        this.capturedBird = null; // Bird being carried
-        this.targetBird = null; // Bird being stalked (for hawks waiting)
-        this.captureTimer = 0; // For hawks - time on bird before grabbing
-        this.hasScreeched = false; // Track if hawk has screeched during this hunt
-        this.barkTimer = 0; // For dogs - time since last bark
     }
     
-    update(delta, birds, player) {
-        // Check if player scares predator
-        if (player) {
-            const distToPlayer = this.mesh.position.distanceTo(player.mesh.position);
-            const scareRange = this.isFlying ? 6 : 4;
-            
-            if (distToPlayer < scareRange && keys[' ']) {
-                this.fleeing = true;
-                this.health--;
-                
-                // Trigger staff swing animation
-                player.swingStaff();
-                
-                // Dog barks when hit
-                if (!this.isFlying) {
-                    audioSystem.playDogBark();
-                }
-                
-                // Release captured bird if player scares predator
-                if (this.capturedBird) {
-                    this.capturedBird.captured = false;
-                    // Reset bird to ground level
-                    this.capturedBird.mesh.position.y = 0.3;
-                    this.capturedBird = null;
-                    this.captureTimer = 0;
-                }
-                
-                // Reset target bird if stalking
-                if (this.targetBird) {
-                    this.targetBird = null;
-                    this.captureTimer = 0;
-                }
-                
-                if (this.health <= 0) {
-                    return true; // Signal to remove this predator
-                }
-            }
-            
-            if (distToPlayer > 10) {
-                this.fleeing = false;
-            }
-        }
-        
-        if (this.fleeing && player) {
-            // Run/fly away from player
-            const away = new THREE.Vector3()
-                .subVectors(this.mesh.position, player.mesh.position)
-                .normalize();
-            this.velocity.copy(away).multiplyScalar(this.speed * 1.5);
-            
-            if (this.isFlying) {
-                this.mesh.position.y += delta * 8;
-            }
-        } else if (this.capturedBird) {
-            // Carrying a bird - head to edge
-            const edge = this.getClosestEdge();
-            const direction = new THREE.Vector3()
-                .subVectors(edge, this.mesh.position)
-                .normalize();
-            this.velocity.copy(direction).multiplyScalar(this.speed);
-            
-            // Hawks fly up when carrying
-            if (this.isFlying) {
-                const carryHeight = 12;
-                if (this.mesh.position.y < carryHeight) {
-                    this.mesh.position.y += delta * 8;
-                }
-            }
-            
-            // Move captured bird with predator
-            this.capturedBird.mesh.position.copy(this.mesh.position);
-            this.capturedBird.mesh.position.y = this.mesh.position.y;
-            
-            // Check if crossed the boundary (beyond -32 or 32)
-            const outOfBounds = (
-                this.mesh.position.x < -32 || this.mesh.position.x > 32 ||
-                this.mesh.position.z < -32 || this.mesh.position.z > 32
-            );
-            
-            if (outOfBounds) {
-                // Bird is killed - signal to remove it
-                this.capturedBird.killed = true;
-                return true; // Remove predator too
-            }
-        } else {
-            // Hunt nearest bird
-            let nearest = null;
-            let nearestDist = Infinity;
-            
-            for (const bird of birds) {
-                if (!bird.captured) {
-                    const dist = this.mesh.position.distanceTo(bird.mesh.position);
-                    if (dist < nearestDist) {
-                        nearestDist = dist;
-                        nearest = bird;
-                    }
-                }
-            }
-            
-            if (nearest) {
-                // Check if caught bird
-                if (nearestDist < 2.0) {  // Increased to 2.0 for easier capture
-                    if (this.isFlying) {
-                        // Hawk: wait 20 seconds before grabbing
-                        // Lock onto this bird while waiting
-                        if (!this.targetBird) {
-                            this.targetBird = nearest;
-                        }
-                        
-                        this.captureTimer += delta;
-                        
-                        // Stay on top of the bird
-                        this.mesh.position.x = this.targetBird.mesh.position.x;
-                        this.mesh.position.z = this.targetBird.mesh.position.z;
-                        this.mesh.position.y = 1.5;
-                        this.velocity.set(0, 0, 0);
-                        
-                        if (this.captureTimer >= 10) {
-                            this.capturedBird = this.targetBird;
-                            this.targetBird.captured = true;
-                            this.targetBird = null;
-                            this.captureTimer = 0;
-                        }
-                    } else {
-                        // Dog: grab immediately
-                        this.capturedBird = nearest;
-                        nearest.captured = true;
-                    }
-                } else {
-                    // Not close enough, chase the bird
-                    this.targetBird = null;
-                    this.captureTimer = 0;
-                    
-                    const direction = new THREE.Vector3()
-                        .subVectors(nearest.mesh.position, this.mesh.position)
-                        .normalize();
-                    this.velocity.copy(direction).multiplyScalar(this.speed);
-                    
-                    // Dogs bark periodically while chasing
-                    if (!this.isFlying) {
-                        this.barkTimer += delta;
-                        if (this.barkTimer >= 2) { // Bark every 2 seconds
-                            audioSystem.playDogBark();
-                            this.barkTimer = 0;
-                        }
-                    }
-                    
-                    // Hawks dive down when hunting
-                    if (this.isFlying) {
-                        const targetHeight = 1.5;
-                        if (this.mesh.position.y > targetHeight) {
-                            this.mesh.position.y -= delta * 6;
-                            
-                            // Screech once when starting to dive
-                            if (!this.hasScreeched && this.mesh.position.y < 10) {
-                                audioSystem.playHawkScreech();
-                                this.hasScreeched = true;
-                            }
-                        } else {
-                            this.mesh.position.y = targetHeight;
-                        }
-                    }
-                }
-            } else if (this.isFlying) {
-                // No target, maintain cruising altitude
-                this.hasScreeched = false; // Reset for next hunt
-                const cruisingHeight = 12;
-                if (this.mesh.position.y < cruisingHeight) {
-                    this.mesh.position.y += delta * 3;
-                }
-            }
-        }
-        
-        this.mesh.position.x += this.velocity.x * delta;
-        this.mesh.position.z += this.velocity.z * delta;
-        
-        // Check coop collision (predators can't walk through it)
-        if (!this.isFlying && collidesWithCoop(this.mesh.position.x, this.mesh.position.z)) {
-            const awayFromCoop = new THREE.Vector3()
-                .subVectors(this.mesh.position, gameState.coopPosition)
-                .normalize();
-            this.mesh.position.x += awayFromCoop.x * 0.5;
-            this.mesh.position.z += awayFromCoop.z * 0.5;
-        }
-        
-        // Avoid player collision
-        if (player && !this.fleeing) {
-            const distToPlayer = this.mesh.position.distanceTo(player.mesh.position);
-            if (distToPlayer < 2) {
-                const awayFromPlayer = new THREE.Vector3()
-                    .subVectors(this.mesh.position, player.mesh.position)
-                    .normalize();
-                this.mesh.position.x += awayFromPlayer.x * 0.5;
-                this.mesh.position.z += awayFromPlayer.z * 0.5;
-            }
-        }
-        
-        // Avoid Liz collision
-        if (gameState.visitor && !this.fleeing) {
-            const distToLiz = this.mesh.position.distanceTo(gameState.visitor.mesh.position);
-            if (distToLiz < 3) {
-                const awayFromLiz = new THREE.Vector3()
-                    .subVectors(this.mesh.position, gameState.visitor.mesh.position)
-                    .normalize();
-                this.mesh.position.x += awayFromLiz.x * 0.5;
-                this.mesh.position.z += awayFromLiz.z * 0.5;
-            }
-        }
-        
-        // Face movement direction
-        if (this.velocity.length() > 0.1) {
-            this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
-        }
-        
-        return false;
+    // Toggle the navigation debug overlay
+    if (action === 'navDebug') {
+        navDebugEnabled = !navDebugEnabled;
     }
     
-    getClosestEdge() {
-        const pos = this.mesh.position;
-        const edges = [
-            new THREE.Vector3(pos.x, pos.y, -40),  // North
-            new THREE.Vector3(pos.x, pos.y, 40),   // South
-            new THREE.Vector3(-40, pos.y, pos.z),  // West
-            new THREE.Vector3(40, pos.y, pos.z)    // East
-        ];
-        
-        let closest = edges[0];
-        let minDist = pos.distanceTo(edges[0]);
-        
-        for (let i = 1; i < edges.length; i++) {
-            const dist = pos.distanceTo(edges[i]);
-            if (dist < minDist) {
-                minDist = dist;
-                closest = edges[i];
-            }
-        }
-        
-        return closest;
-    }
-}
-
-// Visitor class - Liz the friendly neighbor
-class Visitor {
-    constructor() {
-        this.mesh = new THREE.Group();
-        
-        // Skin material
-        const skinMaterial = new THREE.MeshLambertMaterial({ color: 0xFFDBAC });
-        
-        // Legs (gray sweatpants)
-        const legGeometry = new THREE.CylinderGeometry(0.25, 0.25, 1.6, 8);
-        const pantsMaterial = new THREE.MeshLambertMaterial({ color: 0x808080 }); // Gray
-        
-        const leftLeg = new THREE.Mesh(legGeometry, pantsMaterial);
-        leftLeg.position.set(-0.3, 0.8, 0);
-        leftLeg.castShadow = true;
-        this.mesh.add(leftLeg);
-        this.leftLeg = leftLeg; // Store for animation
-        
-        const rightLeg = new THREE.Mesh(legGeometry, pantsMaterial);
-        rightLeg.position.set(0.3, 0.8, 0);
-        rightLeg.castShadow = true;
-        this.mesh.add(rightLeg);
-        this.rightLeg = rightLeg; // Store for animation
-        
-        // Feet (shoes)
-        const footGeometry = new THREE.BoxGeometry(0.3, 0.2, 0.5);
-        const shoeMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF }); // White shoes
-        
-        const leftFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        leftFoot.position.set(-0.3, 0.1, 0.1);
-        leftFoot.castShadow = true;
-        this.mesh.add(leftFoot);
-        this.leftFoot = leftFoot; // Store for animation
-        
-        const rightFoot = new THREE.Mesh(footGeometry, shoeMaterial);
-        rightFoot.position.set(0.3, 0.1, 0.1);
-        rightFoot.castShadow = true;
-        this.mesh.add(rightFoot);
-        this.rightFoot = rightFoot; // Store for animation
-        
-        // Torso (blue sweatshirt)
-        const torsoGeometry = new THREE.BoxGeometry(0.9, 1.2, 0.5);
-        const sweatshirtMaterial = new THREE.MeshLambertMaterial({ color: 0x4169E1 }); // Royal blue
-        const torso = new THREE.Mesh(torsoGeometry, sweatshirtMaterial);
-        torso.position.set(0, 2.2, 0);
-        torso.castShadow = true;
-        this.mesh.add(torso);
-        this.torso = torso; // Store for animation
-        
-        // Add chest shape for feminine appearance
-        const chestGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const leftChest = new THREE.Mesh(chestGeometry, sweatshirtMaterial);
-        leftChest.position.set(-0.2, 2.4, 0.2);
-        leftChest.scale.set(1, 0.8, 1);
-        leftChest.castShadow = true;
-        this.mesh.add(leftChest);
-        this.leftChest = leftChest; // Store for animation
-        
-        const rightChest = new THREE.Mesh(chestGeometry, sweatshirtMaterial);
-        rightChest.position.set(0.2, 2.4, 0.2);
-        rightChest.scale.set(1, 0.8, 1);
-        rightChest.castShadow = true;
-        this.mesh.add(rightChest);
-        this.rightChest = rightChest; // Store for animation
-        
-        // Arms
-        const armGeometry = new THREE.CylinderGeometry(0.15, 0.15, 1.0, 8);
-        
-        const leftArm = new THREE.Mesh(armGeometry, sweatshirtMaterial);
-        leftArm.position.set(-0.6, 2.2, 0);
-        leftArm.castShadow = true;
-        this.mesh.add(leftArm);
-        this.leftArm = leftArm; // Store for animation
-        
-        const rightArm = new THREE.Mesh(armGeometry, sweatshirtMaterial);
-        rightArm.position.set(0.6, 2.2, 0);
-        rightArm.castShadow = true;
-        this.mesh.add(rightArm);
-        this.rightArm = rightArm; // Store for animation
-        
-        // Hands
-        const handGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-        
-        const leftHand = new THREE.Mesh(handGeometry, skinMaterial);
-        leftHand.position.set(-0.6, 1.7, 0);
-        leftHand.castShadow = true;
-        this.mesh.add(leftHand);
-        this.leftHand = leftHand; // Store for animation
-        
-        const rightHand = new THREE.Mesh(handGeometry, skinMaterial);
-        rightHand.position.set(0.6, 1.7, 0);
-        rightHand.castShadow = true;
-        this.mesh.add(rightHand);
-        this.rightHand = rightHand; // Store for animation
-        
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.45, 12, 12);
-        const head = new THREE.Mesh(headGeometry, skinMaterial);
-        head.position.set(0, 3.2, 0);
-        head.castShadow = true;
-        this.mesh.add(head);
-        this.head = head; // Store for animation
-        
-        // Eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.06, 8, 8);
-        const eyeMaterial = new THREE.MeshLambertMaterial({ color: 0x000000 });
-        
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.15, 3.25, 0.4);
-        this.mesh.add(leftEye);
-        this.leftEye = leftEye; // Store for animation
-        
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.15, 3.25, 0.4);
-        this.mesh.add(rightEye);
-        this.rightEye = rightEye; // Store for animation
-        
-        // Smile (happy arc)
-        const smileCurve = new THREE.EllipseCurve(
-            0, 0,
-            0.2, 0.1,
-            0, Math.PI,
-            false,
-            0
-        );
-        const smilePoints = smileCurve.getPoints(20);
-        const smileGeometry = new THREE.BufferGeometry().setFromPoints(smilePoints);
-        const smileMaterial = new THREE.LineBasicMaterial({ color: 0x000000, linewidth: 2 });
-        const smile = new THREE.Line(smileGeometry, smileMaterial);
-        smile.position.set(0, 3.0, 0.42); // Lower on face
-        smile.rotation.x = Math.PI; // Flip to face forward correctly
-        smile.rotation.y = Math.PI; // Additional rotation
-        this.mesh.add(smile);
-        this.smile = smile; // Store for animation
-        
-        // Green baseball cap
-        const capBillGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.05, 16, 1, false, 0, Math.PI);
-        const capMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 }); // Forest green
-        const capBill = new THREE.Mesh(capBillGeometry, capMaterial);
-        capBill.position.set(0, 3.48, 0.25); // Move back closer to head
-        capBill.rotation.y = -Math.PI / 2; // Rotate -90 degrees (flip to point forward correctly)
-        capBill.castShadow = true;
-        this.mesh.add(capBill);
-        this.capBill = capBill; // Store for animation
-        
-        // Cap crown (dome)
-        const capCrownGeometry = new THREE.SphereGeometry(0.48, 12, 12, 0, Math.PI * 2, 0, Math.PI / 2);
-        const capCrown = new THREE.Mesh(capCrownGeometry, capMaterial);
-        capCrown.position.set(0, 3.45, 0);
-        capCrown.castShadow = true;
-        this.mesh.add(capCrown);
-        this.capCrown = capCrown; // Store for animation
-        
-        // Spawn at right side center
-        this.mesh.position.set(35, 0, 0);
-        this.entryPoint = new THREE.Vector3(35, 0, 0);
-        
-        scene.add(this.mesh);
-        
-        // State management
-        this.state = 'entering'; // entering, wandering, sitting, leaving
-        this.velocity = new THREE.Vector3();
-        this.speed = 3;
-        this.targetPosition = null;
-        this.sitTimer = 0;
-        this.sitDuration = 20; // Sits for 20 seconds (increased for testing)
-        this.greetingShown = false;
-        this.greetingTimer = 0;
-        this.throwTimer = 0;
-        this.throwInterval = 3; // Throw treats every 3 seconds while sitting
-        this.birdsOnHead = []; // Track which birds are on her head
+    // Toggle the flock roster
+    if (action === 'roster') {
+        rosterVisible = !rosterVisible;
+        rosterRefreshTimer = 0;
     }
     
-    update(delta, birds, player) {
-        // Update greeting timer across all states
-        if (!this.greetingShown && player) {
-            this.greetingTimer += delta;
-            if (this.greetingTimer >= 3) {
-                this.greetingShown = true;
-                this.showGreeting(player);
-            }
-        }
-        
-        if (this.state === 'entering') {
-            // Walk into the play area
-            const inBounds = this.mesh.position.x < 25;
-            
-            if (!inBounds) {
-                // Move toward center
-                this.velocity.set(-this.speed, 0, 0);
-                this.mesh.position.x += this.velocity.x * delta;
-            } else {
-                // Pick a random spot to sit (not too close to coop or edges)
-                this.targetPosition = new THREE.Vector3(
-                    -10 + Math.random() * 20,
-                    0,
-                    -10 + Math.random() * 20
-                );
-                this.state = 'wandering';
-            }
-        } else if (this.state === 'wandering') {
-            // Walk to target position
-            if (!this.targetPosition) {
-                console.error('Liz in wandering state but no target position!');
-                this.state = 'leaving';
-                return false;
-            }
-            
-            const distToTarget = this.mesh.position.distanceTo(this.targetPosition);
-            
-            if (distToTarget > 1) {
-                const direction = new THREE.Vector3()
-                    .subVectors(this.targetPosition, this.mesh.position)
-                    .normalize();
-                this.velocity.copy(direction).multiplyScalar(this.speed);
-                this.mesh.position.x += this.velocity.x * delta;
-                this.mesh.position.z += this.velocity.z * delta;
-                
-                // Face movement direction
-                this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
-            } else {
-                // Arrived, sit down
-                this.state = 'sitting';
-                this.velocity.set(0, 0, 0);
-                this.sitTimer = 0;
-                
-                // Animate sitting pose
-                this.sitDown();
-            }
-        } else if (this.state === 'sitting') {
-            // Sit and attract birds
-            this.sitTimer += delta;
-            this.throwTimer += delta;
-            
-            // Throw treats periodically
-            if (this.throwTimer >= this.throwInterval) {
-                this.throwTreat();
-                this.throwTimer = 0;
-            }
-            
-            // Attract birds to sit on head
-            this.attractBirds(birds, delta);
-            
-            // Time to leave
-            if (this.sitTimer >= this.sitDuration) {
-                this.state = 'leaving';
-                
-                // Show goodbye message
-                if (player) {
-                    this.showGoodbye(player);
-                }
-                
-                // Stand back up
-                this.standUp();
-                
-                // Birds jump off and resume normal behavior
-                this.birdsOnHead.forEach(bird => {
-                    bird.onVisitorHead = false;
-                    bird.attractedToVisitor = false; // Clear attraction flag
-                    bird.mesh.position.y = 0.3;
-                    bird.velocity.set(0, 0, 0); // Reset velocity
-                    bird.wanderTimer = 0; // Trigger new wander direction immediately
-                });
-                this.birdsOnHead = [];
-            }
-        } else if (this.state === 'leaving') {
-            // Walk back to entry point and off screen
-            // Once we're past x=33, just walk straight right to exit
-            if (this.mesh.position.x > 33) {
-                this.velocity.set(this.speed, 0, 0);
-                this.mesh.position.x += this.velocity.x * delta;
-                
-                // Face right
-                this.mesh.rotation.y = 0;
-                
-                // Remove when off screen
-                if (this.mesh.position.x > 40) {
-                    return true; // Signal to remove
-                }
-            } else {
-                // Navigate back toward entry point
-                const direction = new THREE.Vector3()
-                    .subVectors(this.entryPoint, this.mesh.position)
-                    .normalize();
-                this.velocity.copy(direction).multiplyScalar(this.speed);
-                this.mesh.position.x += this.velocity.x * delta;
-                this.mesh.position.z += this.velocity.z * delta;
-                
-                // Face movement direction
-                this.mesh.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
-            }
-        }
-        
-        return false;
+    // Collect egg (alternative to clicking)
+    if (action === 'collectEgg' && gameState.inCoop && gameState.eggsAvailable) {
+        collectEggAtCrosshair();
     }
     
-    attractBirds(birds, delta) {
-        // Birds within range are attracted - larger range when sitting
-        const attractionRange = this.state === 'sitting' ? 20 : 12;
-        const headYOffset = this.state === 'sitting' ? 2.0 : 3.2; // Head position when sitting vs standing
-        const headPosition = new THREE.Vector3(
-            this.mesh.position.x,
-            this.mesh.position.y + headYOffset,
-            this.mesh.position.z
-        );
-        
-        // Target position for birds to gather around (slightly in front when sitting)
-        const gatherPosition = new THREE.Vector3(
-            this.mesh.position.x,
-            this.mesh.position.y,
-            this.mesh.position.z + (this.state === 'sitting' ? 1.0 : 0.5)
-        );
-        
-        birds.forEach(bird => {
-            const dist = bird.mesh.position.distanceTo(gatherPosition);
-            
-            if (dist < attractionRange && !bird.captured && !bird.onVisitorHead) {
-                // Move toward gathering spot, but stop at a comfortable distance
-                if (dist > 1.5) {
-                    const toLiz = new THREE.Vector3()
-                        .subVectors(gatherPosition, bird.mesh.position)
-                        .normalize();
-                    bird.velocity.copy(toLiz).multiplyScalar(bird.speed * 2); // Faster attraction
-                    bird.attractedToVisitor = true; // Mark as attracted
-                } else {
-                    // Close enough, slow down and wander nearby
-                    bird.velocity.multiplyScalar(0.3);
-                    bird.attractedToVisitor = true;
-                }
-                
-                // If close enough, jump on head (2% chance per frame when very close)
-                if (dist < 2 && Math.random() < 0.02 && this.birdsOnHead.length < 3) {
-                    bird.onVisitorHead = true;
-                    this.birdsOnHead.push(bird);
-                    
-                    // Position on TOP of head (spread them out)
-                    const offset = this.birdsOnHead.length - 1;
-                    bird.headOffset = new THREE.Vector3(
-                        (offset - 1) * 0.4,  // Spread left/right
-                        0.7,                  // Well above head (0.45 head radius + 0.25 clearance for cap)
-                        (offset - 1) * 0.2   // Slight front/back variation
-                    );
-                }
-            } else if (bird.attractedToVisitor && dist >= attractionRange) {
-                // Bird left range, clear attraction flag
-                bird.attractedToVisitor = false;
-            }
-        });
-        
-        // Update birds on head
-        this.birdsOnHead.forEach(bird => {
-            bird.mesh.position.copy(headPosition).add(bird.headOffset);
-            bird.velocity.set(0, 0, 0);
-            
-            // Flap wings occasionally
-            if (Math.random() < 0.05 && !bird.isFlapping) {
-                bird.isFlapping = true;
-                bird.flapDuration = 0.5;
-            }
-        });
+    // Switch between game music and the player's own playlist
+    if (action === 'toggleWalkman' && walkmanSystem.isGameStarted) {
+        walkmanSystem.setMode(walkmanSystem.mode === 'walkman' ? 'game' : 'walkman');
     }
-    
-    throwTreat() {
-        // Visual treat (small yellow sphere)
-        const treatGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-        const treatMaterial = new THREE.MeshLambertMaterial({ color: 0xFFD700 });
-        const treat = new THREE.Mesh(treatGeometry, treatMaterial);
-        treat.position.copy(this.mesh.position);
-        treat.position.y = 1.7;
-        scene.add(treat);
-        
-        // Animate hand throwing
-        const originalY = this.leftHand.position.y;
-        this.leftHand.position.y += 0.3;
-        setTimeout(() => {
-            this.leftHand.position.y = originalY;
-        }, 200);
-        
-        // Treat falls to ground
-        let treatLife = 0.5;
-        const treatInterval = setInterval(() => {
-            treatLife -= 0.016;
-            treat.position.y -= 0.1;
-            
-            if (treatLife <= 0 || treat.position.y <= 0.2) {
-                treat.position.y = 0.2;
-                // Remove after a moment
-                setTimeout(() => {
-                    scene.remove(treat);
-                }, 2000);
-                clearInterval(treatInterval);
-            }
-        }, 16);
+}
+
+// Controls screen: every action with its keys and gamepad buttons; click one
+// and press a key (or button) to rebind it
+const controlsModal = document.getElementById('controlsModal');
+const controlsList = document.getElementById('controlsList');
+const deadZoneInput = document.getElementById('deadZoneInput');
+
+function bindingButton(action, device) {
+    const button = document.createElement('button');
+    button.className = 'controls-key';
+    if (rebinding && rebinding.action === action.id && rebinding.device === device) {
+        button.classList.add('waiting');
+        button.textContent = device === 'key' ? 'Press a key...' : 'Press a button...';
+    } else if (device === 'key') {
+        button.textContent = keyHint(action.id);
+    } else {
+        button.textContent = input.buttonLabels(action.id).join('/') || '-';
     }
-    
-    sitDown() {
-        // Lower torso
-        this.torso.position.y = 1.0;
-        
-        // Lower chest
-        this.leftChest.position.y = 1.2;
-        this.rightChest.position.y = 1.2;
-        
-        // Lower and adjust arms
-        this.leftArm.position.y = 1.0;
-        this.rightArm.position.y = 1.0;
-        
-        // Lower hands
-        this.leftHand.position.y = 0.5;
-        this.rightHand.position.y = 0.5;
-        
-        // Lower head
-        this.head.position.y = 2.0;
-        
-        // Lower eyes
-        this.leftEye.position.y = 2.05;
-        this.rightEye.position.y = 2.05;
-        
-        // Lower smile
-        this.smile.position.y = 1.8;
-        
-        // Lower cap
-        this.capBill.position.y = 2.28;
-        this.capCrown.position.y = 2.25;
-        
-        // Rotate legs forward to be horizontal (sitting with legs extended)
-        const legRotation = Math.PI / 2.2; // ~82 degrees
-        this.leftLeg.rotation.x = legRotation;
-        this.leftLeg.position.set(-0.3, 0.3, 0.4); // Position legs forward from torso
-        
-        this.rightLeg.rotation.x = legRotation;
-        this.rightLeg.position.set(0.3, 0.3, 0.4); // Position legs forward from torso
-        
-        // Calculate foot position at end of rotated legs
-        // Cylinder is 1.6 tall, centered at (x, 0.3, 0.4)
-        // After rotation around X by legRotation, the far end is at:
-        const halfLegLength = 0.8;
-        const footY = 0.3 + (halfLegLength * Math.cos(legRotation));
-        const footZ = 0.4 + (halfLegLength * Math.sin(legRotation)) + 0.15; // Add a bit extra to extend past leg end
-        
-        this.leftFoot.position.set(-0.3, footY, footZ);
-        this.leftFoot.rotation.x = -Math.PI / 2; // Point upward
-        
-        this.rightFoot.position.set(0.3, footY, footZ);
-        this.rightFoot.rotation.x = -Math.PI / 2; // Point upward
+    button.addEventListener('click', () => {
+        // Clicking the waiting binding again cancels
+        const waiting = rebinding && rebinding.action === action.id && rebinding.device === device;
+        rebinding = waiting ? null : { action: action.id, device };
+        renderControls();
+    });
+    return button;
+}
+
+function renderControls() {
+    controlsList.innerHTML = '';
+    ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        row.appendChild(label);
+        row.appendChild(bindingButton(action, 'key'));
+        row.appendChild(bindingButton(action, 'button'));
+        controlsList.appendChild(row);
+    });
+    deadZoneInput.value = input.deadZone;
+    document.getElementById('deadZoneValue').textContent = `${Math.round(input.deadZone * 100)}%`;
+}
+
+// Finish a rebind with a key name or a gamepad button index
+function finishRebind(binding) {
+    if (rebinding.device === 'key') {
+        input.rebind(rebinding.action, binding);
+    } else {
+        input.rebindButton(rebinding.action, binding);
     }
-    
-    standUp() {
-        // Reset torso
-        this.torso.position.y = 2.2;
-        
-        // Reset chest
-        this.leftChest.position.y = 2.4;
-        this.rightChest.position.y = 2.4;
-        
-        // Reset arms
-        this.leftArm.position.y = 2.2;
-        this.rightArm.position.y = 2.2;
-        
-        // Reset hands
-        this.leftHand.position.y = 1.7;
-        this.rightHand.position.y = 1.7;
-        
-        // Reset head
-        this.head.position.y = 3.2;
-        
-        // Reset eyes
-        this.leftEye.position.y = 3.25;
-        this.rightEye.position.y = 3.25;
-        
-        // Reset smile
-        this.smile.position.y = 3.0;
-        
-        // Reset cap
-        this.capBill.position.y = 3.48;
-        this.capCrown.position.y = 3.45;
-        
-        // Reset legs to standing position
-        this.leftLeg.rotation.x = 0;
-        this.leftLeg.position.set(-0.3, 0.8, 0);
-        
-        this.rightLeg.rotation.x = 0;
-        this.rightLeg.position.set(0.3, 0.8, 0);
-        
-        // Reset feet
-        this.leftFoot.position.set(-0.3, 0.1, 0.1);
-        this.leftFoot.rotation.x = 0;
-        
-        this.rightFoot.position.set(0.3, 0.1, 0.1);
-        this.rightFoot.rotation.x = 0;
+    rebinding = null;
+    renderControls();
+    updateKeyHints();
+}
+
+// Fill the key names into the instructions (elements with data-keys="action,...")
+function updateKeyHints() {
+    document.querySelectorAll('[data-keys]').forEach(element => {
+        const hints = element.dataset.keys.split(',').map(keyHint);
+        // Single letters run together like "WASD"; longer names get slashes
+        element.textContent = hints.every(hint => hint.length === 1) ? hints.join('') : hints.join('/');
+    });
+}
+
+function openControls() {
+    rebinding = null;
+    renderControls();
+    controlsModal.classList.add('visible');
+}
+
+document.getElementById('controlsBtn').addEventListener('click', openControls);
+
+deadZoneInput.addEventListener('input', () => {
+    const value = parseFloat(deadZoneInput.value);
+    input.setDeadZone(Number.isNaN(value) ? DEFAULT_DEAD_ZONE : value);
+    document.getElementById('deadZoneValue').textContent = `${Math.round(input.deadZone * 100)}%`;
+});
+
+document.getElementById('resetControlsBtn').addEventListener('click', () => {
+    rebinding = null;
+    input.reset();
+    renderControls();
+    updateKeyHints();
+});
+
+function closeControls() {
+    rebinding = null;
+    controlsModal.classList.remove('visible');
+}
+
+document.getElementById('closeControlsBtn').addEventListener('click', closeControls);
+
+updateKeyHints();
+
+// Gamepad: polled once a frame. The left stick and buttons feed the same
+// actions as the keyboard; the right stick looks around inside the coop.
+const GAMEPAD_LOOK_SPEED = 2.5; // Radians a second at full tilt
+const CAPTURE_RUMBLE = { duration: 300, strongMagnitude: 0.8, weakMagnitude: 0.4 };
+let gamepadLook = { x: 0, y: 0 };
+
+function connectedGamepad() {
+    if (!navigator.getGamepads) return null;
+    return [...navigator.getGamepads()].find(pad => pad && pad.connected) || null;
+}
+
+function pollGamepad() {
+    const pad = connectedGamepad();
+    if (!pad) {
+        gamepadLook = { x: 0, y: 0 };
+        input.releasePad();
+        return;
     }
     
-    showGreeting(player) {
-        // Create dialog bubble above player
-        const bubble = document.createElement('div');
-        bubble.id = 'lizGreeting';
-        bubble.style.cssText = `
-            position: absolute;
-            background: white;
-            color: black;
-            padding: 10px 20px;
-            border-radius: 20px;
-            border: 3px solid #4169E1;
-            font-size: 24px;
-            font-weight: bold;
-            pointer-events: none;
-            z-index: 1000;
-            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
-        `;
-        bubble.textContent = 'Hi Liz!';
-        document.body.appendChild(bubble);
-        
-        // Position above player (we'll update in animation loop)
-        bubble.dataset.followPlayer = 'true';
-        
-        // Remove after 3 seconds
-        setTimeout(() => {
-            bubble.remove();
-        }, 3000);
+    const { pressed, newButtons, look } = input.pollGamepad(pad);
+    if (rebinding && rebinding.device === 'button') {
+        if (newButtons.length > 0) {
+            finishRebind(newButtons[0]);
+        }
+        return;
     }
     
-    showGoodbye(player) {
-        // Create dialog bubble above player
-        const bubble = document.createElement('div');
-        bubble.id = 'lizGoodbye';
-        bubble.style.cssText = `
-            position: absolute;
-            background: white;
-            color: black;
-            padding: 10px 20px;
-            border-radius: 20px;
-            border: 3px solid #FF1493;
-            font-size: 24px;
-            font-weight: bold;
-            pointer-events: none;
-            z-index: 1000;
-            box-shadow: 0 4px 8px rgba(0,0,0,0.3);
-        `;
-        bubble.textContent = 'Bye Liz!';
-        document.body.appendChild(bubble);
-        
-        // Position above player (we'll update in animation loop)
-        bubble.dataset.followPlayer = 'true';
-        
-        // Remove after 3 seconds
-        setTimeout(() => {
-            bubble.remove();
-        }, 3000);
+    gamepadLook = look;
+    pressed.forEach(action => {
+        if (!replayPlayer || action === 'pause') {
+            handleAction(action);
+        }
+    });
+}
+
+// Right stick turns the coop camera like the mouse does
+function applyGamepadLook(delta) {
+    if (!gameState.inCoop || replayPlayer || (gamepadLook.x === 0 && gamepadLook.y === 0)) return;
+    cameraAngleH -= gamepadLook.x * GAMEPAD_LOOK_SPEED * delta;
+    cameraAngleV -= gamepadLook.y * GAMEPAD_LOOK_SPEED * delta;
+    cameraAngleV = Math.max(-Math.PI / 3, Math.min(Math.PI / 2.5, cameraAngleV));
+}
+
+window.addEventListener('gamepadconnected', () => {
+    if (gameState.started) {
+        showBanner('🎮 Controller connected');
     }
+});
+
+window.addEventListener('gamepaddisconnected', () => {
+    input.releasePad();
+});
+
+// Touch controls: an on-screen joystick and buttons feed the same actions as
+// the keyboard, and inside the coop a drag looks around (instead of pointer
+// lock) while a tap collects the egg under the finger. They show up the first
+// time the screen is touched.
+const TOUCH_LOOK_SPEED = 0.005; // Radians per pixel dragged
+const TAP_MAX_DRIFT = 12; // Pixels a touch can move and still count as a tap
+const TAP_MAX_TIME = 300; // Milliseconds
+const touchControls = document.getElementById('touchControls');
+const touchStick = document.getElementById('touchStick');
+const touchStickKnob = document.getElementById('touchStickKnob');
+let touchEnabled = false;
+let stickTouchId = null;
+let lookTouch = null; // The touch dragging the coop view: {id, x, y, startX, startY, startTime}
+
+window.addEventListener('touchstart', () => {
+    if (!touchEnabled) {
+        touchEnabled = true;
+        document.body.classList.add('touch');
+    }
+}, { passive: true });
+
+// A touch by its identifier among a TouchList
+function findTouch(touches, id) {
+    return [...touches].find(touch => touch.identifier === id) || null;
 }
 
-// Input handling
-const keys = {};
-window.addEventListener('keydown', (e) => {
-    keys[e.key.toLowerCase()] = true;
-    
-    // Throw corn with 'C' key
-    if (e.key.toLowerCase() === 'c' && gameState.started && gameState.player && !gameState.inCoop) {
-        gameState.player.throwCorn();
+function moveTouchStick(touch) {
+    const rect = touchStick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (touch.clientX - rect.left - radius) / radius;
+    let y = (touch.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+        x /= length;
+        y /= length;
+    }
+    touchStickKnob.style.transform = `translate(calc(-50% + ${x * radius * 0.6}px), calc(-50% + ${y * radius * 0.6}px))`;
+    input.setTouchStick(x, y);
+}
+
+function releaseTouchStick() {
+    stickTouchId = null;
+    touchStickKnob.style.transform = '';
+    input.setTouchStick(0, 0);
+}
+
+touchStick.addEventListener('touchstart', (e) => {
+    e.preventDefault();
+    const touch = e.changedTouches[0];
+    stickTouchId = touch.identifier;
+    moveTouchStick(touch);
+});
+
+touchStick.addEventListener('touchmove', (e) => {
+    e.preventDefault();
+    const touch = findTouch(e.changedTouches, stickTouchId);
+    if (touch) {
+        moveTouchStick(touch);
     }
-    
-    // Enter/exit coop with 'E' key
-    if (e.key.toLowerCase() === 'e' && gameState.started && gameState.player) {
-        if (gameState.inCoop) {
-            // Exit coop (always allowed from inside)
-            toggleCoop();
-        } else {
-            // Try to enter coop - must be at the door
-            // Door is on the front (south side) of the coop at z = -22
-            const doorPos = new THREE.Vector3(
-                gameState.coopPosition.x,
-                0,
-                gameState.coopPosition.z + 6.5
-            );
-            const distToDoor = gameState.player.mesh.position.distanceTo(doorPos);
-            
-            if (distToDoor < 4) {
-                toggleCoop();
-            }
+});
+
+['touchend', 'touchcancel'].forEach(type => {
+    touchStick.addEventListener(type, (e) => {
+        if (findTouch(e.changedTouches, stickTouchId)) {
+            releaseTouchStick();
+        }
+    });
+});
+
+document.querySelectorAll('#touchButtons button').forEach(button => {
+    button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        button.classList.add('pressed');
+        const action = input.touchButton(button.dataset.action, true);
+        if (action && (!replayPlayer || action === 'pause')) {
+            handleAction(action);
+        }
+    });
+    ['touchend', 'touchcancel'].forEach(type => {
+        button.addEventListener(type, (e) => {
+            e.preventDefault();
+            button.classList.remove('pressed');
+            input.touchButton(button.dataset.action, false);
+        });
+    });
+});
+
+// Inside the coop the canvas takes drags and taps; outside, taps fall through
+// to the mouse handlers (a tap on the ground throws corn there)
+renderer.domElement.style.touchAction = 'none';
+
+renderer.domElement.addEventListener('touchstart', (e) => {
+    if (!gameState.started || !gameState.inCoop || replayPlayer || paused || lookTouch) return;
+    e.preventDefault();
+    const touch = e.changedTouches[0];
+    lookTouch = {
+        id: touch.identifier,
+        x: touch.clientX,
+        y: touch.clientY,
+        startX: touch.clientX,
+        startY: touch.clientY,
+        startTime: performance.now()
+    };
+});
+
+renderer.domElement.addEventListener('touchmove', (e) => {
+    const touch = lookTouch && findTouch(e.changedTouches, lookTouch.id);
+    if (!touch) return;
+    e.preventDefault();
+    cameraAngleH -= (touch.clientX - lookTouch.x) * TOUCH_LOOK_SPEED;
+    cameraAngleV -= (touch.clientY - lookTouch.y) * TOUCH_LOOK_SPEED;
+    cameraAngleV = Math.max(-Math.PI / 3, Math.min(Math.PI / 2.5, cameraAngleV));
+    lookTouch.x = touch.clientX;
+    lookTouch.y = touch.clientY;
+});
+
+['touchend', 'touchcancel'].forEach(type => {
+    renderer.domElement.addEventListener(type, (e) => {
+        const touch = lookTouch && findTouch(e.changedTouches, lookTouch.id);
+        if (!touch) return;
+        e.preventDefault();
+        const drift = Math.hypot(touch.clientX - lookTouch.startX, touch.clientY - lookTouch.startY);
+        const tapped = type === 'touchend' && drift < TAP_MAX_DRIFT && performance.now() - lookTouch.startTime < TAP_MAX_TIME;
+        lookTouch = null;
+        
+        if (tapped && gameState.inCoop && gameState.eggsAvailable) {
+            const rect = renderer.domElement.getBoundingClientRect();
+            collectEggAtCrosshair(new THREE.Vector2(
+                ((touch.clientX - rect.left) / rect.width) * 2 - 1,
+                -((touch.clientY - rect.top) / rect.height) * 2 + 1
+            ));
         }
+    });
+});
+
+// Build mode: a see-through section in front of the player shows where
+// E will build, green if it can go there and red if not (see fences.js)
+const BUILD_REACH = 3; // How far in front of the player sections go
+const buildMode = { active: false, axis: 'x', kind: 'fence' };
+const buildGhostMaterial = new THREE.MeshBasicMaterial({ color: 0x00FF00, transparent: true, opacity: 0.45, depthWrite: false });
+let buildGhost = null;
+let buildGhostStyle = null; // "axis kind" the ghost was made for
+
+// Grid spot in front of the player for the current axis
+function buildSpot() {
+    const position = gameState.player.mesh.position;
+    const facing = gameState.player.mesh.rotation.y;
+    return snapToFenceGrid(
+        position.x + Math.sin(facing) * BUILD_REACH,
+        position.z + Math.cos(facing) * BUILD_REACH,
+        buildMode.axis
+    );
+}
+
+function updateBuildGhost() {
+    const showGhost = buildMode.active && gameState.player && !gameState.inCoop;
+    if (!showGhost) {
+        if (buildGhost) buildGhost.visible = false;
+        return;
     }
     
-    // Collect egg with 'F' key (alternative to clicking)
-    if (e.key.toLowerCase() === 'f' && gameState.inCoop && gameState.eggsAvailable) {
-        collectEggAtCrosshair();
+    // Remake the ghost when the axis or kind changes
+    const style = `${buildMode.axis} ${buildMode.kind}`;
+    if (style !== buildGhostStyle) {
+        if (buildGhost) scene.remove(buildGhost);
+        buildGhost = createFenceMesh({ x: 0, z: 0, axis: buildMode.axis, kind: buildMode.kind });
+        buildGhost.traverse(part => {
+            if (part.isMesh) {
+                part.material = buildGhostMaterial;
+                part.castShadow = false;
+            }
+        });
+        scene.add(buildGhost);
+        buildGhostStyle = style;
     }
-});
-window.addEventListener('keyup', (e) => keys[e.key.toLowerCase()] = false);
+    
+    const spot = buildSpot();
+    buildGhost.position.set(spot.x, 0, spot.z);
+    buildGhost.visible = true;
+    
+    const built = gameState.fences.some(fence => fence.x === spot.x && fence.z === spot.z && fence.axis === buildMode.axis);
+    const canBuild = sim.canPlaceFence(spot.x, spot.z, buildMode.axis, buildMode.kind);
+    buildGhostMaterial.color.setHex(built ? 0xFFAA00 : (canBuild ? 0x00FF00 : 0xFF0000));
+}
 
 // Mouse look
 let mouseX = 0;
@@ -3313,7 +2069,7 @@ let isPointerLocked = false;
 
 window.addEventListener('mousemove', (e) => {
     // Only update camera if pointer is locked AND inside the coop
-    if (isPointerLocked && gameState.inCoop) {
+    if (isPointerLocked && gameState.inCoop && !replayPlayer) {
         // Calculate mouse movement delta
         const deltaX = e.movementX || 0;
         const deltaY = e.movementY || 0;
@@ -3338,11 +2094,10 @@ document.addEventListener('pointerlockchange', () => {
     } else {
         lockIndicator.style.display = 'none';
         
-        // If we're in the coop and pointer gets unlocked, re-lock it immediately
-        if (gameState.inCoop) {
-            setTimeout(() => {
-                renderer.domElement.requestPointerLock();
-            }, 100);
+        // Escape unlocks the pointer before the page sees the key, so losing
+        // the lock in the coop is what pauses the game there
+        if (gameState.started && gameState.inCoop && !replayPlayer && !paused) {
+            pauseGame();
         }
     }
 });
@@ -3350,7 +2105,7 @@ document.addEventListener('pointerlockchange', () => {
 // Request pointer lock on click
 renderer.domElement.addEventListener('click', () => {
     // Only lock pointer if game has started AND we're in the coop
-    if (!gameState.started) {
+    if (!gameState.started || replayPlayer || paused) {
         return;
     }
     
@@ -3362,10 +2117,269 @@ renderer.domElement.addEventListener('click', () => {
     }
 });
 
-// Start game
-document.getElementById('startBtn').addEventListener('click', () => {
+// Bird needs tooltip: hover over a bird to see how it's doing
+const birdTooltip = document.getElementById('birdTooltip');
+const tooltipRaycaster = new THREE.Raycaster();
+const hoverPoint = new THREE.Vector2();
+let hoverClient = null; // Mouse position over the canvas, null when it's elsewhere
+
+renderer.domElement.addEventListener('mousemove', (e) => {
+    hoverClient = { x: e.clientX, y: e.clientY };
+    hoverPoint.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+});
+
+renderer.domElement.addEventListener('mouseleave', () => {
+    hoverClient = null;
+});
+
+const NEED_BARS = [
+    { field: 'fullness', label: '🌽 Fed', color: '#FFB300' },
+    { field: 'health', label: '❤️ Health', color: '#E53935' },
+    { field: 'happiness', label: '😊 Happy', color: '#43A047' }
+];
+
+function updateBirdTooltip() {
+    let hovered = null;
+    if (hoverClient && !isPointerLocked && !gameState.inCoop) {
+        const birds = [...gameState.chickens, ...gameState.ducks].filter(bird => !bird.captured);
+        tooltipRaycaster.setFromCamera(hoverPoint, camera);
+        const hit = tooltipRaycaster.intersectObjects(birds.map(bird => bird.mesh), true)[0];
+        if (hit) {
+            hovered = birds.find(bird => bird.mesh === hit.object || bird.mesh === hit.object.parent);
+        }
+    }
+    
+    if (!hovered) {
+        birdTooltip.style.display = 'none';
+        return;
+    }
+    
+    const kind = hovered.isChick ? 'chick' : hovered.type;
+    const title = `${birdIcon(hovered.type)} ${hovered.name} <span class="bird-note">${FEATHER_VARIANTS[hovered.type][hovered.feather].name.toLowerCase()} ${kind}</span>`;
+    const rows = NEED_BARS.map(({ field, label, color }) => `
+        <div class="need-row">
+            <span class="need-label">${label}</span>
+            <div class="need-bar"><div class="need-fill" style="width: ${Math.round(hovered[field])}%; background: ${color};"></div></div>
+        </div>`).join('');
+    const laying = hovered.type === 'chicken' && !hovered.isChick
+        ? `<div class="need-row">${hovered.canLay() ? '🥚 Laying' : '🚫 Not laying'}</div>`
+        : '';
+    birdTooltip.innerHTML = `<strong>${title}</strong>${rows}${laying}`;
+    birdTooltip.style.left = `${hoverClient.x + 16}px`;
+    birdTooltip.style.top = `${hoverClient.y + 16}px`;
+    birdTooltip.style.display = 'block';
+}
+
+// Mouse actions outside the coop: left-click throws corn where the reticle is and
+// right-click swings the staff toward it (see Player.throwCorn and Player.swingAt)
+const aimRaycaster = new THREE.Raycaster();
+const reticleMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.8, side: THREE.DoubleSide });
+const aimReticle = new THREE.Group();
+const reticleRing = new THREE.Mesh(new THREE.RingGeometry(0.45, 0.6, 32), reticleMaterial);
+const reticleDot = new THREE.Mesh(new THREE.CircleGeometry(0.1, 12), reticleMaterial);
+[reticleRing, reticleDot].forEach(part => {
+    part.rotation.x = -Math.PI / 2;
+    aimReticle.add(part);
+});
+aimReticle.visible = false;
+scene.add(aimReticle);
+
+// Point on the ground under the mouse, or null when it's off the yard
+function aimPoint() {
+    if (!hoverClient) return null;
+    aimRaycaster.setFromCamera(hoverPoint, camera);
+    const hit = aimRaycaster.intersectObject(ground)[0];
+    return hit ? { x: hit.point.x, z: hit.point.z } : null;
+}
+
+function canUseMouseActions() {
+    return gameState.started && gameState.player && !gameState.inCoop && !replayPlayer && !paused;
+}
+
+renderer.domElement.addEventListener('mousedown', (e) => {
+    if (!canUseMouseActions()) return;
+    
+    const target = aimPoint();
+    if (e.button === 0) {
+        recordAction('throwCorn', target);
+        gameState.player.throwCorn(target);
+    } else if (e.button === 2) {
+        // Off the yard: swing the way the player is facing
+        const facing = gameState.player.mesh.rotation.y;
+        const swingTarget = target || {
+            x: gameState.player.mesh.position.x + Math.sin(facing),
+            z: gameState.player.mesh.position.z + Math.cos(facing)
+        };
+        recordAction('swingStaff', swingTarget);
+        gameState.player.swingAt(swingTarget);
+    }
+});
+
+// Right-click is for the staff, not the browser menu
+renderer.domElement.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+});
+
+// Reticle on the ground where corn will land (orange when it's past throwing range,
+// so the corn falls short)
+function updateAimReticle() {
+    const target = canUseMouseActions() ? aimPoint() : null;
+    aimReticle.visible = !!target;
+    renderer.domElement.style.cursor = target ? 'crosshair' : '';
+    if (!target) return;
+    
+    const player = gameState.player.mesh.position;
+    const toss = new THREE.Vector3(target.x - player.x, 0, target.z - player.z);
+    const outOfRange = toss.length() > CORN_THROW_RANGE;
+    toss.clampLength(0, CORN_THROW_RANGE);
+    aimReticle.position.set(player.x + toss.x, 0.05, player.z + toss.z);
+    reticleMaterial.color.setHex(outOfRange ? 0xFFAA00 : 0xFFFFFF);
+}
+
+// Flock roster (L): every bird with its feathers, age, record and how it's doing
+const roster = document.getElementById('roster');
+const ROSTER_REFRESH_TIME = 0.5; // Seconds between redraws
+const NEED_STATUS = { health: '🩹 Hurt', fullness: '🌽 Hungry', happiness: '😞 Unhappy' };
+let rosterVisible = false;
+let rosterRefreshTimer = 0;
+
+function birdIcon(type) {
+    return type === 'chicken' ? '🐔' : '🦆';
+}
+
+// These take a Bird or one of its summaries (see Bird.summary)
+function featherSwatch(bird) {
+    const color = FEATHER_VARIANTS[bird.type][bird.feather].color.toString(16).padStart(6, '0');
+    return `<span class="feather-swatch" style="background: #${color};"></span>`;
+}
+
+function birthNote(bird) {
+    return bird.bornAt > 0 ? `Hatched ${formatClock(clockHour(bird.bornAt, gameState.maxGameTime))}` : 'Original flock';
+}
+
+function recordNote(bird) {
+    const parts = [];
+    if (bird.eggsLaid > 0) parts.push(`🥚 ${bird.eggsLaid} laid`);
+    if (bird.closeCalls > 0) parts.push(`⚠️ ${bird.closeCalls} close ${bird.closeCalls === 1 ? 'call' : 'calls'}`);
+    if (bird.rescues > 0) parts.push(`🛟 rescued ${bird.rescues}×`);
+    return [birthNote(bird), ...parts].join(' · ');
+}
+
+function birdStatus(bird) {
+    if (bird.captured) return '🆘 Captured!';
+    if (!bird.inBounds) return '🏃 Straying';
+    if (bird.onVisitorHead) return '🧢 On Liz';
+    if (bird.coopVisitState === 'inside') return '🏠 In the coop';
+    const need = bird.worstNeed();
+    if (need) return NEED_STATUS[need];
+    if (bird.scaredTimer > 0) return '😱 Scared';
+    return '😊 Content';
+}
+
+function updateRoster(delta) {
+    roster.style.display = rosterVisible ? 'block' : 'none';
+    if (!rosterVisible) return;
+    
+    rosterRefreshTimer -= delta;
+    if (rosterRefreshTimer > 0) return;
+    rosterRefreshTimer = ROSTER_REFRESH_TIME;
+    
+    const birds = [...gameState.chickens, ...gameState.ducks];
+    const rows = birds.map(bird => `
+        <div class="roster-row">
+            ${featherSwatch(bird)}
+            <span class="roster-name">${birdIcon(bird.type)} ${bird.name}${bird.isChick ? ' 🐣' : ''}<br><span class="bird-note">${recordNote(bird)}</span></span>
+            <span class="roster-status">${birdStatus(bird)}</span>
+        </div>`).join('');
+    roster.innerHTML = `<strong>📋 Flock Roster (${birds.length})</strong>${rows}`;
+}
+
+// Honor roll for the game over screen: who made it through and who was lost
+function memorialHTML(stats) {
+    const line = (bird, note) => `<div class="memorial-line">${featherSwatch(bird)} ${birdIcon(bird.type)} <strong>${bird.name}</strong> <span class="bird-note">${note}</span></div>`;
+    let html = '';
+    if (stats.survivors.length > 0) {
+        html += '<h3>🏅 Honor Roll</h3>';
+        html += stats.survivors.map(bird => line(bird, recordNote(bird))).join('');
+    }
+    if (stats.lost.length > 0) {
+        html += '<h3>🕯️ In Memory</h3>';
+        html += stats.lost.map(bird => {
+            const cause = bird.cause === 'killed'
+                ? (bird.killedBy ? `Taken by a ${bird.killedBy}` : 'Killed by a predator')
+                : (bird.cause === 'starved' ? 'Starved' : 'Ran away');
+            const when = formatClock(clockHour(bird.lostAt, gameState.maxGameTime));
+            return line(bird, `${cause} at ${when} · ${recordNote(bird)}`);
+        }).join('');
+    }
+    return html;
+}
+
+// Struggle timers over birds being carried off: hit the predator before the bar runs
+// out and it's still slow enough to catch (see Predator.grab)
+const struggleBars = document.getElementById('struggleBars');
+const struggleBarElements = new Map(); // Predator -> its bar, kept between frames and updated in place
+
+function createStruggleBar() {
+    const element = document.createElement('div');
+    element.className = 'struggle-bar';
+    const label = document.createElement('div');
+    const track = document.createElement('div');
+    track.className = 'struggle-track';
+    const fill = document.createElement('div');
+    fill.className = 'struggle-fill';
+    track.appendChild(fill);
+    element.append(label, track);
+    struggleBars.appendChild(element);
+    return { element, label, fill };
+}
+
+function clearStruggleBars() {
+    struggleBarElements.forEach(bar => bar.element.remove());
+    struggleBarElements.clear();
+}
+
+function updateStruggleBars() {
+    const carriers = gameState.inCoop ? [] : gameState.predators.filter(predator => predator.capturedBird);
+    
+    // Drop the bars of predators that let go (or left)
+    struggleBarElements.forEach((bar, predator) => {
+        if (!carriers.includes(predator)) {
+            bar.element.remove();
+            struggleBarElements.delete(predator);
+        }
+    });
+    
+    carriers.forEach(predator => {
+        if (!struggleBarElements.has(predator)) {
+            struggleBarElements.set(predator, createStruggleBar());
+        }
+        const bar = struggleBarElements.get(predator);
+        const bird = predator.capturedBird;
+        const above = bird.mesh.position.clone();
+        above.y += 1.2;
+        if (above.clone().project(camera).z > 1) { // Behind the camera
+            bar.element.style.display = 'none';
+            return;
+        }
+        
+        const { x, y } = getScreenPosition(above, camera);
+        const share = predator.struggleTimer / STRUGGLE_TIME;
+        bar.element.style.display = '';
+        bar.element.style.left = `${x}px`;
+        bar.element.style.top = `${y}px`;
+        bar.label.textContent = share > 0 ? `🆘 ${bird.name}` : `🆘 ${bird.name} gave up!`;
+        bar.fill.style.width = `${Math.round(share * 100)}%`;
+    });
+}
+
+// Start game (or pick up a saved one where it left off)
+function startGame(savedGame = null) {
     document.getElementById('instructions').classList.add('hidden');
-    gameState.started = true;
+    buildMode.active = false;
+    scene.add(sim.root);
+    stepAccumulator = 0;
+    clock.getDelta(); // Don't count the time spent on the title screen
     
     // Initialize timer display with correct max time
     const minutes = Math.floor(gameState.maxGameTime / 60);
@@ -3377,28 +2391,258 @@ document.getElementById('startBtn').addEventListener('click', () => {
     const walkmanBtn = document.getElementById('walkman');
     walkmanBtn.classList.remove('pre-game');
     
-    // Initialize audio system
-    audioSystem.init();
+    // Initialize audio system (once; restarts reuse it)
+    if (!audioSystem.audioContext) {
+        audioSystem.init();
+    }
     
     // Start game music using switchMusicMode (respects walkman mode)
     audioSystem.switchMusicMode('calm');
     
-    // Create player
-    gameState.player = new Player();
+    if (savedGame) {
+        // A resumed match can't be recorded, since its seed no longer replays it from the start
+        replayRecorder = null;
+        sim.load(savedGame);
+        document.getElementById('totalEggs').textContent = gameState.eggsCollected;
+        updateEggDisplay();
+        updateScoreDisplay();
+        if (gameState.inCoop) {
+            showCoopInterior();
+        }
+        return;
+    }
     
-    // Spawn chickens
-    for (let i = 0; i < 8; i++) {
-        const chicken = new Bird('chicken', -25 + Math.random() * 6, -25 + Math.random() * 6);
-        gameState.chickens.push(chicken);
+    // Record the match unless we're watching one
+    document.getElementById('replayStatus').style.display = replayPlayer ? 'block' : 'none';
+    if (!replayPlayer) {
+        // A fresh seed each match unless the URL fixes one
+        sim.reset({ ...sim.settings, seed: Number.isNaN(seedParam) ? undefined : seedParam, difficulty: readDifficultyPicker() });
+        replayRecorder = new ReplayRecorder(sim);
+    }
+    document.getElementById('totalEggs').textContent = gameState.eggsCollected;
+    updateEggDisplay();
+    updateScoreDisplay();
+    
+    // Create player and let the flock out
+    sim.start();
+}
+
+document.getElementById('startBtn').addEventListener('click', () => {
+    // A new match replaces any saved one
+    walkmanSystem.storageManager.clearSavedGame().catch(() => {});
+    startGame();
+});
+
+// Difficulty picker on the start screen, starting from the URL's choice
+const difficultySelect = document.getElementById('difficultySelect');
+const customDifficulty = document.getElementById('customDifficulty');
+
+function showDifficulty(difficulty) {
+    difficultySelect.value = difficulty.id;
+    customDifficulty.querySelectorAll('input').forEach(input => {
+        input.value = difficulty[input.dataset.key];
+    });
+    customDifficulty.classList.toggle('visible', difficulty.id === 'custom');
+}
+
+function readDifficultyPicker() {
+    if (difficultySelect.value !== 'custom') {
+        return difficultySelect.value;
+    }
+    const custom = { id: 'custom' };
+    customDifficulty.querySelectorAll('input').forEach(input => {
+        custom[input.dataset.key] = input.value;
+    });
+    return custom;
+}
+
+difficultySelect.addEventListener('change', () => {
+    // Custom starts from whichever preset was picked before
+    if (difficultySelect.value === 'custom') {
+        customDifficulty.classList.add('visible');
+    } else {
+        showDifficulty({ id: difficultySelect.value, ...DIFFICULTY_PRESETS[difficultySelect.value] });
+    }
+});
+
+showDifficulty(sim.difficulty);
+
+// Offer to pick up a match that was saved before the tab closed
+async function checkForSavedGame() {
+    try {
+        const savedGame = await walkmanSystem.storageManager.loadGame();
+        if (!savedGame || gameState.started) return;
+        
+        const continueBtn = document.getElementById('continueBtn');
+        continueBtn.style.display = 'inline-block';
+        continueBtn.addEventListener('click', () => startGame(savedGame));
+    } catch (error) {
+        console.warn('Could not check for a saved game:', error);
+    }
+}
+
+// Save the match in progress so closing the tab doesn't lose it
+function saveMatch() {
+    if (!gameState.started || replayPlayer) return;
+    
+    walkmanSystem.storageManager.saveGame(sim.save()).catch(error => {
+        console.warn('Could not save the game:', error);
+    });
+}
+
+setInterval(saveMatch, AUTOSAVE_INTERVAL);
+
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        saveMatch();
+        pauseGame();
+    }
+});
+
+// Pause menu: the pause action (Escape/P, Start on a gamepad) stops the
+// simulation, the game music and the walkman until Resume. Hiding the tab
+// pauses too, so coming back doesn't play the time away in one long frame.
+const pauseMenu = document.getElementById('pauseMenu');
+let paused = false;
+let walkmanWasPlaying = false;
+
+function pauseGame() {
+    if (!gameState.started || paused) return;
+    paused = true;
+    input.releaseAll();
+    audioSystem.pause();
+    walkmanWasPlaying = !walkmanSystem.audio.paused;
+    walkmanSystem.audio.pause();
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+    pauseMenu.classList.add('visible');
+}
+
+// Close the menu and let the audio clock run again
+function unpause() {
+    paused = false;
+    pauseMenu.classList.remove('visible');
+    closeControls();
+    audioSystem.resume();
+    if (walkmanWasPlaying) {
+        walkmanSystem.audio.play().catch(() => {});
+    }
+}
+
+function resumeGame() {
+    if (!paused) return;
+    unpause();
+    
+    // Back to looking around the coop
+    if (gameState.inCoop && !replayPlayer && !touchEnabled) {
+        renderer.domElement.requestPointerLock();
+    }
+}
+
+// Start over with a new match (or the same replay from the top) without reloading the page
+async function restartMatch() {
+    const confirmed = await walkmanSystem.showConfirm('Restart? This match will be lost.');
+    if (!confirmed || !paused) return;
+    
+    clearMatchView();
+    unpause();
+    walkmanSystem.storageManager.clearSavedGame().catch(() => {});
+    if (replayPlayer) {
+        replayPlayer = new ReplayPlayer(sim, replayPlayer.replay);
+        sim.reset(replayPlayer.replay.settings);
+    }
+    startGame();
+}
+
+async function quitToTitle() {
+    const confirmed = await walkmanSystem.showConfirm('Quit to the title screen? This match will be lost.');
+    if (!confirmed || !paused) return;
+    
+    clearMatchView();
+    walkmanWasPlaying = false;
+    unpause();
+    walkmanSystem.stop();
+    walkmanSystem.storageManager.clearSavedGame().catch(() => {});
+    sim.reset(sim.settings);
+    replayPlayer = null;
+    replayRecorder = null;
+    
+    // Back to the start screen as it was on page load
+    walkmanSystem.isGameStarted = false;
+    document.getElementById('walkman').classList.add('pre-game');
+    document.getElementById('replayStatus').style.display = 'none';
+    document.getElementById('continueBtn').style.display = 'none';
+    document.getElementById('coopPrompt').style.display = 'none';
+    document.getElementById('coopTimer').style.display = 'none';
+    updateScoreDisplay();
+    document.getElementById('instructions').classList.remove('hidden');
+}
+
+document.getElementById('resumeBtn').addEventListener('click', resumeGame);
+document.getElementById('restartBtn').addEventListener('click', restartMatch);
+document.getElementById('settingsBtn').addEventListener('click', openControls);
+document.getElementById('quitBtn').addEventListener('click', quitToTitle);
+
+// Watch a replay file downloaded from the game over screen
+document.getElementById('replayBtn').addEventListener('click', () => {
+    document.getElementById('replayFile').click();
+});
+
+document.getElementById('replayFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+        const replay = JSON.parse(await file.text());
+        replayPlayer = new ReplayPlayer(sim, replay);
+        sim.reset(replay.settings);
+    } catch (error) {
+        replayPlayer = null;
+        await walkmanSystem.showAlert(`Couldn't load replay: ${file.name}\n\n${error.message}`);
+        return;
     }
     
-    // Spawn ducks
-    for (let i = 0; i < 5; i++) {
-        const duck = new Bird('duck', -25 + Math.random() * 6, -25 + Math.random() * 6);
-        gameState.ducks.push(duck);
-    }
+    startGame();
 });
 
+// Note a one-off action in the match being recorded
+function recordAction(type, data) {
+    if (replayRecorder) {
+        replayRecorder.recordAction(type, data);
+    }
+}
+
+// Repeat a recorded action the same way the live input did
+function applyReplayAction(action) {
+    if (action.type === 'throwCorn' && gameState.player && !gameState.inCoop) {
+        gameState.player.throwCorn(action.x === undefined ? null : { x: action.x, z: action.z });
+    } else if (action.type === 'swingStaff' && gameState.player && !gameState.inCoop) {
+        gameState.player.swingAt({ x: action.x, z: action.z });
+    } else if (action.type === 'toggleCoop') {
+        toggleCoop();
+    } else if (action.type === 'collectEgg') {
+        sim.collectEgg(action.index);
+    } else if (action.type === 'tradeEggs') {
+        sim.tradeEggsForCorn();
+    } else if (action.type === 'placeFence') {
+        sim.placeFence(action.x, action.z, action.axis, action.kind);
+    } else if (action.type === 'removeFence') {
+        sim.removeFence(action.x, action.z, action.axis);
+    }
+}
+
+// Flag the frame where playback stopped matching the recording
+function showReplayDivergence(frame) {
+    const time = frame * SIM_STEP;
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    const status = document.getElementById('replayStatus');
+    status.textContent = `⚠️ Replay diverged at ${minutes}:${seconds.toString().padStart(2, '0')} (frame ${frame})`;
+    status.classList.add('diverged');
+    console.warn(`Replay diverged from the recording at frame ${frame}`);
+}
+
 // Game Over Modal Function
 function showGameOverModal(isComplete, score, stats) {
     const modal = document.getElementById('gameOverModal');
@@ -3421,23 +2665,52 @@ function showGameOverModal(isComplete, score, stats) {
     // Build stats HTML
     let statsHTML = '';
     if (isComplete) {
-        statsHTML += `<div class="stat-line"><span class="stat-label">Birds Remaining:</span><span class="stat-value">${stats.birdsRemaining}/13</span></div>`;
+        statsHTML += `<div class="stat-line"><span class="stat-label">Birds Remaining:</span><span class="stat-value">${stats.birdsRemaining}/${stats.flockSize}</span></div>`;
     }
+    statsHTML += `<div class="stat-line"><span class="stat-label">Chicks Hatched:</span><span class="stat-value">${stats.hatched}</span></div>`;
     statsHTML += `<div class="stat-line"><span class="stat-label">Eggs Collected:</span><span class="stat-value">${stats.eggsCollected}</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Eggs Eaten by Snakes:</span><span class="stat-value">${stats.eggsEaten}</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Predator Waves:</span><span class="stat-value">${stats.waves}</span></div>`;
     statsHTML += `<div class="stat-line"><span class="stat-label">Predators Defeated:</span><span class="stat-value">${stats.defeated}</span></div>`;
     statsHTML += `<div class="stat-line"><span class="stat-label">Birds Ran Away:</span><span class="stat-value">${stats.ranAway}</span></div>`;
     statsHTML += `<div class="stat-line"><span class="stat-label">Birds Killed:</span><span class="stat-value">${stats.killed}</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Birds Starved:</span><span class="stat-value">${stats.starved}</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Birds Rescued:</span><span class="stat-value">${stats.rescued}</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Difficulty:</span><span class="stat-value">${stats.difficulty} (×${stats.scoreMultiplier} score)</span></div>`;
+    statsHTML += `<div class="stat-line"><span class="stat-label">Seed:</span><span class="stat-value">${stats.seed}</span></div>`;
+    if (replayPlayer) {
+        const replayResult = replayPlayer.divergedAt === null ? 'In sync' : `Diverged at frame ${replayPlayer.divergedAt}`;
+        statsHTML += `<div class="stat-line"><span class="stat-label">Replay:</span><span class="stat-value">${replayResult}</span></div>`;
+    }
     
     statsDiv.innerHTML = statsHTML;
+    document.getElementById('memorial').innerHTML = memorialHTML(stats);
+    
+    // Only live matches have a recording to download
+    document.getElementById('downloadReplayBtn').style.display = replayRecorder ? 'inline-block' : 'none';
     
     // Show modal
     modal.classList.add('visible');
 }
 
-// Play Again button handler
+// Play Again button handler: a fresh live match, even after watching a replay
 document.getElementById('playAgainBtn').addEventListener('click', (e) => {
     e.stopPropagation(); // Prevent any event bubbling
-    location.reload();
+    document.getElementById('gameOverModal').classList.remove('visible');
+    replayPlayer = null;
+    startGame();
+});
+
+// Save the recorded match as a replay file
+document.getElementById('downloadReplayBtn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    
+    const json = JSON.stringify(replayRecorder);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `poultry-patrol-replay-${sim.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
 });
 
 // Prevent modal from closing on clicks/keyboard
@@ -3449,18 +2722,9 @@ document.getElementById('gameOverModal').addEventListener('keydown', (e) => {
     e.stopPropagation();
 });
 
-// Spawn predators periodically
-let predatorSpawnTimer = 15;
-let hawkSpawnTimer = 25;
-
-// Spawn Liz (friendly visitor) randomly
-// Use lizFreq parameter if provided (in seconds), otherwise default to 1-2 minutes
-const lizMinTime = lizFreqParam ? lizFreqParam : 60; // Default 60 seconds (1 min)
-const lizMaxTime = lizFreqParam ? lizFreqParam + 10 : 120; // Default 120 seconds (2 min)
-let visitorSpawnTimer = lizMinTime + Math.random() * (lizMaxTime - lizMinTime);
-
 // Game loop
 const clock = new THREE.Clock();
+let stepAccumulator = 0; // Frame time not yet consumed by fixed simulation steps
 
 // Minimap setup
 const minimapCanvas = document.getElementById('minimap');
@@ -3494,6 +2758,20 @@ function drawMinimap() {
     const penZ = ((-25 + 30) / 60) * 180 + 10;
     minimapCtx.fillRect(penX - 12, penZ - 12, 24, 24);
     
+    // Draw corn bin
+    minimapCtx.fillStyle = 'rgba(218, 165, 32, 0.9)'; // Goldenrod
+    const binX = ((CORN_BIN_POSITION.x + 30) / 60) * 180 + 10;
+    const binZ = ((CORN_BIN_POSITION.z + 30) / 60) * 180 + 10;
+    minimapCtx.fillRect(binX - 4, binZ - 4, 8, 8);
+    
+    // Darken the yard as night falls
+    const hour = sim.timeOfDay();
+    const darkness = 1 - daylightLevel(hour);
+    if (darkness > 0) {
+        minimapCtx.fillStyle = `rgba(10, 20, 60, ${darkness * 0.5})`;
+        minimapCtx.fillRect(0, 0, 200, 200);
+    }
+    
     // Draw corn piles if active
     gameState.cornPiles.forEach(pile => {
         const cornX = ((pile.location.x + 30) / 60) * 180 + 10;
@@ -3520,6 +2798,19 @@ function drawMinimap() {
         };
     };
     
+    // Draw fences (gates lighter)
+    minimapCtx.lineWidth = 2;
+    gameState.fences.forEach(fence => {
+        const half = FENCE_LENGTH / 2;
+        const start = worldToMinimap(fence.x - (fence.axis === 'x' ? half : 0), fence.z - (fence.axis === 'z' ? half : 0));
+        const end = worldToMinimap(fence.x + (fence.axis === 'x' ? half : 0), fence.z + (fence.axis === 'z' ? half : 0));
+        minimapCtx.strokeStyle = fence.kind === 'gate' ? 'rgba(222, 184, 135, 1)' : 'rgba(101, 67, 33, 1)';
+        minimapCtx.beginPath();
+        minimapCtx.moveTo(start.x, start.y);
+        minimapCtx.lineTo(end.x, end.y);
+        minimapCtx.stroke();
+    });
+    
     // Draw chickens
     gameState.chickens.forEach(chicken => {
         const pos = worldToMinimap(chicken.mesh.position.x, chicken.mesh.position.z);
@@ -3581,6 +2872,62 @@ function drawMinimap() {
     // Draw predators
     gameState.predators.forEach(predator => {
         const pos = worldToMinimap(predator.mesh.position.x, predator.mesh.position.z);
+        
+        if (predator.type === 'raccoon') {
+            // Raccoon: gray square, ringed in yellow while it's at a corn pile
+            minimapCtx.fillStyle = 'rgba(160, 160, 160, 0.95)';
+            minimapCtx.fillRect(pos.x - 3.5, pos.y - 3.5, 7, 7);
+            minimapCtx.strokeStyle = 'rgba(20, 20, 20, 0.9)';
+            minimapCtx.lineWidth = 1;
+            minimapCtx.strokeRect(pos.x - 3.5, pos.y - 3.5, 7, 7);
+            
+            if (predator.target && predator.velocity.lengthSq() === 0) {
+                minimapCtx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
+                minimapCtx.beginPath();
+                minimapCtx.arc(pos.x, pos.y, 8, 0, Math.PI * 2);
+                minimapCtx.stroke();
+            }
+            return;
+        }
+        
+        if (predator.type === 'snake') {
+            // Snake: green squiggle, ringed in red while it's in the coop
+            minimapCtx.strokeStyle = 'rgba(60, 200, 60, 0.95)';
+            minimapCtx.lineWidth = 2;
+            minimapCtx.beginPath();
+            minimapCtx.moveTo(pos.x - 5, pos.y);
+            minimapCtx.quadraticCurveTo(pos.x - 2.5, pos.y - 4, pos.x, pos.y);
+            minimapCtx.quadraticCurveTo(pos.x + 2.5, pos.y + 4, pos.x + 5, pos.y);
+            minimapCtx.stroke();
+            
+            if (predator.snakeState === 'inside') {
+                minimapCtx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
+                minimapCtx.lineWidth = 1;
+                minimapCtx.beginPath();
+                minimapCtx.arc(pos.x, pos.y, 8, 0, Math.PI * 2);
+                minimapCtx.stroke();
+            }
+            return;
+        }
+        
+        if (predator.type === 'fox') {
+            // Fox: orange triangle, ring turns red once it dashes in
+            minimapCtx.fillStyle = 'rgba(255, 140, 0, 0.95)';
+            minimapCtx.beginPath();
+            minimapCtx.moveTo(pos.x, pos.y - 5);
+            minimapCtx.lineTo(pos.x + 4.5, pos.y + 4);
+            minimapCtx.lineTo(pos.x - 4.5, pos.y + 4);
+            minimapCtx.closePath();
+            minimapCtx.fill();
+            
+            minimapCtx.strokeStyle = predator.foxState === 'dash' ? 'rgba(255, 0, 0, 0.7)' : 'rgba(255, 140, 0, 0.5)';
+            minimapCtx.lineWidth = 1;
+            minimapCtx.beginPath();
+            minimapCtx.arc(pos.x, pos.y, 8, 0, Math.PI * 2);
+            minimapCtx.stroke();
+            return;
+        }
+        
         minimapCtx.fillStyle = predator.type === 'hawk' ? 'rgba(255, 0, 0, 0.9)' : 'rgba(200, 0, 0, 0.9)';
         minimapCtx.beginPath();
         minimapCtx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
@@ -3665,78 +3012,30 @@ function drawMinimap() {
         );
         minimapCtx.stroke();
     }
+    
+    // Time of day in the corner
+    minimapCtx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    minimapCtx.fillRect(12, 12, 62, 18);
+    minimapCtx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    minimapCtx.font = 'bold 12px sans-serif';
+    minimapCtx.textBaseline = 'middle';
+    minimapCtx.fillText(`${DAY_PHASE_ICONS[dayPhase(hour)]} ${formatClock(hour)}`, 15, 21);
 }
 
 // Toggle coop interior/exterior
 function toggleCoop() {
-    gameState.inCoop = !gameState.inCoop;
+    recordAction('toggleCoop');
     
-    if (gameState.inCoop) {
+    if (!gameState.inCoop) {
         // Entering coop
-        gameState.coopInterior.visible = true;
-        gameState.coopInterior.position.copy(gameState.coopPosition);
-        
-        // Save current camera angles to restore on exit
-        gameState.savedCameraAngleH = cameraAngleH;
-        gameState.savedCameraAngleV = cameraAngleV;
-        
-        // Reset camera to look forward into coop
-        cameraAngleH = 0;
-        cameraAngleV = 0;
-        
-        // Hide player model
-        gameState.player.mesh.visible = false;
-        
-        // Show hands and basket
-        gameState.playerHands.visible = true;
-        
-        // Position camera for first-person view inside coop
-        camera.position.set(
-            gameState.coopPosition.x,
-            gameState.coopPosition.y + 1.6,
-            gameState.coopPosition.z + 1
-        );
-        
-        // Make sure pointer is locked for looking around
-        if (!isPointerLocked) {
-            renderer.domElement.requestPointerLock();
-        }
-        
-        // Track eggs collected at start of this visit
-        gameState.eggsAtVisitStart = gameState.eggsCollected;
-        
-        // Show eggs if available
-        if (gameState.eggsAvailable) {
-            gameState.nestBoxes.forEach(nest => {
-                nest.egg.visible = !nest.collected;
-            });
-        }
-        
-        document.getElementById('coopPrompt').style.display = 'none';
-        
-        // Add crosshair for aiming
-        if (!document.getElementById('crosshair')) {
-            const crosshair = document.createElement('div');
-            crosshair.id = 'crosshair';
-            crosshair.style.cssText = `
-                position: absolute;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                width: 20px;
-                height: 20px;
-                border: 2px solid white;
-                border-radius: 50%;
-                pointer-events: none;
-                box-shadow: 0 0 5px black;
-            `;
-            document.body.appendChild(crosshair);
-        }
+        sim.enterCoop();
+        showCoopInterior();
     } else {
-        // Exiting coop
-        gameState.coopInterior.visible = false;
+        // Exiting coop (egg baskets and bonuses are handled by the simulation)
+        sim.exitCoop();
+        coopInterior.visible = false;
         gameState.player.mesh.visible = true;
-        gameState.playerHands.visible = false;
+        playerHands.visible = false;
         
         // Release pointer lock
         if (document.pointerLockElement) {
@@ -3747,38 +3046,74 @@ function toggleCoop() {
         const crosshair = document.getElementById('crosshair');
         if (crosshair) crosshair.remove();
         
-        // Calculate eggs collected THIS visit only
-        const eggsThisSession = gameState.eggsCollected - gameState.eggsAtVisitStart;
-        if (eggsThisSession > 0) {
-            gameState.eggBaskets.push(eggsThisSession);
-            updateEggDisplay();
-            
-            // Bonus for collecting all 8 eggs
-            if (eggsThisSession === 8) {
-                addScore(50, 'Full basket bonus!');
-                gameState.consecutiveEggCollections++;
-            } else {
-                gameState.consecutiveEggCollections = 0;
-            }
-        }
-        
         // Restore camera angles from before entering
         cameraAngleH = gameState.savedCameraAngleH;
         cameraAngleV = gameState.savedCameraAngleV;
-        
-        // Don't reset eggs or timer - they expire on their own schedule
     }
 }
 
-// Collect egg at crosshair
-function collectEggAtCrosshair() {
+// Switch to the first-person view inside the coop
+function showCoopInterior() {
+    coopInterior.visible = true;
+    coopInterior.position.copy(gameState.coopPosition);
+    
+    // Save current camera angles to restore on exit
+    gameState.savedCameraAngleH = cameraAngleH;
+    gameState.savedCameraAngleV = cameraAngleV;
+    
+    // Reset camera to look forward into coop
+    cameraAngleH = 0;
+    cameraAngleV = 0;
+    
+    // Hide player model
+    gameState.player.mesh.visible = false;
+    
+    // Show hands and basket
+    playerHands.visible = true;
+    
+    // Position camera for first-person view inside coop
+    camera.position.set(
+        gameState.coopPosition.x,
+        gameState.coopPosition.y + 1.6,
+        gameState.coopPosition.z + 1
+    );
+    
+    // Make sure pointer is locked for looking around (touch screens drag to look instead)
+    if (!isPointerLocked && !replayPlayer && !touchEnabled) {
+        renderer.domElement.requestPointerLock();
+    }
+    
+    document.getElementById('coopPrompt').style.display = 'none';
+    
+    // Add crosshair for aiming
+    if (!document.getElementById('crosshair')) {
+        const crosshair = document.createElement('div');
+        crosshair.id = 'crosshair';
+        crosshair.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 20px;
+            height: 20px;
+            border: 2px solid white;
+            border-radius: 50%;
+            pointer-events: none;
+            box-shadow: 0 0 5px black;
+        `;
+        document.body.appendChild(crosshair);
+    }
+}
+
+// Collect egg at crosshair (or at a tapped screen point, in normalized device coordinates)
+function collectEggAtCrosshair(point = new THREE.Vector2(0, 0)) {
     // Raycast from camera center
     const raycaster = new THREE.Raycaster();
-    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    raycaster.setFromCamera(point, camera);
     
     // Check which eggs we're looking at
-    const eggs = gameState.nestBoxes
-        .filter(nest => nest.egg.visible && !nest.collected)
+    const eggs = nestBoxMeshes
+        .filter((nest, index) => nest.egg.visible && !gameState.nestBoxes[index].collected && !gameState.nestBoxes[index].incubating)
         .map(nest => nest.egg);
     
     const intersects = raycaster.intersectObjects(eggs);
@@ -3786,21 +3121,11 @@ function collectEggAtCrosshair() {
     if (intersects.length > 0) {
         // Found an egg!
         const egg = intersects[0].object;
-        const nest = gameState.nestBoxes.find(n => n.egg === egg);
+        const index = nestBoxMeshes.findIndex(n => n.egg === egg);
         
-        if (nest) {
-            nest.collected = true;
-            nest.egg.visible = false;
-            gameState.eggsCollected++;
-            
-            // Add score for collecting egg
-            addScore(10, 'Egg collected');
-            
-            // Play sound effect
-            audioSystem.playEggCollect();
-            
-            // Update UI
-            document.getElementById('totalEggs').textContent = gameState.eggsCollected;
+        if (index !== -1) {
+            recordAction('collectEgg', { index });
+            sim.collectEgg(index);
         }
     }
 }
@@ -3821,18 +3146,6 @@ function updateEggDisplay() {
     });
 }
 
-// Check if position collides with coop
-function collidesWithCoop(x, z) {
-    const coopX = gameState.coopPosition.x;
-    const coopZ = gameState.coopPosition.z;
-    const coopSize = 6.5; // Half-width of coop (slightly larger than actual 6 to prevent clipping)
-    
-    return (
-        x > coopX - coopSize && x < coopX + coopSize &&
-        z > coopZ - coopSize && z < coopZ + coopSize
-    );
-}
-
 // Convert 3D world position to 2D screen position
 function getScreenPosition(position, camera) {
     const vector = position.clone();
@@ -3844,9 +3157,8 @@ function getScreenPosition(position, camera) {
     return { x, y };
 }
 
-// Scoring functions
-function addScore(points, reason) {
-    gameState.score += points;
+// Scoring display (gameState.score is kept by the simulation)
+function onScoreChanged(points, reason) {
     updateScoreDisplay();
     
     // Play sound effect
@@ -3882,78 +3194,215 @@ function showScoreChange(points, reason) {
     }, 1000);
 }
 
+// Simulation observers - rendering, audio and UI react to what the simulation reports
+sim.on('score', onScoreChanged);
+
+sim.on('sound', (effect) => {
+    audioSystem[effect]();
+});
+
+// Rumble the controller when a predator grabs a bird
+sim.on('birdCaptured', () => {
+    const pad = connectedGamepad();
+    if (pad && pad.vibrationActuator) {
+        pad.vibrationActuator.playEffect('dual-rumble', CAPTURE_RUMBLE).catch(() => {});
+    }
+});
+
+sim.on('birdRescued', (name) => {
+    showBanner(`🛟 ${name} rescued!`);
+});
+
+sim.on('eggCollected', () => {
+    document.getElementById('totalEggs').textContent = gameState.eggsCollected;
+});
+
+sim.on('eggBasket', () => {
+    updateEggDisplay();
+});
+
+sim.on('visitorGreeting', () => {
+    showSpeechBubble('lizGreeting', 'Hi Liz!', '#4169E1');
+});
+
+sim.on('visitorGoodbye', () => {
+    showSpeechBubble('lizGoodbye', 'Bye Liz!', '#FF1493');
+});
+
+sim.on('waveAnnounced', (wave) => {
+    showWaveAnnouncement(wave);
+});
+
+sim.on('weatherChanged', (kind) => {
+    showBanner(WEATHER_MESSAGES[kind]);
+});
+
+sim.on('lightning', () => {
+    lightningFlash = 1;
+});
+
+sim.on('snakeInCoop', () => {
+    showBanner('🐍 A snake got into the coop! Go inside to chase it out of the nest boxes!');
+});
+
+sim.on('snakeDrivenOff', () => {
+    showBanner('🐍 You chased the snake out of the coop!');
+});
+
+sim.on('gameOver', (isComplete, score, stats) => {
+    // Stop the walkman (clearMatchView stops the game music)
+    walkmanSystem.audio.pause();
+    
+    // The match is over, so there's nothing left to continue
+    walkmanSystem.storageManager.clearSavedGame().catch(() => {});
+    
+    if (replayRecorder) {
+        replayRecorder.finish(stats);
+    }
+    if (replayPlayer) {
+        replayPlayer.finish(stats);
+    }
+    
+    clearMatchView();
+    showGameOverModal(isComplete, score, stats);
+});
+
+// Clean up the scene after a match (game over, restart or quit) - remove all
+// game objects, overlays and the game music
+function clearMatchView() {
+    audioSystem.stopAllMusic();
+    audioSystem.currentMusicMode = null; // The next match starts its music from the top
+    scene.remove(sim.root);
+    rain.visible = false;
+    audioSystem.setRainLevel(0);
+    buildMode.active = false;
+    updateBuildGhost();
+    updateNavDebug();
+    birdTooltip.style.display = 'none';
+    roster.style.display = 'none';
+    clearStruggleBars();
+    aimReticle.visible = false;
+    renderer.domElement.style.cursor = '';
+    playerHands.visible = false;
+    
+    // Leave the coop view
+    coopInterior.visible = false;
+    const crosshair = document.getElementById('crosshair');
+    if (crosshair) crosshair.remove();
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+    cameraAngleH = 0;
+    cameraAngleV = 0.3;
+}
+
+// Banner warning about the next predator wave
+function showWaveAnnouncement(wave) {
+    const parts = [];
+    if (wave.dogs > 0) parts.push(`${wave.dogs} ${wave.dogs === 1 ? 'dog' : 'dogs'}`);
+    if (wave.hawks > 0) parts.push(`${wave.hawks} ${wave.hawks === 1 ? 'hawk' : 'hawks'}`);
+    if (wave.foxes > 0) parts.push(`${wave.foxes} ${wave.foxes === 1 ? 'fox' : 'foxes'}`);
+    if (wave.snakes > 0) parts.push(`${wave.snakes} ${wave.snakes === 1 ? 'snake' : 'snakes'}`);
+    if (wave.raccoons > 0) parts.push(`a pack of ${wave.raccoons} raccoons`);
+    const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    
+    showBanner(`⚠️ Wave ${wave.number}: ${list} incoming!`);
+}
+
+// Short warning across the top of the screen
+let bannerTimeout = null;
+function showBanner(text) {
+    const banner = document.getElementById('waveAnnouncement');
+    banner.textContent = text;
+    banner.classList.add('visible');
+    
+    clearTimeout(bannerTimeout);
+    bannerTimeout = setTimeout(() => {
+        banner.classList.remove('visible');
+    }, 4000);
+}
+
+// Dialog bubble above the player (positioned every frame in animate)
+function showSpeechBubble(id, text, borderColor) {
+    const bubble = document.createElement('div');
+    bubble.id = id;
+    bubble.style.cssText = `
+        position: absolute;
+        background: white;
+        color: black;
+        padding: 10px 20px;
+        border-radius: 20px;
+        border: 3px solid ${borderColor};
+        font-size: 24px;
+        font-weight: bold;
+        pointer-events: none;
+        z-index: 1000;
+        box-shadow: 0 4px 8px rgba(0,0,0,0.3);
+    `;
+    bubble.textContent = text;
+    document.body.appendChild(bubble);
+    
+    // Position above player (we'll update in animation loop)
+    bubble.dataset.followPlayer = 'true';
+    
+    // Remove after 3 seconds
+    setTimeout(() => {
+        bubble.remove();
+    }, 3000);
+}
+
 function animate() {
     requestAnimationFrame(animate);
     
+    pollGamepad();
+    touchControls.classList.toggle('visible', gameState.started && !replayPlayer);
+    
     if (!gameState.started) {
+        updateDaylight();
+        renderer.render(scene, camera);
+        return;
+    }
+    
+    // Paused: keep showing the frozen scene, and keep the clock from saving
+    // the pause up as one long frame
+    if (paused) {
+        clock.getDelta();
         renderer.render(scene, camera);
         return;
     }
     
     const delta = clock.getDelta();
-    gameState.gameTime += delta;
-    
-    // Survival bonus - award points every 60 seconds if all birds are alive
-    gameState.survivalTimer += delta;
-    if (gameState.survivalTimer >= 60) {
-        gameState.survivalTimer = 0;
-        const totalBirds = gameState.chickens.length + gameState.ducks.length;
-        if (totalBirds === 13) { // All birds still alive (8 chickens + 5 ducks)
-            addScore(25, 'All birds safe for 1 minute!');
+    applyGamepadLook(delta);
+    
+    // Advance the simulation in fixed steps
+    stepAccumulator += delta;
+    while (stepAccumulator >= SIM_STEP && gameState.started) {
+        if (replayPlayer) {
+            // Inputs come from the replay file instead of the keyboard and mouse
+            replayPlayer.beginStep().forEach(applyReplayAction);
+            cameraAngleH = replayPlayer.camera.h;
+            cameraAngleV = replayPlayer.camera.v;
+            if (!replayPlayer.verify()) {
+                showReplayDivergence(replayPlayer.divergedAt);
+            }
+            sim.step(SIM_STEP, replayPlayer.input);
+        } else {
+            if (replayRecorder) {
+                replayRecorder.recordStep(input.held, cameraAngleH, cameraAngleV);
+            }
+            sim.step(SIM_STEP, input.held);
         }
+        stepAccumulator -= SIM_STEP;
     }
     
-    // Check for game completion (10 minutes)
-    if (gameState.gameTime >= gameState.maxGameTime && !gameState.gameCompleted) {
-        gameState.gameCompleted = true; // Prevent multiple alerts
-        gameState.started = false; // Stop the game loop
-        
-        // Stop all music and sound
-        audioSystem.stopAllMusic();
-        walkmanSystem.audio.pause();
-        
-        // Clean up the scene - remove all game objects
-        if (gameState.player) {
-            scene.remove(gameState.player.mesh);
-            scene.remove(gameState.playerHands);
-        }
-        gameState.chickens.forEach(chicken => scene.remove(chicken.mesh));
-        gameState.ducks.forEach(duck => scene.remove(duck.mesh));
-        gameState.predators.forEach(predator => scene.remove(predator.mesh));
-        gameState.cornPiles.forEach(pile => scene.remove(pile.mesh));
-        if (gameState.visitor) {
-            scene.remove(gameState.visitor.mesh);
-        }
-        
-        const totalBirds = gameState.chickens.length + gameState.ducks.length;
-        let finalBonus = 500; // Base completion bonus
-        
-        if (totalBirds === 13) {
-            finalBonus += 200; // All birds survived
-        }
-        if (gameState.eggsCollected >= 10) {
-            finalBonus += 100; // Collected 10+ eggs
-        }
-        if (gameState.killed === 0) {
-            finalBonus += 200; // No birds killed
-        }
-        
-        addScore(finalBonus, 'Level complete!');
-        
-        showGameOverModal(true, gameState.score, {
-            birdsRemaining: totalBirds,
-            eggsCollected: gameState.eggsCollected,
-            defeated: gameState.defeated,
-            ranAway: gameState.ranAway,
-            killed: gameState.killed
-        });
+    // Match ended during this frame
+    if (!gameState.started) {
         return;
     }
     
     // Update player
     if (gameState.player) {
         if (!gameState.inCoop) {
-            gameState.player.update(delta, keys);
             gameState.player.updateStaffSwing(delta); // Update staff swing animation
             gameState.player.updateCornThrow(delta); // Update corn throw animation
             
@@ -3995,151 +3444,45 @@ function animate() {
         }
     }
     
-    // Update birds
-    for (let i = gameState.chickens.length - 1; i >= 0; i--) {
-        const bird = gameState.chickens[i];
-        const shouldRemove = bird.update(delta, gameState.player, gameState.predators);
-        
-        if (shouldRemove || bird.killed) {
-            scene.remove(bird.mesh);
-            gameState.chickens.splice(i, 1);
-            if (bird.killed) {
-                gameState.killed++;
-                addScore(-100, 'Bird killed');
-                audioSystem.playBirdCaptured();
-            } else if (shouldRemove) {
-                // Bird ran away
-                addScore(-50, 'Bird ran away');
-            }
-        }
-    }
-    
-    for (let i = gameState.ducks.length - 1; i >= 0; i--) {
-        const bird = gameState.ducks[i];
-        const shouldRemove = bird.update(delta, gameState.player, gameState.predators);
-        
-        if (shouldRemove || bird.killed) {
-            scene.remove(bird.mesh);
-            gameState.ducks.splice(i, 1);
-            if (bird.killed) {
-                gameState.killed++;
-                addScore(-100, 'Bird killed');
-                audioSystem.playBirdCaptured();
-            } else if (shouldRemove) {
-                // Bird ran away
-                addScore(-50, 'Bird ran away');
-            }
-        }
-    }
-    
-    // Check for game over
-    if (gameState.chickens.length === 0 && gameState.ducks.length === 0 && !gameState.gameCompleted) {
-        gameState.gameCompleted = true; // Prevent multiple alerts
-        gameState.started = false; // Stop the game loop
-        
-        // Stop all music and sound
-        audioSystem.stopAllMusic();
-        walkmanSystem.audio.pause();
-        
-        // Clean up the scene - remove all game objects
-        if (gameState.player) {
-            scene.remove(gameState.player.mesh);
-            scene.remove(gameState.playerHands);
-        }
-        gameState.predators.forEach(predator => scene.remove(predator.mesh));
-        gameState.cornPiles.forEach(pile => scene.remove(pile.mesh));
-        if (gameState.visitor) {
-            scene.remove(gameState.visitor.mesh);
-        }
-        
-        showGameOverModal(false, gameState.score, {
-            eggsCollected: gameState.eggsCollected,
-            defeated: gameState.defeated,
-            ranAway: gameState.ranAway,
-            killed: gameState.killed
-        });
-        return;
-    }
-    
-    // Update corn piles
-    for (let i = gameState.cornPiles.length - 1; i >= 0; i--) {
-        const pile = gameState.cornPiles[i];
-        pile.timer -= delta;
-        if (pile.timer <= 0) {
-            // Remove expired corn pile
-            scene.remove(pile.mesh);
-            gameState.cornPiles.splice(i, 1);
-        }
-    }
-    
-    // Update corn particles
-    for (let i = gameState.cornParticles.length - 1; i >= 0; i--) {
-        const particle = gameState.cornParticles[i];
-        particle.life -= delta;
-        
-        if (particle.life <= 0) {
-            scene.remove(particle.mesh);
-            gameState.cornParticles.splice(i, 1);
-        } else {
-            particle.mesh.position.add(particle.mesh.velocity.clone().multiplyScalar(delta));
-            particle.mesh.velocity.y -= delta * 5; // Gravity
-            
-            if (particle.mesh.position.y < 0.1) {
-                particle.mesh.position.y = 0.1;
-                particle.mesh.velocity.multiplyScalar(0.5);
-            }
-        }
-    }
-    
-    // Update egg timer (runs continuously, regardless of player location)
-    if (!gameState.eggsAvailable) {
-        gameState.eggTimer -= delta;
-        if (gameState.eggTimer <= 0) {
-            gameState.eggsAvailable = true;
-            gameState.eggAvailableTimer = 60; // Eggs available for 60 seconds
-            gameState.coopGlow.visible = true;
-            
-            // If player is in coop, show eggs immediately
-            if (gameState.inCoop) {
-                gameState.nestBoxes.forEach(nest => {
-                    nest.egg.visible = !nest.collected;
-                });
-            }
-        }
-    }
-    
-    // If eggs are available, count down the availability timer
-    if (gameState.eggsAvailable) {
-        gameState.eggAvailableTimer -= delta;
-        
-        // Blink warning at 15 seconds remaining
-        if (gameState.eggAvailableTimer <= 15) {
-            const blinkSpeed = 5;
-            gameState.coopGlow.visible = Math.sin(Date.now() / 1000 * blinkSpeed) > 0;
-        }
-        
-        // Eggs expire
-        if (gameState.eggAvailableTimer <= 0) {
-            gameState.eggsAvailable = false;
-            gameState.coopGlow.visible = false;
-            gameState.eggTimer = 60; // Reset timer for next batch
-            
-            // Hide all eggs (whether player is in coop or not)
-            gameState.nestBoxes.forEach(nest => {
-                nest.egg.visible = false;
-                nest.collected = false;
-            });
-        }
-    }
+    // Eggs in the nest boxes follow the simulation (incubating eggs stay put)
+    nestBoxMeshes.forEach((nest, index) => {
+        const nestBox = gameState.nestBoxes[index];
+        nest.egg.visible = nestBox.incubating || (gameState.eggsAvailable && !nestBox.collected);
+    });
     
-    // Update coop glow pulse (when not blinking)
-    if (gameState.coopGlow.visible && gameState.eggAvailableTimer > 15) {
+    // Coop glows while eggs are available, blinking in the last 15 seconds,
+    // and flashes red while a snake is in the nest boxes
+    const snakeInCoop = gameState.predators.some(predator => predator.snakeState === 'inside');
+    coopGlow.material.color.setHex(snakeInCoop ? 0xFF2020 : 0xFFD700);
+    if (snakeInCoop) {
+        coopGlow.visible = true;
+        coopGlow.material.opacity = 0.3 + Math.sin(Date.now() / 1000 * 8) * 0.15;
+    } else if (!gameState.eggsAvailable) {
+        coopGlow.visible = false;
+    } else if (gameState.eggAvailableTimer <= 15) {
+        const blinkSpeed = 5;
+        coopGlow.visible = Math.sin(Date.now() / 1000 * blinkSpeed) > 0;
+        coopGlow.material.opacity = 0.2;
+    } else {
+        // Update coop glow pulse (when not blinking)
+        coopGlow.visible = true;
         const pulseSpeed = 2;
-        gameState.coopGlow.material.opacity = 0.15 + Math.sin(Date.now() / 1000 * pulseSpeed) * 0.1;
+        coopGlow.material.opacity = 0.15 + Math.sin(Date.now() / 1000 * pulseSpeed) * 0.1;
     }
     
+    updateBuildGhost();
+    updateBirdTooltip();
+    updateRoster(delta);
+    updateStruggleBars();
+    updateAimReticle();
+    
     // Show coop prompt when near door (outside only)
-    if (gameState.player && !gameState.inCoop) {
+    if (gameState.player && !gameState.inCoop && buildMode.active) {
+        const cost = FENCE_COSTS[buildMode.kind];
+        const coopPrompt = document.getElementById('coopPrompt');
+        coopPrompt.style.display = 'block';
+        coopPrompt.textContent = `🔨 ${keyHint('interact')}: build ${buildMode.kind} (${cost} 🥚) · ${keyHint('removeFence')}: take down · ${keyHint('turnFence')}: turn · ${keyHint('switchFence')}: ${buildMode.kind === 'fence' ? 'gate' : 'fence'} · ${keyHint('build')}: done`;
+    } else if (gameState.player && !gameState.inCoop) {
         const doorPos = new THREE.Vector3(
             gameState.coopPosition.x,
             0,
@@ -4152,12 +3495,21 @@ function animate() {
             coopPrompt.style.display = 'block';
             if (gameState.eggsAvailable) {
                 const timeLeft = Math.ceil(gameState.eggAvailableTimer);
-                coopPrompt.textContent = `Press E to collect eggs 🥚 (${timeLeft}s left)`;
+                coopPrompt.textContent = `Press ${keyHint('interact')} to collect eggs 🥚 (${timeLeft}s left)`;
             } else {
                 const timeLeft = Math.ceil(gameState.eggTimer);
                 const minutes = Math.floor(timeLeft / 60);
                 const seconds = timeLeft % 60;
-                coopPrompt.textContent = `Press E - Eggs in ${minutes}:${seconds.toString().padStart(2, '0')}`;
+                coopPrompt.textContent = `Press ${keyHint('interact')} - Eggs in ${minutes}:${seconds.toString().padStart(2, '0')}`;
+            }
+        } else if (sim.isAtCornBin()) {
+            coopPrompt.style.display = 'block';
+            if (gameState.cornCharges >= MAX_CORN_CHARGES) {
+                coopPrompt.textContent = `Corn bag is full 🌽 (${MAX_CORN_CHARGES} charges)`;
+            } else if (gameState.eggsOnHand < EGGS_PER_CORN_CHARGE) {
+                coopPrompt.textContent = `Corn bin - ${EGGS_PER_CORN_CHARGE} eggs 🥚 buy 1 corn charge`;
+            } else {
+                coopPrompt.textContent = `Press ${keyHint('interact')} to trade eggs for corn 🌽 (${EGGS_PER_CORN_CHARGE} 🥚 = 1 charge)`;
             }
         } else {
             coopPrompt.style.display = 'none';
@@ -4189,58 +3541,7 @@ function animate() {
         coopTimer.style.display = 'none';
     }
     
-    // Update predators
-    predatorSpawnTimer -= delta;
-    if (predatorSpawnTimer <= 0) {
-        gameState.predators.push(new Predator('dog'));
-        predatorSpawnTimer = 20 + Math.random() * 10;
-    }
-    
-    hawkSpawnTimer -= delta;
-    if (hawkSpawnTimer <= 0) {
-        gameState.predators.push(new Predator('hawk'));
-        hawkSpawnTimer = 30 + Math.random() * 15;
-    }
-    
-    for (let i = gameState.predators.length - 1; i >= 0; i--) {
-        const allBirds = [...gameState.chickens, ...gameState.ducks];
-        const shouldRemove = gameState.predators[i].update(delta, allBirds, gameState.player);
-        if (shouldRemove) {
-            scene.remove(gameState.predators[i].mesh);
-            gameState.predators.splice(i, 1);
-            gameState.defeated++;
-            addScore(20, 'Predator scared away');
-            audioSystem.playPredatorScared();
-        }
-    }
-    
-    // Update visitor (Liz)
-    visitorSpawnTimer -= delta;
-    if (visitorSpawnTimer <= 0 && !gameState.visitor) {
-        gameState.visitor = new Visitor();
-        visitorSpawnTimer = lizMinTime + Math.random() * (lizMaxTime - lizMinTime);
-    }
-    
     if (gameState.visitor) {
-        const allBirds = [...gameState.chickens, ...gameState.ducks];
-        const shouldRemove = gameState.visitor.update(delta, allBirds, gameState.player);
-        if (shouldRemove) {
-            scene.remove(gameState.visitor.mesh);
-            gameState.visitor = null;
-            
-            // Reset spawn timer for next visit
-            visitorSpawnTimer = lizMinTime + Math.random() * (lizMaxTime - lizMinTime);
-            
-            // Switch music back to appropriate mode
-            if (walkmanSystem.mode === 'game') {
-                if (gameState.predators.length > 0) {
-                    audioSystem.switchMusicMode('danger');
-                } else {
-                    audioSystem.switchMusicMode('calm');
-                }
-            }
-        }
-        
         // Update greeting bubble position if it exists
         const greetingBubble = document.getElementById('lizGreeting');
         if (greetingBubble && gameState.player) {
@@ -4271,20 +3572,36 @@ function animate() {
         }
     }
     
+    updateDaylight();
+    updateWeather(delta);
+    updateNavDebug();
+    
     // Update UI
     const timeRemaining = gameState.maxGameTime - gameState.gameTime;
     const minutes = Math.floor(timeRemaining / 60);
     const seconds = Math.floor(timeRemaining % 60);
     document.getElementById('timer').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
     
+    const hour = sim.timeOfDay();
+    const phase = dayPhase(hour);
+    const weatherIcon = gameState.weather.kind === 'clear' ? '' : ` ${WEATHER_TYPES[gameState.weather.kind].icon}`;
+    document.getElementById('clock').textContent = `${DAY_PHASE_ICONS[phase]} ${formatClock(hour)}${weatherIcon}`;
+    if (gameState.started && lastDayPhase && phase !== lastDayPhase && DAY_PHASE_MESSAGES[phase]) {
+        showBanner(DAY_PHASE_MESSAGES[phase]);
+    }
+    lastDayPhase = gameState.started ? phase : null;
+    
     const chickensInBounds = gameState.chickens.filter(c => c.inBounds).length;
     const ducksInBounds = gameState.ducks.filter(d => d.inBounds).length;
     document.getElementById('chickens').textContent = gameState.chickens.length;
     document.getElementById('ducks').textContent = gameState.ducks.length;
     document.getElementById('escaped').textContent = gameState.ranAway;
     document.getElementById('killed').textContent = gameState.killed;
+    document.getElementById('starved').textContent = gameState.starved;
     document.getElementById('predators').textContent = gameState.defeated;
+    document.getElementById('rescued').textContent = gameState.rescued;
     document.getElementById('corn').textContent = gameState.cornCharges;
+    document.getElementById('eggsOnHand').textContent = gameState.eggsOnHand;
     
     // Draw minimap
     drawMinimap();
@@ -4292,6 +3609,161 @@ function animate() {
     renderer.render(scene, camera);
 }
 
+// Rain, mud and lightning follow gameState.weather (see weather.js)
+const RAIN_DROPS = 1500;
+const RAIN_AREA = 60; // Rain falls in a square this wide around the camera
+const RAIN_HEIGHT = 25;
+const RAIN_SPEED = 25;
+const MUD_COLOR = new THREE.Color(0x6B4A2B);
+const STORM_SKY = new THREE.Color(0x5A6470);
+const WEATHER_MESSAGES = {
+    clear: '☀️ The weather is clearing up',
+    rain: '🌧️ It\'s starting to rain - the yard will get muddy',
+    windy: '💨 The wind is picking up - hawks will struggle and corn will blow about',
+    storm: '⛈️ Thunderstorm! Lightning will scatter the flock'
+};
+
+const rainPositions = new Float32Array(RAIN_DROPS * 3);
+for (let i = 0; i < RAIN_DROPS; i++) {
+    rainPositions[i * 3] = (Math.random() - 0.5) * RAIN_AREA;
+    rainPositions[i * 3 + 1] = Math.random() * RAIN_HEIGHT;
+    rainPositions[i * 3 + 2] = (Math.random() - 0.5) * RAIN_AREA;
+}
+const rainGeometry = new THREE.BufferGeometry();
+rainGeometry.setAttribute('position', new THREE.BufferAttribute(rainPositions, 3));
+const rain = new THREE.Points(rainGeometry, new THREE.PointsMaterial({
+    color: 0xAACCEE,
+    size: 0.15,
+    transparent: true,
+    opacity: 0.6
+}));
+rain.frustumCulled = false; // Drops are moved every frame, so the bounds go stale
+rain.visible = false;
+scene.add(rain);
+
+let lightningFlash = 0; // Fades from 1 after each strike
+
+// Runs after updateDaylight, darkening its sky and adding lightning on top
+function updateWeather(delta) {
+    const weather = gameState.weather;
+    
+    // Falling drops, blown sideways by the wind, respawned above the camera
+    rain.visible = weather.rain > 0 && !gameState.inCoop;
+    if (rain.visible) {
+        const drops = Math.floor(RAIN_DROPS * weather.rain);
+        const wind = sim.weather.windForce();
+        rainGeometry.setDrawRange(0, drops);
+        for (let i = 0; i < drops; i++) {
+            rainPositions[i * 3] += wind.x * delta * 2;
+            rainPositions[i * 3 + 1] -= RAIN_SPEED * delta;
+            rainPositions[i * 3 + 2] += wind.z * delta * 2;
+            if (rainPositions[i * 3 + 1] < 0) {
+                rainPositions[i * 3] = camera.position.x + (Math.random() - 0.5) * RAIN_AREA;
+                rainPositions[i * 3 + 1] = RAIN_HEIGHT;
+                rainPositions[i * 3 + 2] = camera.position.z + (Math.random() - 0.5) * RAIN_AREA;
+            }
+        }
+        rainGeometry.attributes.position.needsUpdate = true;
+    }
+    
+    // Gray skies and dimmer sun while it rains, a muddy yard afterwards
+    scene.background.lerp(STORM_SKY, weather.rain * 0.5);
+    scene.fog.color.copy(scene.background);
+    sunLight.intensity *= 1 - weather.rain * 0.4;
+    ground.material.color.copy(groundDryColor).lerp(MUD_COLOR, weather.mud * 0.6);
+    
+    if (lightningFlash > 0) {
+        ambientLight.intensity += lightningFlash * 1.5;
+        lightningFlash = Math.max(0, lightningFlash - delta * 4);
+    }
+    
+    audioSystem.setRainLevel(weather.rain);
+}
+
+// Navigation debug overlay (N, or ?debug=nav): cells ground walkers can't
+// stand in and the route every agent is following (see navigation.js)
+const NAV_DEBUG_MAX_SEGMENTS = 2000;
+const NAV_DEBUG_COLORS = {
+    chicken: new THREE.Color(0xFFFFFF),
+    duck: new THREE.Color(0xFFD700),
+    predator: new THREE.Color(0xFF3030),
+    visitor: new THREE.Color(0xFF69B4)
+};
+let navDebugEnabled = urlParams.get('debug') === 'nav';
+
+const navPathGeometry = new THREE.BufferGeometry();
+navPathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(NAV_DEBUG_MAX_SEGMENTS * 6), 3));
+navPathGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(NAV_DEBUG_MAX_SEGMENTS * 6), 3));
+const navPathLines = new THREE.LineSegments(navPathGeometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+navPathLines.frustumCulled = false; // Rewritten every frame
+navPathLines.renderOrder = 999;
+navPathLines.visible = false;
+scene.add(navPathLines);
+
+let navBlockedPoints = null;
+let navBlockedGrid = null; // Grid the points were made from, remade when fences change
+
+function updateNavDebug() {
+    const show = navDebugEnabled && gameState.started;
+    navPathLines.visible = show;
+    if (navBlockedPoints) navBlockedPoints.visible = show;
+    if (!show) return;
+    
+    const blocked = sim.navigation.blockedCells('ground');
+    if (blocked !== navBlockedGrid) {
+        if (navBlockedPoints) {
+            scene.remove(navBlockedPoints);
+            navBlockedPoints.geometry.dispose();
+        }
+        const positions = [];
+        blocked.forEach((isBlocked, cell) => {
+            if (isBlocked) {
+                const center = sim.navigation.cellCenter(cell);
+                positions.push(center.x, 0.1, center.z);
+            }
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        navBlockedPoints = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xFF8C00, size: 0.3 }));
+        scene.add(navBlockedPoints);
+        navBlockedGrid = blocked;
+    }
+    
+    const positions = navPathGeometry.attributes.position;
+    const colors = navPathGeometry.attributes.color;
+    let segment = 0;
+    const drawPath = (agent, color) => {
+        if (!agent.navPath) return;
+        let from = agent.mesh.position;
+        agent.navPath.forEach(point => {
+            if (segment >= NAV_DEBUG_MAX_SEGMENTS) return;
+            positions.setXYZ(segment * 2, from.x, 0.3, from.z);
+            positions.setXYZ(segment * 2 + 1, point.x, 0.3, point.z);
+            colors.setXYZ(segment * 2, color.r, color.g, color.b);
+            colors.setXYZ(segment * 2 + 1, color.r, color.g, color.b);
+            segment++;
+            from = point;
+        });
+    };
+    gameState.chickens.forEach(chicken => drawPath(chicken, NAV_DEBUG_COLORS.chicken));
+    gameState.ducks.forEach(duck => drawPath(duck, NAV_DEBUG_COLORS.duck));
+    gameState.predators.forEach(predator => drawPath(predator, NAV_DEBUG_COLORS.predator));
+    if (gameState.visitor) drawPath(gameState.visitor, NAV_DEBUG_COLORS.visitor);
+    
+    navPathGeometry.setDrawRange(0, segment * 2);
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+}
+
+// Time of day shown beside the match timer and on the minimap
+const DAY_PHASE_ICONS = { dawn: '🌅', day: '☀️', dusk: '🌇', night: '🌙' };
+const DAY_PHASE_MESSAGES = {
+    dusk: '🌇 Dusk - the chickens are heading to the coop to roost',
+    night: '🌙 Night has fallen - watch for foxes and raccoons!',
+    day: '☀️ Morning - the chickens are coming out of the coop'
+};
+let lastDayPhase = null;
+
 // Handle window resize
 window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -4300,7 +3772,7 @@ window.addEventListener('resize', () => {
 });
 
 // Initialize walkman system on page load (before game starts)
-walkmanSystem.init();
+walkmanSystem.init().then(checkForSavedGame);
 
 // Initialize timer display with correct game time
 setTimeout(() => {
@@ -0,0 +1,281 @@
+// Input mapping for Poultry Patrol
+// Game code asks for actions (moveForward, throwCorn, ...) instead of key
+// names. Each action has one or more keys, rebindable from the controls screen
+// and saved in localStorage. Keys are KeyboardEvent.key values in lower case,
+// so a rebinding follows the player's keyboard layout (AZERTY players can put
+// movement on Z/Q/S/D). A gamepad works the same way: buttons (by their index
+// in the browser's standard mapping) bind to actions, the left stick pushes the
+// move actions once past the dead-zone, and the right stick is read separately
+// for looking around the coop. On touch screens the on-screen joystick and
+// buttons (see game.js) feed the same actions.
+//   held  - read every step while the key or button is down (movement and scaring)
+//   press - fire once when the key or button goes down
+
+export const ACTIONS = [
+    { id: 'moveForward', label: 'Move forward', keys: ['w'], buttons: [12], held: true },
+    { id: 'moveBack', label: 'Move back', keys: ['s'], buttons: [13], held: true },
+    { id: 'moveLeft', label: 'Move left', keys: ['a'], buttons: [14], held: true },
+    { id: 'moveRight', label: 'Move right', keys: ['d'], buttons: [15], held: true },
+    { id: 'scare', label: 'Scare / swing staff', keys: [' '], buttons: [6], held: true },
+    { id: 'throwCorn', label: 'Drop corn', keys: ['c'], buttons: [7] },
+    { id: 'interact', label: 'Coop door / corn bin / build', keys: ['e'], buttons: [0] },
+    { id: 'collectEgg', label: 'Collect egg', keys: ['f'], buttons: [2] },
+    { id: 'build', label: 'Build mode', keys: ['b'], buttons: [3] },
+    { id: 'turnFence', label: 'Turn fence', keys: ['r'], buttons: [4] },
+    { id: 'switchFence', label: 'Fence or gate', keys: ['g'], buttons: [5] },
+    { id: 'removeFence', label: 'Take down fence', keys: ['x'], buttons: [1] },
+    { id: 'roster', label: 'Flock roster', keys: ['l'], buttons: [8] },
+    { id: 'navDebug', label: 'Path debug overlay', keys: ['n'], buttons: [] },
+    { id: 'toggleWalkman', label: 'Walkman on/off', keys: ['m'], buttons: [10] },
+    { id: 'pause', label: 'Pause', keys: ['escape', 'p'], buttons: [9] }
+];
+
+// Button names in the standard mapping (Xbox layout)
+const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+
+const STORAGE_KEY = 'poultryPatrolControls';
+export const DEFAULT_DEAD_ZONE = 0.2; // Stick tilt ignored around the center
+const MAX_DEAD_ZONE = 0.6;
+const TRIGGER_THRESHOLD = 0.5; // Analog triggers count as down past this
+const STICK_DIRECTION = 0.38; // Share of a stick push along an axis that counts as moving that way (about 8 directions)
+const TOUCH_DEAD_ZONE = 0.25; // The on-screen joystick's own dead-zone (thumbs wobble more than sticks)
+
+// Readable name for a key value
+export function keyLabel(key) {
+    if (key === ' ') return 'Space';
+    if (key.startsWith('arrow')) return key.slice(5, 6).toUpperCase() + key.slice(6) + ' Arrow';
+    return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+export function buttonLabel(index) {
+    return BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+// Stick position with the dead-zone taken out, rescaled so tilt still runs 0 to 1
+export function applyDeadZone(x, y, deadZone) {
+    const tilt = Math.hypot(x, y);
+    if (tilt <= deadZone) return { x: 0, y: 0 };
+    const scale = Math.min(1, (tilt - deadZone) / (1 - deadZone)) / tilt;
+    return { x: x * scale, y: y * scale };
+}
+
+class InputMap {
+    constructor(storage = null) {
+        this.storage = storage; // localStorage in the browser, none headless
+        this.bindings = defaultBindings('keys');
+        this.buttons = defaultBindings('buttons');
+        this.deadZone = DEFAULT_DEAD_ZONE;
+        this.held = {}; // Action -> true while one of its keys or buttons is down
+        this.downKeys = new Set();
+        this.downButtons = new Set();
+        this.stickActions = new Set(); // Move actions the left stick is pushing
+        this.touchActions = new Set(); // Actions held on the touch joystick and buttons
+        this.load();
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!saved) return;
+            // Bindings saved before gamepad support were just the keys
+            const savedKeys = saved.keys || saved;
+            // Keep defaults for actions added since the bindings were saved
+            ACTIONS.forEach(action => {
+                if (Array.isArray(savedKeys[action.id])) {
+                    this.bindings[action.id] = savedKeys[action.id].filter(key => typeof key === 'string');
+                }
+                if (saved.buttons && Array.isArray(saved.buttons[action.id])) {
+                    this.buttons[action.id] = saved.buttons[action.id].filter(Number.isInteger);
+                }
+            });
+            if (typeof saved.deadZone === 'number') {
+                this.deadZone = Math.max(0, Math.min(MAX_DEAD_ZONE, saved.deadZone));
+            }
+        } catch (error) {
+            // Unreadable bindings, keep the defaults
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ keys: this.bindings, buttons: this.buttons, deadZone: this.deadZone }));
+        } catch (error) {
+            // Storage full or blocked, bindings last until the page closes
+        }
+    }
+
+    // Action bound to a key, or null
+    actionFor(key) {
+        const action = ACTIONS.find(candidate => this.bindings[candidate.id].includes(key));
+        return action ? action.id : null;
+    }
+
+    // Action bound to a gamepad button, or null
+    buttonAction(index) {
+        const action = ACTIONS.find(candidate => this.buttons[candidate.id].includes(index));
+        return action ? action.id : null;
+    }
+
+    // Bind an action to a single key, taking it off whatever action had it
+    rebind(actionId, key) {
+        ACTIONS.forEach(action => {
+            this.bindings[action.id] = this.bindings[action.id].filter(bound => bound !== key);
+        });
+        this.bindings[actionId] = [key];
+        this.releaseAll();
+        this.save();
+    }
+
+    // Same for a gamepad button
+    rebindButton(actionId, index) {
+        ACTIONS.forEach(action => {
+            this.buttons[action.id] = this.buttons[action.id].filter(bound => bound !== index);
+        });
+        this.buttons[actionId] = [index];
+        this.releaseAll();
+        this.save();
+    }
+
+    setDeadZone(value) {
+        this.deadZone = Math.max(0, Math.min(MAX_DEAD_ZONE, value));
+        this.save();
+    }
+
+    reset() {
+        this.bindings = defaultBindings('keys');
+        this.buttons = defaultBindings('buttons');
+        this.deadZone = DEFAULT_DEAD_ZONE;
+        this.releaseAll();
+        this.save();
+    }
+
+    // A key went down; returns its action when that action fires on press
+    keyDown(key) {
+        const actionId = this.actionFor(key);
+        if (!actionId) return null;
+        this.downKeys.add(key);
+        this.refreshHeld();
+        return actionById(actionId).held ? null : actionId;
+    }
+
+    keyUp(key) {
+        this.downKeys.delete(key);
+        this.refreshHeld();
+    }
+
+    // Read a gamepad (once a frame; the Gamepad API has no button events).
+    // Returns the actions whose buttons just went down, the buttons that just
+    // went down (for rebinding) and the right stick past the dead-zone.
+    pollGamepad(pad) {
+        const pressed = [];
+        const newButtons = [];
+        const wasDown = this.downButtons;
+        this.downButtons = new Set();
+        pad.buttons.forEach((button, index) => {
+            if (!button.pressed && button.value < TRIGGER_THRESHOLD) return;
+            this.downButtons.add(index);
+            if (wasDown.has(index)) return;
+            newButtons.push(index);
+            const actionId = this.buttonAction(index);
+            if (actionId && !actionById(actionId).held) {
+                pressed.push(actionId);
+            }
+        });
+
+        this.stickActions.clear();
+        addStickActions(applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0, this.deadZone), this.stickActions);
+
+        this.refreshHeld();
+        return { pressed, newButtons, look: applyDeadZone(pad.axes[2] || 0, pad.axes[3] || 0, this.deadZone) };
+    }
+
+    // The gamepad went away
+    releasePad() {
+        if (this.downButtons.size === 0 && this.stickActions.size === 0) return;
+        this.downButtons.clear();
+        this.stickActions.clear();
+        this.refreshHeld();
+    }
+
+    // The touch joystick moved (x and y from -1 to 1, up negative)
+    setTouchStick(x, y) {
+        ['moveForward', 'moveBack', 'moveLeft', 'moveRight'].forEach(actionId => this.touchActions.delete(actionId));
+        addStickActions(applyDeadZone(x, y, TOUCH_DEAD_ZONE), this.touchActions);
+        this.refreshHeld();
+    }
+
+    // An on-screen button went down or up; returns its action when it fires on press
+    touchButton(actionId, down) {
+        if (!down) {
+            this.touchActions.delete(actionId);
+            this.refreshHeld();
+            return null;
+        }
+        if (actionById(actionId).held) {
+            this.touchActions.add(actionId);
+            this.refreshHeld();
+            return null;
+        }
+        return actionId;
+    }
+
+    // Let go of everything (window lost focus, bindings changed)
+    releaseAll() {
+        this.downKeys.clear();
+        this.downButtons.clear();
+        this.stickActions.clear();
+        this.touchActions.clear();
+        this.refreshHeld();
+    }
+
+    refreshHeld() {
+        this.held = {};
+        ACTIONS.forEach(action => {
+            if (!action.held) return;
+            if (this.bindings[action.id].some(key => this.downKeys.has(key)) ||
+                this.buttons[action.id].some(index => this.downButtons.has(index)) ||
+                this.stickActions.has(action.id) || this.touchActions.has(action.id)) {
+                this.held[action.id] = true;
+            }
+        });
+    }
+
+    // Key names bound to an action, for prompts and the controls screen
+    labels(actionId) {
+        return this.bindings[actionId].map(keyLabel);
+    }
+
+    buttonLabels(actionId) {
+        return this.buttons[actionId].map(buttonLabel);
+    }
+}
+
+// Add the move actions a stick position points along (up is forward)
+function addStickActions(move, target) {
+    const tilt = Math.hypot(move.x, move.y);
+    if (tilt === 0) return;
+    if (move.y < -STICK_DIRECTION * tilt) target.add('moveForward');
+    if (move.y > STICK_DIRECTION * tilt) target.add('moveBack');
+    if (move.x < -STICK_DIRECTION * tilt) target.add('moveLeft');
+    if (move.x > STICK_DIRECTION * tilt) target.add('moveRight');
+}
+
+function actionById(actionId) {
+    return ACTIONS.find(action => action.id === actionId);
+}
+
+// Fresh copy of the default 'keys' or 'buttons' for every action
+function defaultBindings(kind) {
+    const bindings = {};
+    ACTIONS.forEach(action => {
+        bindings[action.id] = [...action[kind]];
+    });
+    return bindings;
+}
+
+export default InputMap;
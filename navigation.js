@@ -0,0 +1,303 @@
+// Navigation for Poultry Patrol
+// A grid over the yard (and the woods around it) marks which cells a body can
+// stand in, built from the same obstacles as collision.js and widened by a
+// body's radius. Agents that can see their target walk straight at it;
+// otherwise they follow an A* path across the grid, smoothed into the fewest
+// straight legs. Each profile gets its own grid, rebuilt when fences change.
+
+import * as THREE from 'three';
+
+const GRID_HALF_SIZE = 40; // Covers the woods where predators and Liz come in
+const CELL_SIZE = 1;
+const GRID_CELLS = (GRID_HALF_SIZE * 2) / CELL_SIZE;
+const CLEARANCE = 0.8; // Room for the biggest ground body (a dog)
+const SIGHT_STEP = 0.5; // Distance between samples along a line of sight
+const NEAREST_OPEN_RANGE = 6; // Cells searched around a blocked start or goal
+const MAX_CACHED_PATHS = 1000;
+
+// What each kind of walker can get through (options for CollisionWorld.blocks)
+export const NAV_PROFILES = {
+    ground: {}, // Dogs and chickens
+    swim: { swims: true }, // Ducks
+    visitor: { throughGates: true } // Liz
+};
+
+// Neighbour offsets and step costs (diagonals last)
+const NEIGHBORS = [
+    { dx: 1, dz: 0, cost: 1 }, { dx: -1, dz: 0, cost: 1 }, { dx: 0, dz: 1, cost: 1 }, { dx: 0, dz: -1, cost: 1 },
+    { dx: 1, dz: 1, cost: Math.SQRT2 }, { dx: 1, dz: -1, cost: Math.SQRT2 },
+    { dx: -1, dz: 1, cost: Math.SQRT2 }, { dx: -1, dz: -1, cost: Math.SQRT2 }
+];
+
+class NavGrid {
+    constructor(sim) {
+        this.sim = sim;
+        this.grids = {}; // Profile name -> Uint8Array, 1 where blocked
+        this.paths = new Map(); // Cached cell routes by profile, start and goal cell
+
+        // Scratch space for A*, reused between searches
+        const cellCount = GRID_CELLS * GRID_CELLS;
+        this.costs = new Float64Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.searchIds = new Uint32Array(cellCount);
+        this.closed = new Uint32Array(cellCount);
+        this.searchId = 0;
+    }
+
+    // Drop the grids and paths after the obstacles change (fences built or taken down)
+    invalidate() {
+        this.grids = {};
+        this.paths.clear();
+    }
+
+    // Blocked cells for a profile, built on first use
+    blockedCells(profile) {
+        if (!this.grids[profile]) {
+            const obstacles = this.sim.staticObstacles();
+            const blocked = new Uint8Array(GRID_CELLS * GRID_CELLS);
+            for (let cell = 0; cell < blocked.length; cell++) {
+                const center = this.cellCenter(cell);
+                if (this.sim.collision.isBlocked(center.x, center.z, CLEARANCE, NAV_PROFILES[profile], obstacles)) {
+                    blocked[cell] = 1;
+                }
+            }
+            this.grids[profile] = blocked;
+        }
+        return this.grids[profile];
+    }
+
+    cellAt(x, z) {
+        const column = Math.min(GRID_CELLS - 1, Math.max(0, Math.floor((x + GRID_HALF_SIZE) / CELL_SIZE)));
+        const row = Math.min(GRID_CELLS - 1, Math.max(0, Math.floor((z + GRID_HALF_SIZE) / CELL_SIZE)));
+        return row * GRID_CELLS + column;
+    }
+
+    cellCenter(cell) {
+        return {
+            x: (cell % GRID_CELLS) * CELL_SIZE - GRID_HALF_SIZE + CELL_SIZE / 2,
+            z: Math.floor(cell / GRID_CELLS) * CELL_SIZE - GRID_HALF_SIZE + CELL_SIZE / 2
+        };
+    }
+
+    // Closest open cell to a blocked one, searching outward ring by ring (-1 if none nearby)
+    nearestOpenCell(cell, blocked) {
+        if (!blocked[cell]) return cell;
+        const column = cell % GRID_CELLS;
+        const row = Math.floor(cell / GRID_CELLS);
+        for (let ring = 1; ring <= NEAREST_OPEN_RANGE; ring++) {
+            for (let dz = -ring; dz <= ring; dz++) {
+                for (let dx = -ring; dx <= ring; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+                    const x = column + dx;
+                    const z = row + dz;
+                    if (x < 0 || z < 0 || x >= GRID_CELLS || z >= GRID_CELLS) continue;
+                    if (!blocked[z * GRID_CELLS + x]) return z * GRID_CELLS + x;
+                }
+            }
+        }
+        return -1;
+    }
+
+    // Whether a straight walk from one point to another stays in open cells
+    // (the cell it starts in doesn't count, so bodies brushing a wall can still see out)
+    hasLineOfSight(fromX, fromZ, toX, toZ, blocked) {
+        const startCell = this.cellAt(fromX, fromZ);
+        const distance = Math.hypot(toX - fromX, toZ - fromZ);
+        const steps = Math.ceil(distance / SIGHT_STEP);
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const cell = this.cellAt(fromX + (toX - fromX) * t, fromZ + (toZ - fromZ) * t);
+            if (cell !== startCell && blocked[cell]) return false;
+        }
+        return true;
+    }
+
+    // Waypoints ({x, z}) from a point to a target for a profile, ending at the
+    // target itself (or the nearest open spot to it); null if there's no way through
+    findPath(fromX, fromZ, toX, toZ, profile) {
+        const blocked = this.blockedCells(profile);
+        const start = this.nearestOpenCell(this.cellAt(fromX, fromZ), blocked);
+        const targetCell = this.cellAt(toX, toZ);
+        const goal = this.nearestOpenCell(targetCell, blocked);
+        if (start === -1 || goal === -1) return null;
+
+        const key = `${profile}:${start}:${goal}`;
+        let route = this.paths.get(key);
+        if (route === undefined) {
+            route = this.search(start, goal, blocked);
+            if (this.paths.size >= MAX_CACHED_PATHS) {
+                this.paths.clear();
+            }
+            this.paths.set(key, route);
+        }
+        if (!route) return null;
+
+        // Already in the goal cell: just the goal
+        const points = (route.length > 0 ? route : [goal]).map(cell => this.cellCenter(cell));
+        if (goal === targetCell) {
+            points[points.length - 1] = { x: toX, z: toZ };
+        }
+        return points;
+    }
+
+    // A* from start to goal cell, returning the smoothed route as cells (without the start)
+    search(start, goal, blocked) {
+        this.searchId++;
+        const id = this.searchId;
+        const goalCenter = this.cellCenter(goal);
+        const heuristic = (cell) => {
+            const center = this.cellCenter(cell);
+            const dx = Math.abs(center.x - goalCenter.x) / CELL_SIZE;
+            const dz = Math.abs(center.z - goalCenter.z) / CELL_SIZE;
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        const open = new CellHeap();
+        this.costs[start] = 0;
+        this.cameFrom[start] = -1;
+        this.searchIds[start] = id;
+        open.push(start, heuristic(start));
+
+        while (open.size > 0) {
+            const cell = open.pop();
+            if (cell === goal) {
+                return this.smooth(this.traceRoute(start, goal), blocked);
+            }
+            if (this.closed[cell] === id) continue;
+            this.closed[cell] = id;
+
+            const column = cell % GRID_CELLS;
+            const row = Math.floor(cell / GRID_CELLS);
+            for (const { dx, dz, cost } of NEIGHBORS) {
+                const x = column + dx;
+                const z = row + dz;
+                if (x < 0 || z < 0 || x >= GRID_CELLS || z >= GRID_CELLS) continue;
+                const next = z * GRID_CELLS + x;
+                if (blocked[next] || this.closed[next] === id) continue;
+
+                // No cutting corners past a blocked cell
+                if (dx !== 0 && dz !== 0 && (blocked[row * GRID_CELLS + x] || blocked[z * GRID_CELLS + column])) continue;
+
+                const nextCost = this.costs[cell] + cost;
+                if (this.searchIds[next] !== id || nextCost < this.costs[next]) {
+                    this.searchIds[next] = id;
+                    this.costs[next] = nextCost;
+                    this.cameFrom[next] = cell;
+                    open.push(next, nextCost + heuristic(next));
+                }
+            }
+        }
+        return null;
+    }
+
+    traceRoute(start, goal) {
+        const route = [];
+        for (let cell = goal; cell !== start; cell = this.cameFrom[cell]) {
+            route.push(cell);
+        }
+        route.push(start);
+        return route.reverse();
+    }
+
+    // Keep only the cells where the route has to turn: from each kept cell,
+    // jump to the farthest one still in a straight line of sight
+    smooth(route, blocked) {
+        const smoothed = [];
+        let from = 0;
+        while (from < route.length - 1) {
+            const fromCenter = this.cellCenter(route[from]);
+            let to = route.length - 1;
+            while (to > from + 1) {
+                const toCenter = this.cellCenter(route[to]);
+                if (this.hasLineOfSight(fromCenter.x, fromCenter.z, toCenter.x, toCenter.z, blocked)) break;
+                to--;
+            }
+            smoothed.push(route[to]);
+            from = to;
+        }
+        return smoothed;
+    }
+
+    // Unit direction for an agent heading to a target, around obstacles when it
+    // can't walk straight there. Leaves the route on agent.navPath for the debug overlay.
+    directionTo(agent, target, profile) {
+        const position = agent.mesh.position;
+        const blocked = this.blockedCells(profile);
+        let waypoint = target;
+        agent.navPath = [{ x: target.x, z: target.z }];
+
+        if (!this.hasLineOfSight(position.x, position.z, target.x, target.z, blocked)) {
+            const path = this.findPath(position.x, position.z, target.x, target.z, profile);
+            if (path) {
+                // Skip ahead to the farthest waypoint already in view
+                let next = 0;
+                while (next < path.length - 1 && this.hasLineOfSight(position.x, position.z, path[next + 1].x, path[next + 1].z, blocked)) {
+                    next++;
+                }
+                waypoint = path[next];
+                agent.navPath = path.slice(next);
+            }
+        }
+
+        return new THREE.Vector3(waypoint.x - position.x, 0, waypoint.z - position.z).normalize();
+    }
+}
+
+// Binary min-heap of cells keyed by A* score
+class CellHeap {
+    constructor() {
+        this.cells = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.cells.length;
+    }
+
+    push(cell, score) {
+        let index = this.cells.length;
+        this.cells.push(cell);
+        this.scores.push(score);
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.scores[parent] <= score) break;
+            this.cells[index] = this.cells[parent];
+            this.scores[index] = this.scores[parent];
+            index = parent;
+        }
+        this.cells[index] = cell;
+        this.scores[index] = score;
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const lastCell = this.cells.pop();
+        const lastScore = this.scores.pop();
+        if (this.cells.length > 0) {
+            let index = 0;
+            const length = this.cells.length;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                let smallestScore = lastScore;
+                if (left < length && this.scores[left] < smallestScore) {
+                    smallest = left;
+                    smallestScore = this.scores[left];
+                }
+                if (right < length && this.scores[right] < smallestScore) {
+                    smallest = right;
+                }
+                if (smallest === index) break;
+                this.cells[index] = this.cells[smallest];
+                this.scores[index] = this.scores[smallest];
+                index = smallest;
+            }
+            this.cells[index] = lastCell;
+            this.scores[index] = lastScore;
+        }
+        return top;
+    }
+}
+
+export default NavGrid;
@@ -0,0 +1,124 @@
+// Input recording and replay for Poultry Patrol
+// A replay file is the match settings plus every input, each stamped with the
+// simulation frame it was applied before. Playing it into a Simulation reset
+// with the same settings reproduces the match; state checksums taken along the
+// way flag the first frame where the playback drifts from the original.
+
+const REPLAY_VERSION = 2; // 2: held actions instead of raw keys (see input.js)
+const CHECKSUM_INTERVAL = 60; // Frames between checksums (once a second)
+
+// Records a live match (game.js calls recordStep before every sim.step)
+class ReplayRecorder {
+    constructor(sim) {
+        this.sim = sim;
+        this.lastInput = {};
+        this.lastCamera = null;
+        this.replay = {
+            version: REPLAY_VERSION,
+            settings: { ...sim.settings },
+            input: [], // {frame, action, down} whenever a held action changes
+            actions: [], // {frame, type, ...data} for corn, coop, egg and fence actions
+            camera: [], // {frame, h, v} whenever the camera angles change
+            checksums: [], // {frame, hash}
+            result: null // Final stats of the recorded match
+        };
+    }
+
+    // Capture the input for the step about to run
+    recordStep(input, cameraAngleH, cameraAngleV) {
+        const frame = this.sim.state.frame;
+
+        // Only changes are stored
+        const allActions = new Set([...Object.keys(input), ...Object.keys(this.lastInput)]);
+        allActions.forEach(action => {
+            const down = !!input[action];
+            if (down !== !!this.lastInput[action]) {
+                this.replay.input.push({ frame, action, down });
+            }
+        });
+        this.lastInput = { ...input };
+
+        if (!this.lastCamera || this.lastCamera.h !== cameraAngleH || this.lastCamera.v !== cameraAngleV) {
+            this.lastCamera = { h: cameraAngleH, v: cameraAngleV };
+            this.replay.camera.push({ frame, h: cameraAngleH, v: cameraAngleV });
+        }
+
+        if (frame % CHECKSUM_INTERVAL === 0) {
+            this.replay.checksums.push({ frame, hash: this.sim.checksum() });
+        }
+    }
+
+    // Capture a one-off action ('throwCorn', 'toggleCoop', 'collectEgg')
+    recordAction(type, data = {}) {
+        this.replay.actions.push({ frame: this.sim.state.frame, type, ...data });
+    }
+
+    finish(stats) {
+        this.replay.result = { frame: this.sim.state.frame, score: stats.score };
+    }
+
+    toJSON() {
+        return this.replay;
+    }
+}
+
+// Feeds a recorded match back in place of the keyboard and mouse
+class ReplayPlayer {
+    constructor(sim, replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error('Unsupported replay file');
+        }
+
+        this.sim = sim;
+        this.replay = replay;
+        this.input = {}; // Held actions for the step about to run
+        this.camera = { h: 0, v: 0.3 };
+        this.cursors = { input: 0, actions: 0, camera: 0, checksums: 0 };
+        this.divergedAt = null; // First frame whose checksum didn't match
+    }
+
+    // Pull every entry of one recorded list stamped with the current frame
+    take(list) {
+        const frame = this.sim.state.frame;
+        const entries = this.replay[list];
+        const taken = [];
+        while (this.cursors[list] < entries.length && entries[this.cursors[list]].frame <= frame) {
+            taken.push(entries[this.cursors[list]++]);
+        }
+        return taken;
+    }
+
+    // Update held actions and camera for the step about to run and return its actions
+    beginStep() {
+        this.take('input').forEach(entry => {
+            this.input[entry.action] = entry.down;
+        });
+        this.take('camera').forEach(entry => {
+            this.camera = { h: entry.h, v: entry.v };
+        });
+        return this.take('actions');
+    }
+
+    // Compare against the recording once the step's actions are applied;
+    // returns false the first time the playback drifts
+    verify() {
+        if (this.divergedAt !== null) return true;
+
+        const diverged = this.take('checksums').some(entry => entry.hash !== this.sim.checksum());
+        if (diverged) {
+            this.divergedAt = this.sim.state.frame;
+            return false;
+        }
+        return true;
+    }
+
+    // Check the final result once the match is over
+    finish(stats) {
+        const result = this.replay.result;
+        if (this.divergedAt === null && result && (result.frame !== this.sim.state.frame || result.score !== stats.score)) {
+            this.divergedAt = this.sim.state.frame;
+        }
+    }
+}
+
+export { ReplayRecorder, ReplayPlayer };
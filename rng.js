@@ -0,0 +1,27 @@
+// Seeded random numbers for Poultry Patrol
+// Every gameplay roll goes through a SeededRandom so a run can be replayed
+// exactly from its seed (see the ?seed= URL parameter)
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0; // Seeds are unsigned 32-bit integers
+        this.state = this.seed;
+    }
+
+    // Pick a fresh seed for runs that weren't given one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Next number in [0, 1), like Math.random() (mulberry32)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Export for use in game
+export default SeededRandom;
@@ -0,0 +1,54 @@
+// Headless match runner for Poultry Patrol
+// Plays whole matches through the simulation core with no browser, for
+// balancing predators and scoring in CI.
+//
+// Usage: node scripts/simulate.js [matches] [minutes] [seed] [difficulty]
+//   npm run simulate -- 1000 10 42 hard
+// Match i is played with seed + i, so any single match can be replayed in the
+// browser with ?seed=
+
+import Simulation, { SIM_STEP } from '../simulation.js';
+import SeededRandom from '../rng.js';
+
+const matchCount = parseInt(process.argv[2], 10) || 10;
+const gameTimeMinutes = parseFloat(process.argv[3]) || 10;
+const seedArg = parseInt(process.argv[4], 10);
+const firstSeed = Number.isNaN(seedArg) ? SeededRandom.randomSeed() : seedArg;
+const difficulty = process.argv[5] || 'normal'; // easy, normal or hard
+
+// Play one match with an idle player and return its final stats
+function runMatch(seed) {
+    const sim = new Simulation({ maxGameTime: gameTimeMinutes * 60, seed, difficulty });
+    let result = null;
+
+    sim.on('gameOver', (isComplete, score, stats) => {
+        result = { isComplete, ...stats };
+    });
+
+    sim.start();
+    while (!result) {
+        sim.step(SIM_STEP, {});
+    }
+    return result;
+}
+
+const results = [];
+for (let i = 0; i < matchCount; i++) {
+    results.push(runMatch((firstSeed + i) >>> 0));
+}
+
+const average = (key) => results.reduce((total, r) => total + r[key], 0) / results.length;
+const completed = results.filter(r => r.isComplete).length;
+
+console.log(`Matches:            ${results.length} (${gameTimeMinutes} min each, ${results[0].difficulty})`);
+console.log(`Seeds:              ${firstSeed}..${(firstSeed + results.length - 1) >>> 0}`);
+console.log(`Completed:          ${completed} (${(completed / results.length * 100).toFixed(1)}%)`);
+console.log(`Avg score:          ${average('score').toFixed(1)}`);
+console.log(`Avg birds left:     ${average('birdsRemaining').toFixed(2)}`);
+console.log(`Avg birds killed:   ${average('killed').toFixed(2)}`);
+console.log(`Avg birds ran away: ${average('ranAway').toFixed(2)}`);
+console.log(`Avg birds starved:  ${average('starved').toFixed(2)}`);
+console.log(`Avg birds rescued:  ${average('rescued').toFixed(2)}`);
+console.log(`Avg predators gone: ${average('defeated').toFixed(2)}`);
+console.log(`Avg waves:          ${average('waves').toFixed(2)}`);
+console.log(`Avg match length:   ${average('gameTime').toFixed(1)}s`);
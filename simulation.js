@@ -0,0 +1,806 @@
+// Simulation core for Poultry Patrol
+// Steps the game state with a fixed delta and no WebGL, DOM or Web Audio.
+// The browser layer (game.js) renders sim.root and reacts to emitted events;
+// headless runs (scripts/simulate.js) just call step() in a loop.
+
+import * as THREE from 'three';
+import { Player, Bird, Predator, Visitor } from './entities.js';
+import SeededRandom from './rng.js';
+import PredatorDirector, { createWaveState } from './director.js';
+import { resolveDifficulty } from './difficulty.js';
+import { clockHour } from './daynight.js';
+import WeatherSystem, { createWeatherState } from './weather.js';
+import { FENCE_COSTS, FENCE_LIMIT, fenceBox, createFenceMesh } from './fences.js';
+import CollisionWorld from './collision.js';
+import NavGrid from './navigation.js';
+import Flocking from './flocking.js';
+
+// Fixed simulation step in seconds (the browser accumulates frame time into these)
+export const SIM_STEP = 1 / 60;
+
+// Coop sits in the corner so nothing can get behind it
+export const COOP_POSITION = new THREE.Vector3(-26, 0, -26);
+
+// Corn bin beside the coop, where eggs are traded for corn charges
+export const CORN_BIN_POSITION = new THREE.Vector3(-18, 0, -20);
+export const EGGS_PER_CORN_CHARGE = 2;
+export const MAX_CORN_CHARGES = 10;
+const CORN_BIN_RANGE = 3;
+const CORN_BIN_HALF_WIDTH = 1;
+const CORN_BIN_HALF_DEPTH = 0.75;
+const CORN_TRICKLE_TIME = 45; // Seconds per free corn charge
+const CORN_TRICKLE_LIMIT = 5; // The free trickle only tops up to the starting charges
+
+// Half-width of coop (slightly larger than actual 6 to prevent clipping)
+const COOP_HALF_SIZE = 6.5;
+
+// Duck pond (only ducks go in)
+export const POND_POSITION = new THREE.Vector3(10, 0, 10);
+export const POND_RADIUS = 5;
+
+const NEST_BOX_COUNT = 8;
+const INCUBATION_TIME = 90; // Seconds for an egg left in a nest box to hatch
+const MAX_FLOCK_SIZE = 24; // Eggs left behind beyond this just spoil
+
+// Plain game state values written to saved games (entities are saved separately)
+const SAVED_STATE_FIELDS = [
+    'frame', 'gameTime', 'maxGameTime', 'escaped', 'defeated', 'ranAway', 'killed', 'starved', 'rescued', 'lostBirds',
+    'cornCharges', 'cornTrickleTimer', 'eggsOnHand', 'inCoop', 'eggsAvailable', 'eggTimer', 'eggAvailableTimer', 'nestBoxes',
+    'eggsLaid', 'layingTurn', 'eggsCollected', 'eggsEaten', 'eggsAtVisitStart', 'eggBaskets', 'flockSize', 'hatched', 'score',
+    'survivalTimer', 'consecutiveEggCollections', 'lastEggCollectionComplete',
+    'waves', 'weather', 'visitorSpawnTimer'
+];
+
+function createGameState(maxGameTime) {
+    return {
+        started: false,
+        frame: 0, // Fixed steps taken so far (replays are stamped with this)
+        gameTime: 0,
+        maxGameTime: maxGameTime,
+        chickens: [],
+        ducks: [],
+        predators: [],
+        visitor: null, // Liz the friendly neighbor
+        player: null,
+        escaped: 0,
+        defeated: 0,
+        ranAway: 0,
+        killed: 0, // Birds killed by predators
+        starved: 0, // Birds that went hungry too long
+        rescued: 0, // Birds the player made a predator drop
+        lostBirds: [], // Life records of birds that died or ran off, for the memorial (see Bird.summary)
+        cornCharges: CORN_TRICKLE_LIMIT,
+        cornTrickleTimer: CORN_TRICKLE_TIME,
+        eggsOnHand: 0, // Collected eggs not yet traded for corn
+        cornPiles: [], // Array of {location, timer, mesh} objects
+        fences: [], // Built fence sections, array of {x, z, axis, kind, mesh} objects (see fences.js)
+        cornParticles: [],
+        treats: [], // Liz's treats, array of {mesh, fallTime, groundTime} objects
+        // Egg collection
+        inCoop: false,
+        eggsAvailable: false,
+        eggTimer: 60, // 1 minute until eggs available (for testing)
+        eggAvailableTimer: 0, // How long eggs remain available (the difficulty's egg window)
+        nestBoxes: Array.from({ length: NEST_BOX_COUNT }, () => ({ collected: false, incubating: false, hatchTimer: 0 })),
+        eggsLaid: NEST_BOX_COUNT, // Eggs in this batch (nest boxes still incubating skip a batch)
+        layingTurn: 0, // Which laying hen gets credited with the next egg
+        eggsCollected: 0,
+        eggsEaten: 0, // Eggs swallowed by snakes in the nest boxes
+        eggsAtVisitStart: 0,
+        eggBaskets: [], // Track each collection session
+        // Flock
+        flockSize: 0, // Every bird the flock has had: the starting birds plus hatched chicks
+        hatched: 0,
+        // Scoring
+        score: 0,
+        survivalTimer: 0, // Track time for survival bonuses
+        consecutiveEggCollections: 0, // Track streak for multiplier
+        lastEggCollectionComplete: true, // Did we collect all eggs last time?
+        gameCompleted: false, // Flag to prevent multiple completion alerts
+        coopPosition: COOP_POSITION.clone(),
+        waves: createWaveState(), // Predator director (see director.js)
+        weather: createWeatherState(), // Rain, wind and storms (see weather.js)
+        visitorSpawnTimer: 0
+    };
+}
+
+class Simulation {
+    constructor({ root = new THREE.Group(), ...settings } = {}) {
+        this.root = root; // Every entity mesh lives under this group
+        this.input = {}; // Held actions for the current step (see input.js)
+        this.listeners = {};
+        this.director = new PredatorDirector(this);
+        this.weather = new WeatherSystem(this);
+        this.collision = new CollisionWorld(this);
+        this.navigation = new NavGrid(this);
+        this.flocking = new Flocking(this);
+        this.state = {};
+        this.reset(settings);
+    }
+
+    // Set up a fresh, unstarted match (replays bring their own settings)
+    reset({ maxGameTime = 600, lizFreq = null, seed = SeededRandom.randomSeed(), difficulty = 'normal' } = {}) {
+        // Predator, corn, egg and scoring tunables (see difficulty.js)
+        this.difficulty = resolveDifficulty(difficulty);
+
+        // Everything needed to play this exact match again
+        this.settings = { maxGameTime, lizFreq, seed: seed >>> 0, difficulty: { ...this.difficulty } };
+
+        // All gameplay randomness comes from here so a seed replays a run exactly
+        this.seed = this.settings.seed;
+        this.random = new SeededRandom(this.seed);
+
+        // Liz visits every lizFreq seconds if given, otherwise every 1-2 minutes
+        this.lizMinTime = lizFreq ? lizFreq : 60;
+        this.lizMaxTime = lizFreq ? lizFreq + 10 : 120;
+
+        // Refill the state object in place so anyone holding sim.state keeps seeing it
+        this.root.clear();
+        Object.keys(this.state).forEach(key => delete this.state[key]);
+        Object.assign(this.state, createGameState(maxGameTime));
+        this.state.visitorSpawnTimer = this.nextVisitorDelay();
+        this.navigation.invalidate();
+    }
+
+    // Subscribe to a simulation event ('score', 'sound', 'gameOver', ...)
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        const handlers = this.listeners[event];
+        if (handlers) {
+            handlers.forEach(handler => handler(...args));
+        }
+    }
+
+    nextVisitorDelay() {
+        return this.lizMinTime + this.random.next() * (this.lizMaxTime - this.lizMinTime);
+    }
+
+    // Open the gate: create the player and let the flock out
+    start() {
+        const state = this.state;
+        state.started = true;
+        state.player = new Player(this);
+
+        // Spawn chickens
+        for (let i = 0; i < 8; i++) {
+            const chicken = new Bird(this, 'chicken', -25 + this.random.next() * 6, -25 + this.random.next() * 6);
+            state.chickens.push(chicken);
+        }
+
+        // Spawn ducks
+        for (let i = 0; i < 5; i++) {
+            const duck = new Bird(this, 'duck', -25 + this.random.next() * 6, -25 + this.random.next() * 6);
+            state.ducks.push(duck);
+        }
+
+        state.flockSize = state.chickens.length + state.ducks.length;
+    }
+
+    // Advance the match by delta seconds with the given held actions
+    // ({moveForward: true, scare: false, ...})
+    step(delta, input = {}) {
+        const state = this.state;
+        if (!state.started) return;
+
+        this.input = input;
+        state.frame++;
+        state.gameTime += delta;
+
+        // Survival bonus - award points every 60 seconds if all birds are alive
+        state.survivalTimer += delta;
+        if (state.survivalTimer >= 60) {
+            state.survivalTimer = 0;
+            const totalBirds = state.chickens.length + state.ducks.length;
+            if (totalBirds === state.flockSize) { // No bird lost yet
+                this.addScore(25, 'All birds safe for 1 minute!');
+            }
+        }
+
+        // Check for game completion (10 minutes)
+        if (state.gameTime >= state.maxGameTime && !state.gameCompleted) {
+            const totalBirds = state.chickens.length + state.ducks.length;
+            let finalBonus = 500; // Base completion bonus
+
+            if (totalBirds === state.flockSize) {
+                finalBonus += 200; // All birds survived
+            }
+            if (state.eggsCollected >= 10) {
+                finalBonus += 100; // Collected 10+ eggs
+            }
+            if (state.killed === 0) {
+                finalBonus += 200; // No birds killed
+            }
+
+            this.addScore(finalBonus, 'Level complete!');
+            this.end(true);
+            return;
+        }
+
+        // Weather first so this step's wind, mud and lightning apply to everyone, then refresh
+        // where everything stands for collisions
+        this.weather.update(delta);
+        this.collision.update();
+
+        // Update player
+        if (state.player && !state.inCoop) {
+            state.player.update(delta, input);
+        }
+
+        // Update birds
+        this.updateFlock(state.chickens, delta);
+        this.updateFlock(state.ducks, delta);
+
+        // Check for game over
+        if (state.chickens.length === 0 && state.ducks.length === 0 && !state.gameCompleted) {
+            this.end(false);
+            return;
+        }
+
+        this.updateCorn(delta);
+        this.updateTreats(delta);
+        this.updateEggs(delta);
+
+        // Update predators (the director decides when waves arrive)
+        this.director.update(delta);
+
+        for (let i = state.predators.length - 1; i >= 0; i--) {
+            const allBirds = [...state.chickens, ...state.ducks];
+            const predator = state.predators[i];
+            const shouldRemove = predator.update(delta, allBirds, state.player);
+            if (predator.leftOnItsOwn) {
+                // Nothing to credit the player with
+                this.root.remove(predator.mesh);
+                state.predators.splice(i, 1);
+            } else if (shouldRemove) {
+                this.root.remove(predator.mesh);
+                state.predators.splice(i, 1);
+                state.defeated++;
+                this.addScore(20, 'Predator scared away');
+                this.emit('sound', 'playPredatorScared');
+            }
+        }
+
+        // Update visitor (Liz)
+        state.visitorSpawnTimer -= delta;
+        if (state.visitorSpawnTimer <= 0 && !state.visitor) {
+            state.visitor = new Visitor(this);
+            state.visitorSpawnTimer = this.nextVisitorDelay();
+        }
+
+        if (state.visitor) {
+            const allBirds = [...state.chickens, ...state.ducks];
+            const shouldRemove = state.visitor.update(delta, allBirds, state.player);
+            if (shouldRemove) {
+                this.root.remove(state.visitor.mesh);
+                state.visitor = null;
+
+                // Reset spawn timer for next visit
+                state.visitorSpawnTimer = this.nextVisitorDelay();
+            }
+        }
+    }
+
+    // Packs come in together around where the first member turned up
+    spawnPredator(type, count = 1) {
+        const leader = new Predator(this, type);
+        this.state.predators.push(leader);
+
+        for (let i = 1; i < count; i++) {
+            const member = new Predator(this, type);
+            member.mesh.position.set(
+                leader.mesh.position.x + (this.random.next() - 0.5) * 3,
+                leader.mesh.position.y,
+                leader.mesh.position.z + (this.random.next() - 0.5) * 3
+            );
+            this.state.predators.push(member);
+        }
+    }
+
+    updateFlock(birds, delta) {
+        const state = this.state;
+        for (let i = birds.length - 1; i >= 0; i--) {
+            const bird = birds[i];
+            const shouldRemove = bird.update(delta, state.player, state.predators);
+
+            if (shouldRemove || bird.killed || bird.starved) {
+                this.root.remove(bird.mesh);
+                birds.splice(i, 1);
+                state.lostBirds.push({
+                    ...bird.summary(),
+                    lostAt: state.gameTime,
+                    cause: bird.killed ? 'killed' : bird.starved ? 'starved' : 'ranAway',
+                    killedBy: bird.killedBy
+                });
+                if (bird.killed) {
+                    state.killed++;
+                    this.addScore(-100, 'Bird killed');
+                    this.emit('sound', 'playBirdCaptured');
+                } else if (bird.starved) {
+                    state.starved++;
+                    this.addScore(-100, 'Bird starved');
+                } else if (shouldRemove) {
+                    // Bird ran away
+                    this.addScore(-50, 'Bird ran away');
+                }
+            }
+        }
+    }
+
+    updateCorn(delta) {
+        const state = this.state;
+
+        // Free corn trickles in while the player is low
+        if (state.cornCharges < CORN_TRICKLE_LIMIT) {
+            state.cornTrickleTimer -= delta;
+            if (state.cornTrickleTimer <= 0) {
+                state.cornCharges++;
+                state.cornTrickleTimer = CORN_TRICKLE_TIME;
+            }
+        } else {
+            state.cornTrickleTimer = CORN_TRICKLE_TIME;
+        }
+
+        // Update corn piles
+        for (let i = state.cornPiles.length - 1; i >= 0; i--) {
+            const pile = state.cornPiles[i];
+            pile.timer -= delta;
+            if (pile.timer <= 0) {
+                // Remove expired corn pile
+                this.root.remove(pile.mesh);
+                state.cornPiles.splice(i, 1);
+            }
+        }
+
+        // Update corn particles
+        for (let i = state.cornParticles.length - 1; i >= 0; i--) {
+            const particle = state.cornParticles[i];
+            particle.life -= delta;
+
+            if (particle.life <= 0) {
+                this.root.remove(particle.mesh);
+                state.cornParticles.splice(i, 1);
+            } else {
+                particle.mesh.position.add(particle.mesh.velocity.clone().multiplyScalar(delta));
+                particle.mesh.velocity.y -= delta * 5; // Gravity
+                particle.mesh.velocity.add(this.weather.windForce().multiplyScalar(delta));
+
+                if (particle.mesh.position.y < 0.1) {
+                    particle.mesh.position.y = 0.1;
+                    particle.mesh.velocity.multiplyScalar(0.5);
+                }
+            }
+        }
+    }
+
+    // Liz's treats fall to the ground and disappear a little later
+    updateTreats(delta) {
+        const state = this.state;
+        for (let i = state.treats.length - 1; i >= 0; i--) {
+            const treat = state.treats[i];
+            if (treat.fallTime > 0) {
+                treat.fallTime -= delta;
+                treat.mesh.position.y -= delta * 6.25;
+                if (treat.fallTime <= 0 || treat.mesh.position.y <= 0.2) {
+                    treat.mesh.position.y = 0.2;
+                    treat.fallTime = 0;
+                }
+            } else {
+                treat.groundTime -= delta;
+                if (treat.groundTime <= 0) {
+                    this.root.remove(treat.mesh);
+                    state.treats.splice(i, 1);
+                }
+            }
+        }
+    }
+
+    updateEggs(delta) {
+        const state = this.state;
+
+        // Update egg timer (runs continuously, regardless of player location)
+        if (!state.eggsAvailable) {
+            state.eggTimer -= delta;
+            if (state.eggTimer <= 0) {
+                state.eggsAvailable = true;
+                state.eggAvailableTimer = this.difficulty.eggWindow; // 60 seconds on Normal
+
+                // Fresh eggs in the nest boxes that aren't incubating, as many as the share of
+                // hens that are fed, healthy and content (the rest of the boxes stay empty)
+                const hens = state.chickens.filter(bird => bird.type === 'chicken' && !bird.isChick);
+                const layingShare = hens.length > 0 ? hens.filter(hen => hen.canLay()).length / hens.length : 0;
+                const freeBoxes = state.nestBoxes.filter(nest => !nest.incubating);
+                const eggCount = Math.round(freeBoxes.length * layingShare);
+                freeBoxes.forEach((nest, index) => {
+                    nest.collected = index >= eggCount;
+                });
+                state.eggsLaid = eggCount;
+
+                // Credit the eggs to the laying hens in turn, picking up where the last batch left off
+                const layers = hens.filter(hen => hen.canLay());
+                for (let i = 0; i < eggCount; i++) {
+                    layers[state.layingTurn % layers.length].eggsLaid++;
+                    state.layingTurn++;
+                }
+                this.emit('eggsAvailable');
+            }
+        }
+
+        // If eggs are available, count down the availability timer
+        if (state.eggsAvailable) {
+            state.eggAvailableTimer -= delta;
+
+            // Eggs expire
+            if (state.eggAvailableTimer <= 0) {
+                state.eggsAvailable = false;
+                state.eggTimer = 60; // Reset timer for next batch
+
+                // Eggs left in the nest boxes start incubating while the flock has room
+                const incubating = state.nestBoxes.filter(nest => nest.incubating).length;
+                let room = MAX_FLOCK_SIZE - (state.chickens.length + state.ducks.length) - incubating;
+                state.nestBoxes.forEach(nest => {
+                    if (!nest.collected && !nest.incubating && room > 0) {
+                        nest.incubating = true;
+                        nest.hatchTimer = INCUBATION_TIME;
+                        room--;
+                    }
+                });
+                this.emit('eggsExpired');
+            }
+        }
+
+        // Incubating eggs hatch on their own schedule
+        state.nestBoxes.forEach((nest, index) => {
+            if (nest.incubating) {
+                nest.hatchTimer -= delta;
+                if (nest.hatchTimer <= 0) {
+                    nest.incubating = false;
+                    nest.collected = true; // Nest stays empty until the next batch
+                    this.hatchChick(index);
+                }
+            }
+        });
+    }
+
+    // A chick hatches from a nest box and comes out of the coop door
+    hatchChick(index) {
+        const state = this.state;
+        const x = state.coopPosition.x - 2 + this.random.next() * 4;
+        const z = state.coopPosition.z + 8;
+        state.chickens.push(new Bird(this, 'chicken', x, z, true));
+        state.flockSize++;
+        state.hatched++;
+
+        this.addScore(25, 'Chick hatched!');
+        this.emit('sound', 'playChickenSquawk');
+        this.emit('eggHatched', index);
+    }
+
+    enterCoop() {
+        this.state.inCoop = true;
+
+        // Track eggs collected at start of this visit
+        this.state.eggsAtVisitStart = this.state.eggsCollected;
+
+        // Walking in chases any snake out of the nest boxes
+        this.state.predators.forEach(predator => {
+            if (predator.snakeState === 'inside') {
+                predator.driveOff();
+                this.emit('snakeDrivenOff');
+            }
+        });
+    }
+
+    exitCoop() {
+        const state = this.state;
+        state.inCoop = false;
+
+        // Calculate eggs collected THIS visit only
+        const eggsThisSession = state.eggsCollected - state.eggsAtVisitStart;
+        if (eggsThisSession > 0) {
+            state.eggBaskets.push(eggsThisSession);
+            this.emit('eggBasket', eggsThisSession);
+
+            // Bonus for collecting the whole batch
+            if (eggsThisSession === state.eggsLaid) {
+                this.addScore(50, 'Full basket bonus!');
+                state.consecutiveEggCollections++;
+            } else {
+                state.consecutiveEggCollections = 0;
+            }
+        }
+
+        // Don't reset eggs or timer - they expire on their own schedule
+    }
+
+    // Take the egg from one nest box; returns false if there was nothing to take
+    collectEgg(index) {
+        const state = this.state;
+        const nest = state.nestBoxes[index];
+        if (!state.inCoop || !state.eggsAvailable || !nest || nest.collected || nest.incubating) {
+            return false;
+        }
+
+        nest.collected = true;
+        state.eggsCollected++;
+        state.eggsOnHand++;
+
+        // Add score for collecting egg
+        this.addScore(10, 'Egg collected');
+        this.emit('sound', 'playEggCollect');
+        this.emit('eggCollected', index);
+        return true;
+    }
+
+    // A snake in the coop swallows one egg, fresh ones before incubating ones;
+    // returns false if the nest boxes were empty
+    eatEgg() {
+        const state = this.state;
+        let index = state.eggsAvailable
+            ? state.nestBoxes.findIndex(nest => !nest.collected && !nest.incubating)
+            : -1;
+        if (index === -1) {
+            index = state.nestBoxes.findIndex(nest => nest.incubating);
+        }
+        if (index === -1) return false;
+
+        const nest = state.nestBoxes[index];
+        if (!nest.incubating) {
+            state.eggsLaid--; // A full basket is whatever the snake left
+        }
+        nest.collected = true; // Nest stays empty until the next batch
+        nest.incubating = false;
+        nest.hatchTimer = 0;
+        state.eggsEaten++;
+
+        this.addScore(-15, 'Snake ate an egg');
+        this.emit('eggEaten', index);
+        return true;
+    }
+
+    isAtCornBin() {
+        const player = this.state.player;
+        if (!player || this.state.inCoop) return false;
+
+        const dx = player.mesh.position.x - CORN_BIN_POSITION.x;
+        const dz = player.mesh.position.z - CORN_BIN_POSITION.z;
+        return Math.sqrt(dx * dx + dz * dz) < CORN_BIN_RANGE;
+    }
+
+    // Trade eggs on hand for corn charges at the bin; returns how many charges were bought
+    tradeEggsForCorn() {
+        const state = this.state;
+        if (!this.isAtCornBin()) return 0;
+
+        const affordable = Math.floor(state.eggsOnHand / EGGS_PER_CORN_CHARGE);
+        const charges = Math.min(affordable, MAX_CORN_CHARGES - state.cornCharges);
+        if (charges <= 0) return 0;
+
+        state.eggsOnHand -= charges * EGGS_PER_CORN_CHARGE;
+        state.cornCharges += charges;
+        this.emit('sound', 'playEggCollect');
+        this.emit('cornTraded', charges);
+        return charges;
+    }
+
+    // Every score change is scaled by the difficulty's multiplier
+    addScore(points, reason) {
+        points = Math.round(points * this.difficulty.scoreMultiplier);
+        this.state.score += points;
+        this.emit('score', points, reason);
+    }
+
+    // The player hit a predator carrying a bird and made it let go (see Predator.dropBird)
+    rescueBird(bird, predator) {
+        this.state.rescued++;
+        if (predator.isFlying) {
+            this.addScore(75, 'Mid-air rescue!');
+        } else {
+            this.addScore(50, 'Bird rescued!');
+        }
+        this.emit('sound', 'playRescue');
+        this.emit('birdRescued', bird.name);
+    }
+
+    // Clock time (0-24) for the current point in the match (see daynight.js)
+    timeOfDay() {
+        return clockHour(this.state.gameTime, this.state.maxGameTime);
+    }
+
+    // Solid parts of the yard for the collision world (see collision.js): boxes
+    // {shape: 'box', tag, minX, maxX, minZ, maxZ} and circles {shape: 'circle', tag, x, z, radius}
+    staticObstacles() {
+        const state = this.state;
+        const obstacles = [
+            {
+                shape: 'box', tag: 'coop',
+                minX: state.coopPosition.x - COOP_HALF_SIZE, maxX: state.coopPosition.x + COOP_HALF_SIZE,
+                minZ: state.coopPosition.z - COOP_HALF_SIZE, maxZ: state.coopPosition.z + COOP_HALF_SIZE
+            },
+            {
+                shape: 'box', tag: 'bin',
+                minX: CORN_BIN_POSITION.x - CORN_BIN_HALF_WIDTH, maxX: CORN_BIN_POSITION.x + CORN_BIN_HALF_WIDTH,
+                minZ: CORN_BIN_POSITION.z - CORN_BIN_HALF_DEPTH, maxZ: CORN_BIN_POSITION.z + CORN_BIN_HALF_DEPTH
+            },
+            { shape: 'circle', tag: 'pond', x: POND_POSITION.x, z: POND_POSITION.z, radius: POND_RADIUS }
+        ];
+        state.fences.forEach(fence => {
+            obstacles.push({ shape: 'box', tag: fence.kind, ...fenceBox(fence) });
+        });
+        return obstacles;
+    }
+
+    // Whether a section can be built at a grid spot (x, z from snapToFenceGrid) and afforded
+    canPlaceFence(x, z, axis, kind) {
+        const state = this.state;
+        const cost = FENCE_COSTS[kind];
+        if (cost === undefined || state.eggsOnHand < cost) return false;
+        if (Math.abs(x) > FENCE_LIMIT || Math.abs(z) > FENCE_LIMIT) return false;
+        if (state.fences.some(fence => fence.x === x && fence.z === z && fence.axis === axis)) return false;
+
+        // Not through the coop, the corn bin or the pond
+        return !this.collision.overlapsBox(fenceBox({ x, z, axis }), { fences: false });
+    }
+
+    // Build a fence section or gate on the grid, paid for with eggs on hand;
+    // returns false if it can't go there or can't be afforded
+    placeFence(x, z, axis, kind = 'fence') {
+        if (!this.canPlaceFence(x, z, axis, kind)) return false;
+
+        this.state.eggsOnHand -= FENCE_COSTS[kind];
+        this.buildFence({ x, z, axis, kind });
+        this.emit('sound', 'playHammer');
+        return true;
+    }
+
+    // Take down a section and get its eggs back; returns false if there was none
+    removeFence(x, z, axis) {
+        const state = this.state;
+        const index = state.fences.findIndex(fence => fence.x === x && fence.z === z && fence.axis === axis);
+        if (index === -1) return false;
+
+        const fence = state.fences[index];
+        this.root.remove(fence.mesh);
+        state.fences.splice(index, 1);
+        this.navigation.invalidate();
+        state.eggsOnHand += FENCE_COSTS[fence.kind];
+        this.emit('sound', 'playHammer');
+        return true;
+    }
+
+    buildFence({ x, z, axis, kind }) {
+        const fence = { x, z, axis, kind };
+        fence.mesh = createFenceMesh(fence);
+        this.root.add(fence.mesh);
+        this.state.fences.push(fence);
+        this.navigation.invalidate();
+        return fence;
+    }
+
+    // Stop the match and report the final stats
+    end(isComplete) {
+        const state = this.state;
+        state.gameCompleted = true; // Prevent multiple alerts
+        state.started = false; // Stop the game loop
+
+        this.emit('gameOver', isComplete, state.score, this.getStats());
+    }
+
+    // Snapshot of a match in progress as plain data (for saved games).
+    // Corn particles and Liz's treats are cosmetic and short-lived, so they're left out.
+    save() {
+        const state = this.state;
+        const birds = [...state.chickens, ...state.ducks];
+
+        const fields = {};
+        SAVED_STATE_FIELDS.forEach(field => {
+            fields[field] = state[field];
+        });
+
+        return {
+            settings: { ...this.settings },
+            randomState: this.random.state,
+            state: JSON.parse(JSON.stringify(fields)), // Deep copy so the save doesn't change under us
+            player: state.player.serialize(),
+            chickens: state.chickens.map(bird => bird.serialize()),
+            ducks: state.ducks.map(bird => bird.serialize()),
+            predators: state.predators.map(predator => predator.serialize(birds)),
+            visitor: state.visitor ? state.visitor.serialize(birds) : null,
+            cornPiles: state.cornPiles.map(pile => ({ location: pile.location.toArray(), timer: pile.timer })),
+            fences: state.fences.map(({ x, z, axis, kind }) => ({ x, z, axis, kind }))
+        };
+    }
+
+    // Rebuild a match from save() and carry on stepping it where it left off
+    load(snapshot) {
+        this.reset(snapshot.settings);
+        const state = this.state;
+        Object.assign(state, snapshot.state);
+        state.started = true;
+
+        state.player = new Player(this);
+        state.player.restore(snapshot.player);
+
+        const restoreBird = (data) => {
+            const bird = new Bird(this, data.type, 0, 0);
+            bird.restore(data);
+            return bird;
+        };
+        state.chickens = snapshot.chickens.map(restoreBird);
+        state.ducks = snapshot.ducks.map(restoreBird);
+        const birds = [...state.chickens, ...state.ducks];
+
+        state.predators = snapshot.predators.map(data => {
+            const predator = new Predator(this, data.type);
+            predator.restore(data, birds);
+            return predator;
+        });
+
+        if (snapshot.visitor) {
+            state.visitor = new Visitor(this);
+            state.visitor.restore(snapshot.visitor, birds);
+        }
+
+        snapshot.cornPiles.forEach(pile => {
+            state.player.dropCornPile(new THREE.Vector3().fromArray(pile.location), pile.timer);
+        });
+
+        (snapshot.fences || []).forEach(fence => this.buildFence(fence));
+
+        // Entity constructors roll dice, so put the generator back last
+        this.random.state = snapshot.randomState;
+    }
+
+    // Hash of the state that matters for gameplay, used to spot replay divergence
+    checksum() {
+        const state = this.state;
+        const values = [state.frame, state.score, this.random.state, state.cornCharges, state.eggsCollected, state.fences.length];
+        const addPosition = (entity) => values.push(entity.mesh.position.x, entity.mesh.position.z);
+
+        if (state.player) addPosition(state.player);
+        state.chickens.forEach(addPosition);
+        state.ducks.forEach(addPosition);
+        state.predators.forEach(addPosition);
+        if (state.visitor) addPosition(state.visitor);
+
+        // FNV-1a over the rounded values
+        let hash = 0x811C9DC5;
+        const text = values.map(value => value.toFixed(3)).join(',');
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    getStats() {
+        const state = this.state;
+        return {
+            birdsRemaining: state.chickens.length + state.ducks.length,
+            flockSize: state.flockSize,
+            hatched: state.hatched,
+            waves: state.waves.wave,
+            eggsCollected: state.eggsCollected,
+            eggsEaten: state.eggsEaten,
+            defeated: state.defeated,
+            ranAway: state.ranAway,
+            killed: state.killed,
+            starved: state.starved,
+            rescued: state.rescued,
+            survivors: [...state.chickens, ...state.ducks].map(bird => bird.summary()),
+            lost: state.lostBirds.slice(),
+            score: state.score,
+            gameTime: state.gameTime,
+            seed: this.seed,
+            difficulty: this.difficulty.label,
+            scoreMultiplier: this.difficulty.scoreMultiplier
+        };
+    }
+}
+
+export default Simulation;
@@ -0,0 +1,172 @@
+// Weather for Poultry Patrol
+// Scripts clear spells, rain, wind and thunderstorms over the match the same
+// way the director scripts predator waves: a table of stages and a countdown to
+// the next change, kept in gameState.weather so it saves and replays with the
+// match. Rendering and sound react to the state and events in game.js.
+
+import * as THREE from 'three';
+
+// What each kind of weather brings (rain and wind from 0 to 1)
+export const WEATHER_TYPES = {
+    clear: { label: 'Clear', icon: '☀️', rain: 0, wind: 0, thunder: false },
+    rain: { label: 'Rain', icon: '🌧️', rain: 1, wind: 0.3, thunder: false },
+    windy: { label: 'Windy', icon: '💨', rain: 0, wind: 1, thunder: false },
+    storm: { label: 'Thunderstorm', icon: '⛈️', rain: 1, wind: 0.8, thunder: true }
+};
+
+// One row per stage of the match, like WAVE_TABLE in director.js.
+//   weights  - relative chance of each kind of weather coming next
+//   duration - [min, max] seconds a spell of weather lasts
+export const WEATHER_TABLE = [
+    { progress: 0, weights: { clear: 4, windy: 1 }, duration: [40, 60] },
+    { progress: 0.2, weights: { clear: 3, rain: 2, windy: 2 }, duration: [35, 55] },
+    { progress: 0.5, weights: { clear: 2, rain: 2, windy: 1, storm: 1 }, duration: [30, 50] },
+    { progress: 0.8, weights: { clear: 1, rain: 2, windy: 1, storm: 2 }, duration: [30, 45] }
+];
+
+const FIRST_CHANGE_TIME = 45; // Seconds of clear weather at the start
+const EASE_RATE = 0.25; // Rain and wind build up and die down over about 4 seconds
+const MUD_RATE = 1 / 30; // Seconds of rain to turn the yard to full mud
+const DRY_RATE = 1 / 60; // Seconds for full mud to dry out
+const WIND_FORCE = 3; // Push on corn particles in a full gale
+const HAWK_WIND_DRAG = 0.4; // Hawks fly this much slower in a full gale
+const MUD_DRAG = 0.25; // The player walks this much slower in full mud
+const THUNDER_GAP = [6, 14]; // Seconds between lightning strikes in a storm
+const STRIKE_SCARE_TIME = 1.5; // Birds near a strike keep running this long
+export const STRIKE_SCARE_RADIUS = 12;
+
+// Weather state lives in gameState.weather so it saves with the match
+export function createWeatherState() {
+    return {
+        kind: 'clear',
+        nextChangeTimer: FIRST_CHANGE_TIME,
+        rain: 0, // Current rain, easing toward the kind's amount
+        wind: 0, // Current wind strength, easing likewise
+        windAngle: 0, // Direction the wind blows toward (radians in the xz plane)
+        mud: 0, // How wet the ground is (0 dry, 1 full mud)
+        thunderTimer: 0,
+        strike: null // Latest lightning strike while birds still fear it: {x, z, timer}
+    };
+}
+
+class WeatherSystem {
+    constructor(sim) {
+        this.sim = sim;
+    }
+
+    update(delta) {
+        const weather = this.sim.state.weather;
+
+        weather.nextChangeTimer -= delta;
+        if (weather.nextChangeTimer <= 0) {
+            this.changeWeather();
+        }
+
+        // Ease rain and wind toward the current kind
+        const type = WEATHER_TYPES[weather.kind];
+        weather.rain = approach(weather.rain, type.rain, EASE_RATE * delta);
+        weather.wind = approach(weather.wind, type.wind, EASE_RATE * delta);
+
+        // Rain soaks the yard, then it slowly dries
+        if (weather.rain > 0.5) {
+            weather.mud = Math.min(1, weather.mud + MUD_RATE * weather.rain * delta);
+        } else {
+            weather.mud = Math.max(0, weather.mud - DRY_RATE * delta);
+        }
+
+        if (weather.strike) {
+            weather.strike.timer -= delta;
+            if (weather.strike.timer <= 0) {
+                weather.strike = null;
+            }
+        }
+
+        if (type.thunder) {
+            weather.thunderTimer -= delta;
+            if (weather.thunderTimer <= 0) {
+                this.strikeLightning();
+            }
+        }
+    }
+
+    // Table row for the current point in the match
+    currentRow() {
+        const state = this.sim.state;
+        const progress = state.gameTime / state.maxGameTime;
+        let row = WEATHER_TABLE[0];
+        WEATHER_TABLE.forEach(candidate => {
+            if (progress >= candidate.progress) {
+                row = candidate;
+            }
+        });
+        return row;
+    }
+
+    // Roll the next spell of weather from the current row
+    changeWeather() {
+        const weather = this.sim.state.weather;
+        const row = this.currentRow();
+
+        const kinds = Object.keys(row.weights);
+        const total = kinds.reduce((sum, kind) => sum + row.weights[kind], 0);
+        let roll = this.sim.random.next() * total;
+        let kind = kinds[kinds.length - 1];
+        for (const candidate of kinds) {
+            roll -= row.weights[candidate];
+            if (roll < 0) {
+                kind = candidate;
+                break;
+            }
+        }
+
+        const [minDuration, maxDuration] = row.duration;
+        weather.nextChangeTimer = minDuration + this.sim.random.next() * (maxDuration - minDuration);
+        weather.windAngle = this.sim.random.next() * Math.PI * 2;
+        weather.thunderTimer = THUNDER_GAP[0];
+
+        if (kind !== weather.kind) {
+            weather.kind = kind;
+            this.sim.emit('weatherChanged', kind);
+        }
+    }
+
+    // Lightning hits somewhere in the yard and scares the birds around it
+    strikeLightning() {
+        const weather = this.sim.state.weather;
+        const [minGap, maxGap] = THUNDER_GAP;
+        weather.thunderTimer = minGap + this.sim.random.next() * (maxGap - minGap);
+        weather.strike = {
+            x: this.sim.random.next() * 56 - 28,
+            z: this.sim.random.next() * 56 - 28,
+            timer: STRIKE_SCARE_TIME
+        };
+
+        this.sim.emit('sound', 'playThunder');
+        this.sim.emit('lightning', weather.strike);
+    }
+
+    // Push of the wind per second, for light things like corn
+    windForce() {
+        const weather = this.sim.state.weather;
+        const force = weather.wind * WIND_FORCE;
+        return new THREE.Vector3(Math.cos(weather.windAngle) * force, 0, Math.sin(weather.windAngle) * force);
+    }
+
+    // Speed multiplier for flying predators fighting the wind
+    flyingSpeedFactor() {
+        return 1 - this.sim.state.weather.wind * HAWK_WIND_DRAG;
+    }
+
+    // Speed multiplier for the player wading through mud
+    mudSpeedFactor() {
+        return 1 - this.sim.state.weather.mud * MUD_DRAG;
+    }
+}
+
+// Move value toward target by at most step
+function approach(value, target, step) {
+    if (value < target) return Math.min(target, value + step);
+    return Math.max(target, value - step);
+}
+
+export default WeatherSystem;